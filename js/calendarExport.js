@@ -0,0 +1,391 @@
+/**
+ * Calendar (.ics) Export
+ * Turns the selected sections into an RFC 5545 calendar that Google, Apple and
+ * Outlook calendars can import: one weekly recurring event per meeting, bounded by
+ * the meeting's start/end dates, with breaks from data/deadlines.json excluded
+ */
+
+// ==========================================
+// Configuration
+// ==========================================
+const ICS_CONFIG = {
+    timeZone: 'America/Indiana/Indianapolis',
+    prodId: '-//Boiler Link Hub//Course Planner//EN',
+    uidDomain: 'boilerlinkhub',
+    breakTypes: ['Break'],
+    deadlinesUrl: 'data/deadlines.json'
+};
+
+const ICS_WEEKDAYS = {
+    Monday: 'MO',
+    Tuesday: 'TU',
+    Wednesday: 'WE',
+    Thursday: 'TH',
+    Friday: 'FR',
+    Saturday: 'SA',
+    Sunday: 'SU'
+};
+
+const ICS_DAY_LETTERS = { M: 'MO', T: 'TU', W: 'WE', R: 'TH', F: 'FR', S: 'SA', U: 'SU' };
+
+// Date.getUTCDay() index for each BYDAY code
+const ICS_DAY_INDEX = { SU: 0, MO: 1, TU: 2, WE: 3, TH: 4, FR: 5, SA: 6 };
+
+// Eastern time zone definition (Indiana has observed US daylight saving time since 2006)
+const ICS_VTIMEZONE = [
+    'BEGIN:VTIMEZONE',
+    `TZID:${ICS_CONFIG.timeZone}`,
+    'BEGIN:DAYLIGHT',
+    'TZOFFSETFROM:-0500',
+    'TZOFFSETTO:-0400',
+    'TZNAME:EDT',
+    'DTSTART:20070311T020000',
+    'RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=2SU',
+    'END:DAYLIGHT',
+    'BEGIN:STANDARD',
+    'TZOFFSETFROM:-0400',
+    'TZOFFSETTO:-0500',
+    'TZNAME:EST',
+    'DTSTART:20071104T020000',
+    'RRULE:FREQ=YEARLY;BYMONTH=11;BYDAY=1SU',
+    'END:STANDARD',
+    'END:VTIMEZONE'
+];
+
+// ==========================================
+// Parsing Helpers
+// ==========================================
+function icsByDay(daysString) {
+    if (!daysString) return [];
+
+    const codes = [];
+
+    if (/day/i.test(daysString)) {
+        // "Monday, Wednesday, Friday"
+        Object.entries(ICS_WEEKDAYS).forEach(([name, code]) => {
+            if (daysString.includes(name)) codes.push(code);
+        });
+    } else if (/^[MTWRFSU\s]+$/.test(daysString)) {
+        // "MWF" / "TR" (not "TBA")
+        daysString.split('').forEach(letter => {
+            const code = ICS_DAY_LETTERS[letter];
+            if (code && !codes.includes(code)) codes.push(code);
+        });
+    }
+
+    return codes;
+}
+
+/**
+ * { hour, minute, durationMinutes } for a meeting, or null if TBA
+ */
+function icsMeetingTime(meeting) {
+    const match = String(meeting.StartTime || '').match(/^(\d{1,2}):(\d{2})/);
+    if (!match) return null;
+
+    let durationMinutes = 50;
+    const duration = String(meeting.Duration || '').match(/PT(?:(\d+)H)?(?:(\d+)M)?/);
+    if (duration && (duration[1] || duration[2])) {
+        durationMinutes = parseInt(duration[1] || 0) * 60 + parseInt(duration[2] || 0);
+    }
+
+    return { hour: parseInt(match[1]), minute: parseInt(match[2]), durationMinutes };
+}
+
+/**
+ * "YYYY-MM-DD" (from "2025-08-25T00:00:00-04:00" etc.) as a UTC-midnight Date, or null
+ */
+function icsParseDate(value) {
+    const match = String(value || '').match(/^(\d{4})-(\d{2})-(\d{2})/);
+    if (!match) return null;
+    return new Date(Date.UTC(parseInt(match[1]), parseInt(match[2]) - 1, parseInt(match[3])));
+}
+
+function icsAddDays(date, days) {
+    return new Date(date.getTime() + days * 24 * 60 * 60 * 1000);
+}
+
+// ==========================================
+// Formatting Helpers
+// ==========================================
+function icsPad(number) {
+    return String(number).padStart(2, '0');
+}
+
+function icsDate(date) {
+    return `${date.getUTCFullYear()}${icsPad(date.getUTCMonth() + 1)}${icsPad(date.getUTCDate())}`;
+}
+
+/**
+ * Local (time zone) date-time "YYYYMMDDTHHMMSS" for a calendar day plus minutes after midnight
+ */
+function icsLocalDateTime(date, minutes) {
+    return `${icsDate(date)}T${icsPad(Math.floor(minutes / 60))}${icsPad(minutes % 60)}00`;
+}
+
+function icsUtcStamp(date) {
+    return `${icsDate(date)}T${icsPad(date.getUTCHours())}${icsPad(date.getUTCMinutes())}${icsPad(date.getUTCSeconds())}Z`;
+}
+
+/**
+ * UTC instant of a wall-clock time in ICS_CONFIG.timeZone
+ */
+function icsZonedToUtc(date, minutes) {
+    const guess = new Date(date.getTime() + minutes * 60 * 1000);
+
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+        timeZone: ICS_CONFIG.timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+    }).formatToParts(guess).forEach(part => {
+        parts[part.type] = part.value;
+    });
+
+    const asZoned = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return new Date(guess.getTime() - (asZoned - guess.getTime()));
+}
+
+/**
+ * Escape TEXT values (RFC 5545 section 3.3.11)
+ */
+function icsEscape(text) {
+    return String(text)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold content lines longer than 75 octets (RFC 5545 section 3.1)
+ */
+function icsFold(line) {
+    const encoder = new TextEncoder();
+    if (encoder.encode(line).length <= 75) return line;
+
+    const chunks = [];
+    let current = '';
+    let currentBytes = 0;
+    const limit = () => (chunks.length === 0 ? 75 : 74); // continuation lines start with a space
+
+    for (const char of line) {
+        const bytes = encoder.encode(char).length;
+        if (currentBytes + bytes > limit()) {
+            chunks.push(current);
+            current = '';
+            currentBytes = 0;
+        }
+        current += char;
+        currentBytes += bytes;
+    }
+    chunks.push(current);
+
+    return chunks.join('\r\n ');
+}
+
+// ==========================================
+// Event Building
+// ==========================================
+
+/**
+ * Break days from deadlines entries, as "YYYYMMDD" strings
+ */
+function icsBreakDates(deadlines) {
+    const dates = new Set();
+
+    deadlines
+        .filter(deadline => ICS_CONFIG.breakTypes.includes(deadline.type))
+        .forEach(deadline => {
+            const start = icsParseDate(deadline.date);
+            const end = icsParseDate(deadline.endDate) || start;
+            if (!start) return;
+
+            for (let day = start; day <= end; day = icsAddDays(day, 1)) {
+                dates.add(icsDate(day));
+            }
+        });
+
+    return dates;
+}
+
+function icsMeetingLocation(meeting) {
+    const room = meeting.Room;
+    if (!room) return '';
+
+    const code = `${room.Building?.ShortCode || ''} ${room.Number || ''}`.trim();
+    const name = room.Building?.Name;
+
+    return name && code ? `${code} (${name})` : code || name || '';
+}
+
+/**
+ * VEVENT lines for one meeting of a section, or null if it has no regular time
+ */
+function icsMeetingEvent(section, meeting, index, { term, breakDates, stamp }) {
+    const byDay = icsByDay(meeting.DaysOfWeek);
+    const time = icsMeetingTime(meeting);
+    if (byDay.length === 0 || !time) return null;
+
+    const rangeStart = icsParseDate(meeting.StartDate) || icsParseDate(section.StartDate) || icsParseDate(term?.StartDate);
+    const rangeEnd = icsParseDate(meeting.EndDate) || icsParseDate(section.EndDate) || icsParseDate(term?.EndDate);
+    if (!rangeStart || !rangeEnd) return null;
+
+    // First class day on or after the start date
+    const meetingDays = byDay.map(code => ICS_DAY_INDEX[code]);
+    let first = rangeStart;
+    while (!meetingDays.includes(first.getUTCDay())) {
+        first = icsAddDays(first, 1);
+    }
+    if (first > rangeEnd) return null;
+
+    const startMinutes = time.hour * 60 + time.minute;
+    const endMinutes = startMinutes + time.durationMinutes;
+
+    // Class days that fall in a break
+    const excluded = [];
+    for (let day = first; day <= rangeEnd; day = icsAddDays(day, 1)) {
+        if (meetingDays.includes(day.getUTCDay()) && breakDates.has(icsDate(day))) {
+            excluded.push(icsLocalDateTime(day, startMinutes));
+        }
+    }
+
+    const course = section._course || {};
+    const courseCode = `${course.Subject?.Abbreviation || ''} ${course.Number?.replace(/^0+/, '') || ''}`.trim();
+    const type = meeting.Type || section.Type || 'Lecture';
+    const location = icsMeetingLocation(meeting);
+    const instructor = meeting.Instructor?.Name;
+
+    const description = [
+        course.Title,
+        `${type}${section.Crn ? ` · CRN ${section.Crn}` : ''}`,
+        instructor ? `Instructor: ${instructor}` : null,
+        location ? `Location: ${location}` : null
+    ].filter(Boolean).join('\n');
+
+    const tz = `TZID=${ICS_CONFIG.timeZone}`;
+    const lines = [
+        'BEGIN:VEVENT',
+        `UID:${section.Id}-${meeting.Id || index}@${ICS_CONFIG.uidDomain}`,
+        `DTSTAMP:${stamp}`,
+        `DTSTART;${tz}:${icsLocalDateTime(first, startMinutes)}`,
+        `DTEND;${tz}:${icsLocalDateTime(first, endMinutes)}`,
+        `RRULE:FREQ=WEEKLY;BYDAY=${byDay.join(',')};UNTIL=${icsUtcStamp(icsZonedToUtc(rangeEnd, 23 * 60 + 59))}`,
+        ...excluded.map(value => `EXDATE;${tz}:${value}`),
+        `SUMMARY:${icsEscape(`${courseCode} ${type}`.trim())}`,
+        location ? `LOCATION:${icsEscape(location)}` : null,
+        `DESCRIPTION:${icsEscape(description)}`,
+        'END:VEVENT'
+    ];
+
+    return lines.filter(Boolean);
+}
+
+/**
+ * Build the .ics text for sections.
+ * Returns { ics, eventCount, skipped } where skipped counts TBA/online meetings.
+ */
+function buildCalendar(sections, { term = null, deadlines = [] } = {}) {
+    const context = {
+        term,
+        breakDates: icsBreakDates(deadlines),
+        stamp: icsUtcStamp(new Date())
+    };
+
+    const events = [];
+    let skipped = 0;
+
+    sections.forEach(section => {
+        (section.Meetings || []).forEach((meeting, index) => {
+            const event = icsMeetingEvent(section, meeting, index, context);
+            if (event) {
+                events.push(event);
+            } else {
+                skipped++;
+            }
+        });
+    });
+
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${ICS_CONFIG.prodId}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${icsEscape(term?.Name ? `Purdue ${term.Name}` : 'Purdue Classes')}`,
+        `X-WR-TIMEZONE:${ICS_CONFIG.timeZone}`,
+        ...ICS_VTIMEZONE,
+        ...events.flat(),
+        'END:VCALENDAR'
+    ];
+
+    return {
+        ics: lines.map(icsFold).join('\r\n') + '\r\n',
+        eventCount: events.length,
+        skipped
+    };
+}
+
+// ==========================================
+// Download
+// ==========================================
+async function loadBreakDeadlines() {
+    if (window.Deadlines?.state.allDeadlines.length > 0) {
+        return window.Deadlines.state.allDeadlines;
+    }
+
+    try {
+        const response = await fetch(ICS_CONFIG.deadlinesUrl);
+        if (!response.ok) throw new Error('Failed to load deadlines');
+        return await response.json();
+    } catch (error) {
+        console.error('Error loading breaks for calendar export:', error);
+        return [];
+    }
+}
+
+async function exportScheduleAsCalendar() {
+    const sections = window.CourseSearch?.state.selectedSections || [];
+    const term = window.CourseSearch?.state.currentTerm || null;
+
+    if (sections.length === 0) {
+        alert('No schedule to export! Please add courses first.');
+        return;
+    }
+
+    const deadlines = await loadBreakDeadlines();
+    const { ics, eventCount, skipped } = buildCalendar(sections, { term, deadlines });
+
+    if (eventCount === 0) {
+        alert('None of your sections have scheduled meeting times to export.');
+        return;
+    }
+
+    const blob = new Blob([ics], { type: 'text/calendar;charset=utf-8' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    const termSlug = term?.Name ? term.Name.replace(/\s+/g, '-') : new Date().toISOString().split('T')[0];
+    link.download = `Purdue-Schedule-${termSlug}.ics`;
+    link.href = url;
+    link.click();
+    URL.revokeObjectURL(url);
+
+    if (skipped > 0) {
+        alert(`Exported ${eventCount} recurring events. ${skipped} meeting${skipped !== 1 ? 's' : ''} without a set time (TBA/online) ${skipped !== 1 ? 'were' : 'was'} left out.`);
+    }
+}
+
+// ==========================================
+// Export
+// ==========================================
+if (typeof window !== 'undefined') {
+    window.CalendarExport = {
+        build: buildCalendar,
+        download: exportScheduleAsCalendar
+    };
+}
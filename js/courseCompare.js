@@ -0,0 +1,339 @@
+/**
+ * Course Comparison
+ * Courses marked with "+ Compare" on search results are shown side by side:
+ * credits, description, sections, when they meet, instructors, open seats and
+ * whether a section (or linked lecture/lab bundle) fits the current schedule.
+ *
+ * Sections are loaded for the planner's term (ignoring the search filters) and
+ * reloaded when the term changes. Uses the meeting helpers from schedule.js.
+ */
+
+// ==========================================
+// Configuration
+// ==========================================
+const COMPARE_CONFIG = {
+    maxCourses: 4
+};
+
+// ==========================================
+// State
+// ==========================================
+const compareState = {
+    entries: []  // [{ course, termId, sections (null while loading), error }]
+};
+
+const compareElements = {
+    section: null,
+    table: null
+};
+
+// ==========================================
+// Initialization
+// ==========================================
+function initCourseCompare() {
+    compareElements.section = document.getElementById('compareSection');
+    compareElements.table = document.getElementById('compareTable');
+
+    document.getElementById('clearCompareBtn')?.addEventListener('click', clearCourseCompare);
+
+    renderCourseCompare();
+}
+
+// ==========================================
+// Marking Courses
+// ==========================================
+function toggleCompareCourse(course) {
+    if (hasCompareCourse(course.Id)) {
+        removeCompareCourse(course.Id);
+        return;
+    }
+
+    if (compareState.entries.length >= COMPARE_CONFIG.maxCourses) {
+        alert(`Compare up to ${COMPARE_CONFIG.maxCourses} courses at a time. Remove one first.`);
+        return;
+    }
+
+    const entry = { course, termId: null, sections: null, error: null };
+    compareState.entries.push(entry);
+
+    loadCompareSections(entry);
+    renderCourseCompare();
+    refreshCompareButtons();
+
+    compareElements.section?.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+}
+
+function removeCompareCourse(courseId) {
+    compareState.entries = compareState.entries.filter(entry => entry.course.Id !== courseId);
+    renderCourseCompare();
+    refreshCompareButtons();
+}
+
+function clearCourseCompare() {
+    compareState.entries = [];
+    renderCourseCompare();
+    refreshCompareButtons();
+}
+
+function hasCompareCourse(courseId) {
+    return compareState.entries.some(entry => entry.course.Id === courseId);
+}
+
+function compareButtonLabel(courseId) {
+    return hasCompareCourse(courseId) ? '✓ Comparing' : '+ Compare';
+}
+
+/**
+ * Re-label the "+ Compare" buttons on the visible search results
+ */
+function refreshCompareButtons() {
+    document.querySelectorAll('.compare-add-btn').forEach(button => {
+        button.textContent = compareButtonLabel(button.dataset.courseId);
+    });
+}
+
+// ==========================================
+// Sections
+// ==========================================
+async function loadCompareSections(entry) {
+    const term = window.CourseSearch?.state.currentTerm;
+
+    entry.termId = term?.Id || null;
+    entry.sections = null;
+    entry.error = term ? null : 'Pick a term to compare sections';
+    if (!term) return;
+
+    try {
+        const sections = await fetchTermSections(entry.course.Id, term.Id);
+
+        // Removed or re-requested for another term while loading
+        if (!compareState.entries.includes(entry) || entry.termId !== term.Id) return;
+        entry.sections = sections.map(section => ({ ...section, _course: entry.course }));
+    } catch (error) {
+        if (!compareState.entries.includes(entry) || entry.termId !== term.Id) return;
+
+        console.error('Error loading sections to compare:', error);
+        entry.error = error.message;
+    }
+
+    renderCourseCompare();
+}
+
+/**
+ * Earliest start, latest end and day patterns of a course's timed meetings
+ */
+function compareMeetingSpread(sections) {
+    const patterns = new Set();
+    let earliest = Infinity;
+    let latest = -Infinity;
+    let untimed = 0;
+
+    sections.forEach(section => {
+        const meetings = (section.Meetings || []).filter(isTimedMeeting);
+        if (meetings.length === 0) untimed++;
+
+        meetings.forEach(meeting => {
+            const { start, end } = meetingMinuteRange(meeting);
+            earliest = Math.min(earliest, start);
+            latest = Math.max(latest, end);
+
+            patterns.add(parseDaysOfWeek(meeting.DaysOfWeek)
+                .map(day => SCHEDULE_CONFIG.dayAbbreviations[SCHEDULE_CONFIG.daysOfWeek[day]])
+                .join(''));
+        });
+    });
+
+    return { patterns: [...patterns].sort(), earliest, latest, untimed };
+}
+
+/**
+ * Seats across sections with counts: { capacity, remaining, open, counted }
+ */
+function compareSeats(sections) {
+    const counted = sections.filter(section =>
+        typeof section.Capacity === 'number' && typeof section.RemainingSpace === 'number');
+
+    return {
+        capacity: counted.reduce((sum, section) => sum + section.Capacity, 0),
+        remaining: counted.reduce((sum, section) => sum + Math.max(0, section.RemainingSpace), 0),
+        open: counted.filter(section => section.RemainingSpace > 0).length,
+        counted: counted.length
+    };
+}
+
+/**
+ * Whether the course fits around the rest of the schedule: { fits, free, total, unit }.
+ * Linked courses need a whole bundle (lecture + lab...) that fits; otherwise one
+ * free section of each type (Lecture, Lab, ...) is enough.
+ */
+function compareScheduleFit(entry) {
+    const findConflicts = window.ScheduleGrid?.findConflicts;
+    const scheduled = (window.CourseSearch?.state.selectedSections || [])
+        .filter(section => section._course?.Id !== entry.course.Id);
+
+    if (!findConflicts) return null;
+
+    const isFree = picks => {
+        const ids = new Set(picks.map(section => section.Id));
+        return !findConflicts([...scheduled, ...picks])
+            .some(conflict => conflict.sections.some(id => ids.has(id)));
+    };
+
+    const bundles = window.LinkedSections?.bundles(entry.termId, entry.course, entry.sections);
+    if (bundles) {
+        const free = bundles.filter(bundle => isFree(bundle.sections)).length;
+        return { fits: free > 0, free, total: bundles.length, unit: 'combination' };
+    }
+
+    const byType = new Map();
+    entry.sections.forEach(section => {
+        const type = section.Type || 'Lecture';
+        if (!byType.has(type)) byType.set(type, []);
+        byType.get(type).push(section);
+    });
+
+    const free = entry.sections.filter(section => isFree([section])).length;
+    const fits = [...byType.values()].every(sections => sections.some(section => isFree([section])));
+    return { fits, free, total: entry.sections.length, unit: 'section' };
+}
+
+// ==========================================
+// Rendering
+// ==========================================
+function compareCourseCode(course) {
+    return `${course.Subject?.Abbreviation || ''} ${course.Number?.replace(/^0+/, '') || ''}`.trim();
+}
+
+function compareSectionsCell(sections) {
+    if (sections.length === 0) return 'None this term';
+
+    const types = new Map();
+    sections.forEach(section => {
+        const type = section.Type || 'Lecture';
+        types.set(type, (types.get(type) || 0) + 1);
+    });
+
+    return `
+        <strong>${sections.length}</strong>
+        <div class="compare-detail">${[...types.entries()].map(([type, count]) => `${count} ${type}`).join(' · ')}</div>
+    `;
+}
+
+function compareTimesCell(sections) {
+    const spread = compareMeetingSpread(sections);
+    if (spread.patterns.length === 0) return sections.length > 0 ? 'Times TBA' : '—';
+
+    const time = minutes => formatTimeString(Math.floor(minutes / 60), minutes % 60);
+    return `
+        ${time(spread.earliest)} – ${time(spread.latest)}
+        <div class="compare-detail">${spread.patterns.join(', ')}</div>
+        ${spread.untimed > 0 ? `<div class="compare-detail">${spread.untimed} section${spread.untimed !== 1 ? 's' : ''} TBA</div>` : ''}
+    `;
+}
+
+function compareInstructorsCell(sections) {
+    const names = new Set();
+    sections.forEach(section => instructorNames(section.Meetings).forEach(name => names.add(name)));
+
+    return names.size > 0 ? [...names].sort().join('<br>') : 'TBA';
+}
+
+function compareSeatsCell(sections) {
+    const seats = compareSeats(sections);
+    if (seats.counted === 0) return sections.length > 0 ? 'No seat counts' : '—';
+
+    return `
+        <span class="compare-seats ${seats.remaining === 0 ? 'full' : ''}">${seats.remaining} of ${seats.capacity} open</span>
+        <div class="compare-detail">${seats.open} of ${seats.counted} section${seats.counted !== 1 ? 's' : ''} with seats</div>
+    `;
+}
+
+function compareFitCell(entry) {
+    if (entry.sections.length === 0) return '—';
+
+    const fit = compareScheduleFit(entry);
+    if (!fit) return '—';
+
+    const detail = fit.free === 0
+        ? `Every ${fit.unit} overlaps your schedule`
+        : `${fit.free} of ${fit.total} ${fit.unit}${fit.total !== 1 ? 's' : ''} conflict-free`;
+
+    return `
+        <span class="compare-fit ${fit.fits ? 'ok' : 'conflict'}">${fit.fits ? '✓ Fits' : '✗ Conflicts'}</span>
+        <div class="compare-detail">${detail}</div>
+    `;
+}
+
+/**
+ * Draw the comparison table (one column per course); reloads sections of
+ * courses marked in another term
+ */
+function renderCourseCompare() {
+    if (!compareElements.section) return;
+
+    compareElements.section.style.display = compareState.entries.length > 0 ? 'block' : 'none';
+    if (!compareElements.table || compareState.entries.length === 0) return;
+
+    const termId = window.CourseSearch?.state.currentTerm?.Id || null;
+    compareState.entries
+        .filter(entry => entry.termId !== termId)
+        .forEach(loadCompareSections);
+
+    const cell = (entry, render) => {
+        if (entry.error) return `<span class="compare-detail">${entry.error}</span>`;
+        if (!entry.sections) return '<span class="compare-detail">Loading...</span>';
+        return render(entry);
+    };
+
+    const rows = [
+        ['Credits', entry => `${entry.course.CreditHours || 0}`],
+        ['Description', entry => `<div class="compare-description">${entry.course.Description || 'No description available.'}</div>`],
+        ['Sections', entry => cell(entry, ({ sections }) => compareSectionsCell(sections))],
+        ['Meets', entry => cell(entry, ({ sections }) => compareTimesCell(sections))],
+        ['Instructors', entry => cell(entry, ({ sections }) => compareInstructorsCell(sections))],
+        ['Seats', entry => cell(entry, ({ sections }) => compareSeatsCell(sections))],
+        ['Fits schedule', entry => cell(entry, compareFitCell)]
+    ];
+
+    const header = compareState.entries.map(({ course }) => `
+        <th>
+            <div class="compare-course-header">
+                <span class="course-code">${compareCourseCode(course)}</span>
+                <button type="button" class="compare-remove" data-course-id="${course.Id}" title="Remove">×</button>
+            </div>
+            <div class="compare-course-title">${course.Title || 'Untitled Course'}</div>
+        </th>
+    `).join('');
+
+    const body = rows.map(([label, render]) => `
+        <tr>
+            <th scope="row">${label}</th>
+            ${compareState.entries.map(entry => `<td>${render(entry)}</td>`).join('')}
+        </tr>
+    `).join('');
+
+    compareElements.table.innerHTML = `
+        <table class="compare-table">
+            <thead><tr><th></th>${header}</tr></thead>
+            <tbody>${body}</tbody>
+        </table>
+    `;
+
+    compareElements.table.querySelectorAll('.compare-remove').forEach(button => {
+        button.addEventListener('click', () => removeCompareCourse(button.dataset.courseId));
+    });
+}
+
+// ==========================================
+// Export
+// ==========================================
+if (typeof window !== 'undefined') {
+    window.CourseCompare = {
+        init: initCourseCompare,
+        toggle: toggleCompareCourse,
+        hasCourse: hasCompareCourse,
+        buttonLabel: compareButtonLabel,
+        refresh: renderCourseCompare,
+        state: compareState
+    };
+}
@@ -12,15 +12,14 @@ const courseState = {
     currentTerm: null,
     availableTerms: [],
     subjects: new Map(), // Cache subjects by ID
-    courses: [], // Cache all courses
-    classes: [], // Cache all classes (loaded on demand)
-    sections: [], // Cache all sections (loaded on demand)
-    classesLoaded: false,
-    sectionsLoaded: false,
     isLoading: false,
-    // Pagination
+    // Pagination (server-side)
+    searchQuery: '',
     currentPage: 1,
     itemsPerPage: 10,
+    totalResults: 0,
+    totalPages: 0,
+    sectionScan: null, // { candidates, scanned, partial } when section filters are active
     // Section pagination (per course)
     sectionPages: {}, // courseId -> currentPage
     sectionsPerPage: 5
@@ -35,7 +34,10 @@ const courseElements = {
     termSelect: null,
     resultsContainer: null,
     scheduleContainer: null,
-    loadingIndicator: null
+    loadingIndicator: null,
+    filtersPanel: null,
+    refreshButton: null,
+    changesContainer: null
 };
 
 // ==========================================
@@ -56,9 +58,11 @@ async function initCourseSearch() {
     courseElements.resultsContainer = document.getElementById('courseResults');
     courseElements.scheduleContainer = document.getElementById('scheduleGrid');
     courseElements.loadingIndicator = document.getElementById('searchLoading');
+    courseElements.filtersPanel = document.getElementById('courseFilters');
+    courseElements.refreshButton = document.getElementById('refreshScheduleBtn');
+    courseElements.changesContainer = document.getElementById('scheduleChanges');
 
-    // Load saved schedule from localStorage
-    loadSavedSchedule();
+    populateTimeFilterOptions();
 
     // Load data in parallel
     console.log('Loading subjects and terms...');
@@ -67,6 +71,9 @@ async function initCourseSearch() {
         loadTerms()
     ]);
 
+    // Load the selected term's saved schedule from localStorage
+    loadSavedSchedule();
+
     console.log(`Loaded ${courseState.subjects.size} subjects`);
 
     // Setup event listeners
@@ -91,6 +98,116 @@ function setupCourseEventListeners() {
     if (courseElements.termSelect) {
         courseElements.termSelect.addEventListener('change', handleTermChange);
     }
+
+    if (courseElements.refreshButton) {
+        courseElements.refreshButton.addEventListener('click', refreshSavedSchedule);
+    }
+
+    if (courseElements.filtersPanel) {
+        courseElements.filtersPanel.querySelectorAll('select, input[type="checkbox"]').forEach(input => {
+            input.addEventListener('change', handleFilterChange);
+        });
+
+        courseElements.filtersPanel.querySelectorAll('input[type="text"]').forEach(input => {
+            input.addEventListener('keypress', (e) => {
+                if (e.key === 'Enter') {
+                    handleFilterChange();
+                }
+            });
+        });
+
+        const clearBtn = document.getElementById('clearFiltersBtn');
+        if (clearBtn) {
+            clearBtn.addEventListener('click', clearFilters);
+        }
+    }
+}
+
+// ==========================================
+// Advanced Filters
+// ==========================================
+function populateTimeFilterOptions() {
+    document.querySelectorAll('.time-filter').forEach(select => {
+        for (let hour = 7; hour <= 22; hour++) {
+            const option = document.createElement('option');
+            option.value = `${String(hour).padStart(2, '0')}:00`;
+            option.textContent = formatTimeString(hour, 0);
+            select.appendChild(option);
+        }
+    });
+}
+
+/**
+ * Filter query params understood by /api/courses/search and /api/course-sections
+ */
+function getFilterParams() {
+    const params = new URLSearchParams();
+    const value = id => document.getElementById(id)?.value?.trim() || '';
+
+    const credits = value('filterCredits');
+    if (credits === '5+') {
+        params.set('minCredits', '5');
+    } else if (credits) {
+        params.set('credits', credits);
+    }
+
+    const textFilters = {
+        level: 'filterLevel',
+        type: 'filterType',
+        earliest: 'filterEarliest',
+        latest: 'filterLatest',
+        instructor: 'filterInstructor',
+        building: 'filterBuilding',
+        campus: 'filterCampus'
+    };
+    Object.entries(textFilters).forEach(([param, id]) => {
+        if (value(id)) params.set(param, value(id));
+    });
+
+    const days = [...document.querySelectorAll('#filterDays input:checked')].map(input => input.value);
+    if (days.length > 0) {
+        params.set('days', days.join(''));
+    }
+
+    if (document.getElementById('filterOpenSeats')?.checked) {
+        params.set('openSeats', 'true');
+    }
+
+    return params;
+}
+
+function updateFilterCount(params) {
+    const badge = document.getElementById('courseFiltersCount');
+    if (!badge) return;
+
+    const count = [...params.keys()].length;
+    badge.textContent = count;
+    badge.style.display = count > 0 ? 'inline' : 'none';
+}
+
+function handleFilterChange() {
+    updateFilterCount(getFilterParams());
+
+    // Re-run the current search with the new filters
+    if (courseState.searchQuery) {
+        handleCourseSearch();
+    }
+}
+
+function clearFilters() {
+    if (!courseElements.filtersPanel) return;
+
+    courseElements.filtersPanel.querySelectorAll('select').forEach(select => {
+        select.value = '';
+    });
+    courseElements.filtersPanel.querySelectorAll('input[type="text"]').forEach(input => {
+        input.value = '';
+    });
+    courseElements.filtersPanel.querySelectorAll('input[type="checkbox"]').forEach(input => {
+        input.checked = false;
+    });
+
+    handleFilterChange();
 }
 
 // ==========================================
@@ -165,6 +282,26 @@ function handleTermChange(e) {
     if (courseElements.resultsContainer) {
         courseElements.resultsContainer.innerHTML = '';
     }
+
+    // Schedules are saved per term
+    loadSavedSchedule();
+}
+
+/**
+ * Switch the planner to a term (used when copying a shared schedule in).
+ * Returns false when the term isn't one of the terms offered in the selector.
+ */
+function selectTerm(termId) {
+    if (!courseState.availableTerms.some(t => t.Id === termId)) return false;
+
+    if (courseState.currentTerm?.Id !== termId) {
+        if (courseElements.termSelect) {
+            courseElements.termSelect.value = termId;
+        }
+        handleTermChange({ target: { value: termId } });
+    }
+
+    return true;
 }
 
 // ==========================================
@@ -182,7 +319,8 @@ async function handleCourseSearch() {
     courseElements.resultsContainer.innerHTML = '';
 
     try {
-        const courses = await searchCourses(query);
+        courseState.searchQuery = query;
+        const courses = await searchCourses(query, 1);
         displayCourseResults(courses);
     } catch (error) {
         console.error('Error searching courses:', error);
@@ -192,97 +330,55 @@ async function handleCourseSearch() {
     }
 }
 
-async function searchCourses(query) {
-    // Parse query - support formats like "CS 18000", etc.
-    const parsed = parseSearchQuery(query);
-
-    // Lazy load courses only once
-    if (courseState.courses.length === 0) {
-        console.log('⏳ Loading courses (first time only, ~5 seconds)...');
-        const url = `${API_BASE}/Courses`;
-        const response = await fetch(url);
-        if (!response.ok) throw new Error('API request failed');
-
-        const data = await response.json();
-
-        // Attach subjects immediately during load
-        data.value.forEach(course => {
-            if (course.SubjectId) {
-                course.Subject = courseState.subjects.get(course.SubjectId);
-            }
-        });
+/**
+ * Fetch one page of ranked results from the server-side search index
+ * (supports "CS 18" prefixes, keywords and typos)
+ */
+async function searchCourses(query, page) {
+    const params = new URLSearchParams({
+        q: query,
+        page: page,
+        pageSize: courseState.itemsPerPage
+    });
 
-        courseState.courses = data.value;
-        console.log(`✅ Cached ${courseState.courses.length} courses`);
+    if (courseState.currentTerm) {
+        params.set('termId', courseState.currentTerm.Id);
     }
 
-    // Fast filtering on cached data
-    let filteredCourses = courseState.courses.filter(course => {
-        if (!course.Subject) return false;
+    getFilterParams().forEach((value, key) => params.set(key, value));
 
-        if (parsed.subject && parsed.number) {
-            return course.Subject.Abbreviation === parsed.subject &&
-                   course.Number === parsed.number;
-        } else if (parsed.subject) {
-            return course.Subject.Abbreviation === parsed.subject;
-        } else if (parsed.number) {
-            return course.Number === parsed.number;
-        } else {
-            return course.Title &&
-                   course.Title.toLowerCase().includes(query.toLowerCase());
-        }
-    });
+    const response = await fetch(`/api/courses/search?${params}`);
+    if (!response.ok) throw new Error('API request failed');
 
-    // Limit results to 50 for better performance
-    if (filteredCourses.length > 50) {
-        console.log(`⚠️ Found ${filteredCourses.length} courses, showing first 50`);
-        filteredCourses = filteredCourses.slice(0, 50);
+    const result = await response.json();
+    if (!result.success) {
+        throw new Error(result.message || result.error || 'Search failed');
     }
 
-    // Sort by subject abbreviation first, then course number
-    filteredCourses.sort((a, b) => {
-        const subjA = a.Subject?.Abbreviation || '';
-        const subjB = b.Subject?.Abbreviation || '';
-
-        if (subjA !== subjB) {
-            return subjA.localeCompare(subjB);
-        }
+    courseState.currentPage = result.page;
+    courseState.totalResults = result.total;
+    courseState.totalPages = result.totalPages;
+    courseState.searchResults = result.data;
+    courseState.sectionScan = result.sectionScan || null;
 
-        const numA = parseInt(a.Number) || 0;
-        const numB = parseInt(b.Number) || 0;
-        return numA - numB;
-    });
+    console.log(`✅ Found ${result.total} courses (page ${result.page}/${result.totalPages})`);
 
-    courseState.searchResults = filteredCourses;
-    return filteredCourses;
+    return result.data;
 }
 
-function parseSearchQuery(query) {
-    const result = { subject: null, number: null };
-
-    // Try to match patterns like "CS 180", "CS180", "MA 261"
-    const subjectNumberMatch = query.match(/^([A-Z]+)\s*(\d+)$/i);
-    if (subjectNumberMatch) {
-        result.subject = subjectNumberMatch[1].toUpperCase();
-        result.number = subjectNumberMatch[2].padStart(5, '0'); // Pad to 5 digits
-        return result;
-    }
-
-    // Try subject only (e.g., "CS")
-    const subjectMatch = query.match(/^[A-Z]+$/i);
-    if (subjectMatch) {
-        result.subject = query.toUpperCase();
-        return result;
-    }
+async function goToResultsPage(page) {
+    setLoading(true);
 
-    // Try number only (e.g., "18000")
-    const numberMatch = query.match(/^\d+$/);
-    if (numberMatch) {
-        result.number = query.padStart(5, '0');
-        return result;
+    try {
+        const courses = await searchCourses(courseState.searchQuery, page);
+        renderPaginatedResults(courses);
+        courseElements.resultsContainer.scrollIntoView({ behavior: 'smooth' });
+    } catch (error) {
+        console.error('Error loading results page:', error);
+        showCourseError('Failed to load more results. Please try again.');
+    } finally {
+        setLoading(false);
     }
-
-    return result;
 }
 
 // ==========================================
@@ -302,19 +398,15 @@ function displayCourseResults(courses) {
         return;
     }
 
-    // Reset to page 1 on new search
-    courseState.currentPage = 1;
-
     renderPaginatedResults(courses);
 }
 
 function renderPaginatedResults(courses) {
     if (!courseElements.resultsContainer) return;
 
-    const totalPages = Math.ceil(courses.length / courseState.itemsPerPage);
+    const totalPages = courseState.totalPages;
     const startIdx = (courseState.currentPage - 1) * courseState.itemsPerPage;
-    const endIdx = startIdx + courseState.itemsPerPage;
-    const pageItems = courses.slice(startIdx, endIdx);
+    const endIdx = startIdx + courses.length;
 
     courseElements.resultsContainer.innerHTML = '';
 
@@ -322,24 +414,34 @@ function renderPaginatedResults(courses) {
     const resultInfo = document.createElement('div');
     resultInfo.className = 'result-info';
     resultInfo.innerHTML = `
-        <p>Showing ${startIdx + 1}-${Math.min(endIdx, courses.length)} of ${courses.length} courses</p>
+        <p>Showing ${startIdx + 1}-${endIdx} of ${courseState.totalResults} courses</p>
     `;
+
+    // Section filters only check the best-ranked matches; say so when some were skipped
+    if (courseState.sectionScan?.partial) {
+        resultInfo.innerHTML += `
+            <p class="filter-scan-note">
+                Section filters were checked against the top ${courseState.sectionScan.scanned}
+                of ${courseState.sectionScan.candidates} matches. Narrow your search to see more.
+            </p>
+        `;
+    }
     courseElements.resultsContainer.appendChild(resultInfo);
 
     // Display courses for current page
-    pageItems.forEach(course => {
+    courses.forEach(course => {
         const card = createCourseCard(course);
         courseElements.resultsContainer.appendChild(card);
     });
 
     // Add pagination controls if needed
     if (totalPages > 1) {
-        const pagination = createPaginationControls(totalPages, courses);
+        const pagination = createPaginationControls(totalPages);
         courseElements.resultsContainer.appendChild(pagination);
     }
 }
 
-function createPaginationControls(totalPages, courses) {
+function createPaginationControls(totalPages) {
     const container = document.createElement('div');
     container.className = 'pagination-controls';
 
@@ -350,9 +452,7 @@ function createPaginationControls(totalPages, courses) {
     prevBtn.disabled = courseState.currentPage === 1;
     prevBtn.onclick = () => {
         if (courseState.currentPage > 1) {
-            courseState.currentPage--;
-            renderPaginatedResults(courses);
-            courseElements.resultsContainer.scrollIntoView({ behavior: 'smooth' });
+            goToResultsPage(courseState.currentPage - 1);
         }
     };
 
@@ -368,9 +468,7 @@ function createPaginationControls(totalPages, courses) {
     nextBtn.disabled = courseState.currentPage === totalPages;
     nextBtn.onclick = () => {
         if (courseState.currentPage < totalPages) {
-            courseState.currentPage++;
-            renderPaginatedResults(courses);
-            courseElements.resultsContainer.scrollIntoView({ behavior: 'smooth' });
+            goToResultsPage(courseState.currentPage + 1);
         }
     };
 
@@ -388,6 +486,10 @@ function createCourseCard(course) {
     const subjectAbbr = course.Subject?.Abbreviation || 'N/A';
     const courseNumber = course.Number?.replace(/^0+/, '') || 'N/A'; // Remove leading zeros
     const courseCode = `${subjectAbbr} ${courseNumber}`;
+    const requirements = window.DegreeRequirements?.labelsFor(course) || [];
+
+    // Full code ("CS 18000") for re-labeling when the degree checklist changes
+    card.dataset.courseCode = `${subjectAbbr} ${course.Number || ''}`.toUpperCase();
 
     card.innerHTML = `
         <div class="course-card-header">
@@ -395,10 +497,31 @@ function createCourseCard(course) {
             <div class="course-credits">${course.CreditHours || 0} credits</div>
         </div>
         <h3 class="course-title">${course.Title || 'Untitled Course'}</h3>
+        <div class="course-requirement-tags">
+            ${requirements.map(name => `<span class="requirement-tag">🎓 ${name}</span>`).join('')}
+        </div>
         <p class="course-description">${course.Description || 'No description available.'}</p>
-        <button class="view-sections-btn" data-course-id="${course.Id}">
-            View Sections
-        </button>
+        <div class="course-requisites">${window.Requisites?.summary(course) || ''}</div>
+        <div class="course-card-actions">
+            <button class="view-sections-btn" data-course-id="${course.Id}">
+                View Sections
+            </button>
+            ${window.ScheduleGenerator ? `
+                <button class="view-sections-btn generator-add-btn" data-course-id="${course.Id}">
+                    ${window.ScheduleGenerator.hasCourse(course.Id) ? '✓ In Generator' : '+ Generator'}
+                </button>
+            ` : ''}
+            ${window.FourYearPlan ? `
+                <button class="view-sections-btn four-year-add-btn" data-course-id="${course.Id}">
+                    ${window.FourYearPlan.hasCourse(course.Id) ? '✓ In 4-Year Plan' : '+ 4-Year Plan'}
+                </button>
+            ` : ''}
+            ${window.CourseCompare ? `
+                <button class="view-sections-btn compare-add-btn" data-course-id="${course.Id}">
+                    ${window.CourseCompare.buttonLabel(course.Id)}
+                </button>
+            ` : ''}
+        </div>
         <div class="course-sections" id="sections-${course.Id}" style="display: none;">
             <div class="loading-sections">Loading sections...</div>
         </div>
@@ -408,6 +531,31 @@ function createCourseCard(course) {
     const viewSectionsBtn = card.querySelector('.view-sections-btn');
     viewSectionsBtn.addEventListener('click', () => toggleSections(course, card));
 
+    // Add to the schedule generator's course list
+    const generatorBtn = card.querySelector('.generator-add-btn');
+    if (generatorBtn) {
+        generatorBtn.addEventListener('click', () => {
+            window.ScheduleGenerator.addCourse(course);
+            generatorBtn.textContent = window.ScheduleGenerator.hasCourse(course.Id) ? '✓ In Generator' : '+ Generator';
+        });
+    }
+
+    // Add to the four-year plan; the card can also be dragged onto a planned term
+    const fourYearBtn = card.querySelector('.four-year-add-btn');
+    if (fourYearBtn) {
+        fourYearBtn.addEventListener('click', () => {
+            window.FourYearPlan.addCourse(course);
+            fourYearBtn.textContent = '✓ In 4-Year Plan';
+        });
+        window.FourYearPlan.draggable(card, course);
+    }
+
+    // Mark for the side-by-side comparison (clicking again unmarks)
+    const compareBtn = card.querySelector('.compare-add-btn');
+    if (compareBtn) {
+        compareBtn.addEventListener('click', () => window.CourseCompare.toggle(course));
+    }
+
     return card;
 }
 
@@ -444,8 +592,8 @@ async function toggleSections(course, card) {
                         <div style="font-size: 24px; margin-bottom: 10px;">⏳</div>
                         <div><strong>Loading sections from server...</strong></div>
                         <div style="font-size: 12px; color: #666; margin-top: 10px;">
-                            <strong>First time:</strong> 10-20 seconds (loading 516K classes + 665K sections)<br>
-                            <strong>After that:</strong> Instant (server cached)
+                            <strong>First time:</strong> a few seconds (fetched from Purdue.io)<br>
+                            <strong>After that:</strong> Instant (server cached for 10 minutes)
                         </div>
                         <div style="font-size: 11px; color: #999; margin-top: 10px; font-style: italic;">
                             Server is filtering data on backend for better performance
@@ -481,7 +629,11 @@ async function loadCourseSections(courseId) {
     console.log('  Term Name:', courseState.currentTerm.Name);
 
     // Use backend endpoint to filter sections server-side
-    const url = `/api/course-sections/${courseId}/${courseState.currentTerm.Id}`;
+    const filterParams = getFilterParams();
+    ['credits', 'minCredits', 'level'].forEach(param => filterParams.delete(param));
+
+    const query = filterParams.toString();
+    const url = `/api/course-sections/${courseId}/${courseState.currentTerm.Id}${query ? `?${query}` : ''}`;
 
     const response = await fetch(url);
     if (!response.ok) {
@@ -496,6 +648,9 @@ async function loadCourseSections(courseId) {
 
     const sections = result.data || [];
 
+    // Lecture/lab/recitation groups, for bundles and missing-component warnings
+    window.LinkedSections?.remember(courseState.currentTerm.Id, courseId, result.classes);
+
     console.log(`✅ Found ${sections.length} sections (${result.classCount} classes)`);
 
     if (sections.length > 0) {
@@ -522,28 +677,49 @@ function displaySections(container, sections, course) {
         return;
     }
 
+    // Courses with linked components (lecture + lab + recitation) are listed as bundles
+    const bundles = window.LinkedSections?.bundles(courseState.currentTerm?.Id, course, sections) || null;
+
+    if (bundles && bundles.length === 0) {
+        container.innerHTML = `
+            <div class="no-sections">
+                <p><strong>No complete bundles</strong></p>
+                <p style="font-size: 14px; color: #666; margin-top: 10px;">
+                    This course is taken as a linked lecture/lab/recitation set, and the current filters
+                    leave no set where every component matches. Try loosening the filters.
+                </p>
+            </div>
+        `;
+        return;
+    }
+
     // Initialize section page for this course if not exists
     if (!courseState.sectionPages[course.Id]) {
         courseState.sectionPages[course.Id] = 1;
     }
 
-    renderPaginatedSections(container, sections, course);
+    renderPaginatedSections(container, bundles || sections, course);
 }
 
+/**
+ * One page of section cards, or bundle cards when `sections` are bundles
+ */
 function renderPaginatedSections(container, sections, course) {
     const currentPage = courseState.sectionPages[course.Id] || 1;
     const totalPages = Math.ceil(sections.length / courseState.sectionsPerPage);
     const startIdx = (currentPage - 1) * courseState.sectionsPerPage;
     const endIdx = startIdx + courseState.sectionsPerPage;
     const pageItems = sections.slice(startIdx, endIdx);
+    const isBundles = Boolean(sections[0]?.types);
+    const itemName = isBundles ? 'bundles' : 'sections';
 
-    container.innerHTML = '<h4>Available Sections:</h4>';
+    container.innerHTML = `<h4>Available ${isBundles ? 'Bundles' : 'Sections'}:</h4>`;
 
     // Section count info
     const sectionInfo = document.createElement('div');
     sectionInfo.className = 'section-info-header';
     sectionInfo.innerHTML = `
-        <p>Showing ${startIdx + 1}-${Math.min(endIdx, sections.length)} of ${sections.length} sections</p>
+        <p>Showing ${startIdx + 1}-${Math.min(endIdx, sections.length)} of ${sections.length} ${itemName}</p>
     `;
     container.appendChild(sectionInfo);
 
@@ -551,8 +727,8 @@ function renderPaginatedSections(container, sections, course) {
     const sectionsList = document.createElement('div');
     sectionsList.className = 'sections-list';
 
-    pageItems.forEach(section => {
-        const sectionCard = createSectionCard(section, course);
+    pageItems.forEach(item => {
+        const sectionCard = isBundles ? createBundleCard(item, course) : createSectionCard(item, course);
         sectionsList.appendChild(sectionCard);
     });
 
@@ -626,6 +802,8 @@ function createSectionCard(section, course) {
         </div>
         <div class="section-info">
             <div class="section-times">${meetingTimes}</div>
+            ${window.InstructorView?.links(section.Meetings) || ''}
+            ${window.SeatWatch?.summary(section) || ''}
         </div>
         <button class="add-section-btn ${isSelected ? 'selected' : ''}"
                 data-section-id="${section.Id}">
@@ -636,6 +814,54 @@ function createSectionCard(section, course) {
     const addBtn = card.querySelector('.add-section-btn');
     addBtn.addEventListener('click', () => toggleSectionSelection(section, course, card));
 
+    if (window.SeatWatch) {
+        card.querySelector('.section-info').appendChild(window.SeatWatch.watchButton(section, course));
+    }
+
+    return card;
+}
+
+/**
+ * Card for a linked bundle; its button adds or removes every section at once
+ */
+function createBundleCard(bundle, course) {
+    const card = document.createElement('div');
+    card.className = 'section-card bundle-card';
+
+    const isSelected = isBundleSelected(bundle);
+    if (isSelected) {
+        card.classList.add('selected');
+    }
+
+    const components = bundle.sections.map(section => `
+        <div class="bundle-component">
+            <div class="section-header">
+                <span class="section-crn">CRN: ${section.Crn || 'N/A'}</span>
+                <span class="section-type">${section.Type || 'Lecture'}</span>
+            </div>
+            <div class="section-times">${formatMeetingTimes(section.Meetings)}</div>
+            ${window.InstructorView?.links(section.Meetings) || ''}
+            ${window.SeatWatch?.summary(section) || ''}
+        </div>
+    `).join('');
+
+    card.innerHTML = `
+        <div class="section-info">${components}</div>
+        <button class="add-section-btn ${isSelected ? 'selected' : ''}"
+                data-bundle-ids="${bundle.sections.map(section => section.Id).join(',')}">
+            ${isSelected ? 'Remove Bundle' : 'Add Bundle'}
+        </button>
+    `;
+
+    const addBtn = card.querySelector('.add-section-btn');
+    addBtn.addEventListener('click', () => toggleBundleSelection(bundle, course));
+
+    if (window.SeatWatch) {
+        card.querySelectorAll('.bundle-component').forEach((component, index) => {
+            component.appendChild(window.SeatWatch.watchButton(bundle.sections[index], course));
+        });
+    }
+
     return card;
 }
 
@@ -737,55 +963,308 @@ function toggleSectionSelection(section, course, card) {
     updateScheduleDisplay();
 }
 
-function saveSchedule() {
-    // Save minimal data to localStorage
-    const scheduleData = {
-        sections: courseState.selectedSections.map(s => ({
-            Id: s.Id,
-            Crn: s.Crn,
-            Type: s.Type,
-            Meetings: s.Meetings,
-            _course: {
-                Id: s._course.Id,
-                CourseId: s._course.Id,
-                Number: s._course.Number,
-                Title: s._course.Title,
-                Subject: s._course.Subject,
-                CreditHours: s._course.CreditHours || 0
-            }
-        })),
-        termId: courseState.currentTerm?.Id
+function isBundleSelected(bundle) {
+    return bundle.sections.every(section => courseState.selectedSections.some(s => s.Id === section.Id));
+}
+
+/**
+ * Add a whole bundle (replacing the course's other sections) or remove it
+ */
+function toggleBundleSelection(bundle, course) {
+    const bundleIds = new Set(bundle.sections.map(section => section.Id));
+
+    if (isBundleSelected(bundle)) {
+        courseState.selectedSections = courseState.selectedSections.filter(s => !bundleIds.has(s.Id));
+    } else {
+        // One bundle per course: a different lab or lecture of the course is swapped out
+        courseState.selectedSections = [
+            ...courseState.selectedSections.filter(s => s._course?.Id !== course.Id),
+            ...bundle.sections.map(section => ({ ...section, _course: course }))
+        ];
+    }
+
+    saveSchedule();
+    updateScheduleDisplay();
+    refreshSectionCards();
+}
+
+/**
+ * Minimal copy of a selected section for localStorage
+ */
+function serializeSection(s) {
+    const saved = {
+        Id: s.Id,
+        Crn: s.Crn,
+        Type: s.Type,
+        StartDate: s.StartDate,
+        EndDate: s.EndDate,
+        Meetings: s.Meetings,
+        _course: {
+            Id: s._course.Id,
+            CourseId: s._course.Id,
+            Number: s._course.Number,
+            Title: s._course.Title,
+            Subject: s._course.Subject,
+            CreditHours: s._course.CreditHours || 0,
+            Requisites: s._course.Requisites
+        }
     };
 
-    localStorage.setItem('purdueSchedule', JSON.stringify(scheduleData));
+    // Keep refresh flags until the student dismisses them
+    if (s._changes && s._changes.length > 0) {
+        saved._changes = s._changes;
+    }
+
+    return saved;
+}
+
+function saveSchedule() {
+    // Save minimal data into the term's active plan (see schedulePlans.js)
+    if (!courseState.currentTerm || !window.SchedulePlans) return;
+
+    window.SchedulePlans.saveSections(
+        courseState.currentTerm.Id,
+        courseState.selectedSections.map(serializeSection)
+    );
 }
 
 function loadSavedSchedule() {
     try {
-        const saved = localStorage.getItem('purdueSchedule');
-        if (saved) {
-            const data = JSON.parse(saved);
-            courseState.selectedSections = data.sections || [];
-
-            console.log('✅ Loaded saved schedule:', courseState.selectedSections.length, 'sections');
+        courseState.selectedSections = courseState.currentTerm && window.SchedulePlans
+            ? window.SchedulePlans.openTerm(courseState.currentTerm.Id)
+            : [];
 
-            // Update display - might need to wait for DOM
-            setTimeout(() => {
-                updateScheduleDisplay();
-            }, 100);
-        }
+        console.log('✅ Loaded saved schedule:', courseState.selectedSections.length, 'sections');
     } catch (error) {
         console.error('Error loading saved schedule:', error);
+        courseState.selectedSections = [];
     }
+
+    // Friend overlays are per term too
+    window.FriendSchedules?.refresh();
+
+    updateScheduleDisplay();
+    refreshSectionCards();
+}
+
+/**
+ * Sync the Add/Remove buttons of visible section cards with selectedSections
+ * (after the selection changes outside toggleSectionSelection)
+ */
+function refreshSectionCards() {
+    document.querySelectorAll('.section-card').forEach(card => {
+        const btn = card.querySelector('.add-section-btn');
+        if (!btn) return;
+
+        const isBundle = Boolean(btn.dataset.bundleIds);
+        const ids = isBundle ? btn.dataset.bundleIds.split(',') : [btn.dataset.sectionId];
+        const isSelected = ids.every(id => courseState.selectedSections.some(s => s.Id === id));
+
+        card.classList.toggle('selected', isSelected);
+        btn.classList.toggle('selected', isSelected);
+        btn.textContent = isBundle
+            ? (isSelected ? 'Remove Bundle' : 'Add Bundle')
+            : (isSelected ? 'Remove from Schedule' : 'Add to Schedule');
+    });
 }
 
 function updateScheduleDisplay() {
     if (!courseElements.scheduleContainer) return;
 
-    // Call schedule grid renderer
+    // Call schedule grid renderer (keep it visible while the term has other plans to switch to)
     if (window.ScheduleGrid) {
-        window.ScheduleGrid.render(courseState.selectedSections);
+        window.ScheduleGrid.render(courseState.selectedSections, {
+            keepVisible: Boolean(window.SchedulePlans?.hasMultiplePlans() || window.FriendSchedules?.hasFriends()),
+            overlays: window.FriendSchedules?.overlays() || []
+        });
+    }
+
+    renderScheduleChanges();
+    window.LinkedSections?.check();
+    window.WalkingTime?.check();
+    window.DegreeRequirements?.refresh();
+    window.Requisites?.refresh();
+    window.CourseCompare?.refresh();
+}
+
+// ==========================================
+// Schedule Refresh (registrar changes)
+// ==========================================
+
+/**
+ * Re-fetch every saved section of the current term and flag the ones that were
+ * cancelled, moved rooms, changed times or lost their instructor since they were saved
+ */
+async function refreshSavedSchedule() {
+    const term = courseState.currentTerm;
+    if (!term || courseState.selectedSections.length === 0) return;
+
+    const button = courseElements.refreshButton;
+    if (button) {
+        button.disabled = true;
+        button.textContent = '⏳ Refreshing...';
+    }
+
+    try {
+        const courseIds = [...new Set(courseState.selectedSections.map(s => s._course?.Id).filter(Boolean))];
+        const failed = new Set();
+        const currentByCourse = new Map();
+
+        await Promise.all(courseIds.map(async courseId => {
+            try {
+                currentByCourse.set(courseId, await fetchTermSections(courseId, term.Id));
+            } catch (error) {
+                console.error(`Error refreshing course ${courseId}:`, error);
+                failed.add(courseId);
+            }
+        }));
+
+        courseState.selectedSections = courseState.selectedSections.map(saved => {
+            const courseId = saved._course?.Id;
+            if (!currentByCourse.has(courseId)) return saved;
+
+            const currentSections = currentByCourse.get(courseId);
+            const current = currentSections.find(s => s.Id === saved.Id) ||
+                (saved.Crn ? currentSections.find(s => s.Crn === saved.Crn) : null);
+
+            if (!current) {
+                return {
+                    ...saved,
+                    _changes: [{ type: 'cancelled', message: 'Section is no longer offered' }]
+                };
+            }
+
+            return {
+                ...current,
+                _course: saved._course,
+                _changes: compareSavedSection(saved, current)
+            };
+        });
+
+        saveSchedule();
+        updateScheduleDisplay();
+        refreshSectionCards();
+
+        const changed = courseState.selectedSections.filter(s => s._changes?.length > 0).length;
+        console.log(`✅ Refreshed ${courseState.selectedSections.length} sections (${changed} changed, ${failed.size} courses failed)`);
+
+        if (failed.size > 0) {
+            alert(`Couldn't refresh ${failed.size} course${failed.size !== 1 ? 's' : ''}. Please try again later.`);
+        } else if (changed === 0) {
+            alert('Your schedule is up to date. No changes since it was saved.');
+        }
+    } finally {
+        if (button) {
+            button.disabled = false;
+            button.textContent = '🔄 Refresh';
+        }
+    }
+}
+
+/**
+ * All sections of a course in a term (ignores the search filters)
+ */
+async function fetchTermSections(courseId, termId) {
+    const response = await fetch(`/api/course-sections/${courseId}/${termId}`);
+    if (!response.ok) {
+        throw new Error(`Failed to load sections: ${response.status}`);
+    }
+
+    const result = await response.json();
+    if (!result.success) {
+        throw new Error(result.message || 'Failed to load sections');
+    }
+
+    window.LinkedSections?.remember(termId, courseId, result.classes);
+
+    return result.data || [];
+}
+
+function describeMeetings(meetings, describe) {
+    return (meetings || []).map(describe).sort().join('; ') || 'TBA';
+}
+
+function meetingTimeText(meeting) {
+    return `${meeting.DaysOfWeek || 'TBA'} ${formatTime(meeting.StartTime, meeting.Duration)}`;
+}
+
+function instructorNames(meetings) {
+    return new Set((meetings || []).map(m => m.Instructor?.Name).filter(Boolean));
+}
+
+/**
+ * Differences between a saved section and its current registrar data
+ */
+function compareSavedSection(saved, current) {
+    const changes = [];
+
+    const savedTimes = describeMeetings(saved.Meetings, meetingTimeText);
+    const currentTimes = describeMeetings(current.Meetings, meetingTimeText);
+    if (savedTimes !== currentTimes) {
+        changes.push({ type: 'time', message: `Time changed: ${savedTimes} → ${currentTimes}` });
     }
+
+    const savedRooms = describeMeetings(saved.Meetings, m => formatLocation(m.Room));
+    const currentRooms = describeMeetings(current.Meetings, m => formatLocation(m.Room));
+    if (savedRooms !== currentRooms) {
+        changes.push({ type: 'room', message: `Room changed: ${savedRooms} → ${currentRooms}` });
+    }
+
+    const currentInstructors = instructorNames(current.Meetings);
+    const lostInstructors = [...instructorNames(saved.Meetings)].filter(name => !currentInstructors.has(name));
+    if (lostInstructors.length > 0) {
+        changes.push({
+            type: 'instructor',
+            message: `Instructor no longer listed: ${lostInstructors.join(', ')}` +
+                (currentInstructors.size > 0 ? ` (now ${[...currentInstructors].join(', ')})` : ' (now TBA)')
+        });
+    }
+
+    return changes;
+}
+
+function renderScheduleChanges() {
+    const container = courseElements.changesContainer;
+    if (!container) return;
+
+    const changed = courseState.selectedSections.filter(s => s._changes?.length > 0);
+
+    if (changed.length === 0) {
+        container.style.display = 'none';
+        container.innerHTML = '';
+        return;
+    }
+
+    const items = changed.map(section => {
+        const subject = section._course?.Subject?.Abbreviation || '';
+        const number = section._course?.Number?.replace(/^0+/, '') || '';
+        const messages = section._changes.map(change => `<li>${change.message}</li>`).join('');
+
+        return `
+            <div class="schedule-change-item ${section._changes.some(c => c.type === 'cancelled') ? 'cancelled' : ''}">
+                <strong>${subject} ${number} ${section.Type || 'Lecture'}</strong> (CRN ${section.Crn || 'N/A'})
+                <ul>${messages}</ul>
+            </div>
+        `;
+    }).join('');
+
+    container.style.display = 'flex';
+    container.innerHTML = `
+        <span class="conflict-icon">🔔</span>
+        <div class="schedule-changes-body">
+            <strong>${changed.length} section${changed.length !== 1 ? 's' : ''} changed since you saved ${changed.length !== 1 ? 'them' : 'it'}</strong>
+            ${items}
+            <button type="button" class="plan-btn" id="dismissChangesBtn">Dismiss</button>
+        </div>
+    `;
+
+    container.querySelector('#dismissChangesBtn').addEventListener('click', dismissScheduleChanges);
+}
+
+function dismissScheduleChanges() {
+    courseState.selectedSections = courseState.selectedSections.map(({ _changes, ...section }) => section);
+    saveSchedule();
+    updateScheduleDisplay();
 }
 
 // ==========================================
@@ -821,6 +1300,11 @@ function showCourseError(message) {
 if (typeof window !== 'undefined') {
     window.CourseSearch = {
         init: initCourseSearch,
-        state: courseState
+        state: courseState,
+        save: saveSchedule,
+        refreshSchedule: updateScheduleDisplay,
+        refreshSectionCards,
+        selectTerm,
+        serializeSection
     };
 }
@@ -0,0 +1,314 @@
+/**
+ * Degree Requirements Checklist
+ * Checks the planner's courses against a major's requirements from data/degrees.json
+ * and labels search results that would fill a requirement that's still open.
+ *
+ * Requirement types:
+ *   all      every entry in `courses` ("MA 16100|MA 16500" accepts either)
+ *   choose   `count` courses from the `courses` pool
+ *   credits  at least `credits` credit hours from the `courses` pool
+ * Pools may use patterns: "CS 3*" is any CS course numbered 3xxxx. `exclude` drops
+ * courses from a pool. A course counts toward one requirement only, the first one
+ * (in file order) that still needs it.
+ */
+
+// ==========================================
+// Configuration
+// ==========================================
+const DEGREE_CONFIG = {
+    dataUrl: 'data/degrees.json',
+    storageKey: 'purdueDegreeProgram'
+};
+
+// ==========================================
+// State
+// ==========================================
+const degreeState = {
+    programs: [],
+    note: '',
+    programId: null,
+    evaluation: null // last evaluateProgram() result for the planner's courses
+};
+
+// ==========================================
+// Initialization
+// ==========================================
+async function initDegreeRequirements() {
+    try {
+        const response = await fetch(DEGREE_CONFIG.dataUrl);
+        if (!response.ok) throw new Error('Failed to load degree requirements');
+
+        const data = await response.json();
+        degreeState.programs = data.programs || [];
+        degreeState.note = data.note || '';
+    } catch (error) {
+        console.error('Error loading degree requirements:', error);
+        degreeState.programs = [];
+    }
+
+    const saved = localStorage.getItem(DEGREE_CONFIG.storageKey);
+    degreeState.programId = degreeState.programs.some(program => program.id === saved) ? saved : null;
+
+    populateDegreeSelect();
+    document.getElementById('degreeSelect')?.addEventListener('change', event => {
+        selectDegreeProgram(event.target.value || null);
+    });
+
+    refreshDegreeRequirements();
+}
+
+function populateDegreeSelect() {
+    const select = document.getElementById('degreeSelect');
+    if (!select) return;
+
+    select.innerHTML = '<option value="">Choose a major...</option>' + degreeState.programs
+        .map(program => `<option value="${program.id}">${program.name}</option>`)
+        .join('');
+    select.value = degreeState.programId || '';
+}
+
+function selectDegreeProgram(programId) {
+    degreeState.programId = programId;
+
+    if (programId) {
+        localStorage.setItem(DEGREE_CONFIG.storageKey, programId);
+    } else {
+        localStorage.removeItem(DEGREE_CONFIG.storageKey);
+    }
+
+    refreshDegreeRequirements();
+}
+
+function currentDegreeProgram() {
+    return degreeState.programs.find(program => program.id === degreeState.programId) || null;
+}
+
+// ==========================================
+// Course Codes
+// ==========================================
+
+/**
+ * "CS 18000" for a course object (Subject + 5-digit Number)
+ */
+function degreeCourseCode(course) {
+    return `${course.Subject?.Abbreviation || ''} ${course.Number || ''}`.trim().toUpperCase();
+}
+
+function normalizeDegreeCode(code) {
+    return String(code).trim().toUpperCase().replace(/\s+/g, ' ');
+}
+
+/**
+ * Does a course code match a pool entry ("CS 18000" or a pattern like "CS 3*")?
+ */
+function degreeCodeMatches(code, pattern) {
+    const normalized = normalizeDegreeCode(pattern);
+
+    if (normalized.endsWith('*')) {
+        return code.startsWith(normalized.slice(0, -1));
+    }
+
+    return code === normalized;
+}
+
+function inRequirementPool(code, requirement) {
+    return requirement.courses.some(pattern => degreeCodeMatches(code, pattern)) &&
+        !(requirement.exclude || []).some(pattern => degreeCodeMatches(code, pattern));
+}
+
+function codeAlternatives(entry) {
+    return entry.split('|').map(normalizeDegreeCode);
+}
+
+// ==========================================
+// Evaluation
+// ==========================================
+
+/**
+ * Check `courses` ([{ code, credits }]) against a program. Returns
+ * { requirements: [{ requirement, satisfied, used, progress, remaining }], met, credits }.
+ */
+function evaluateProgram(program, courses) {
+    const unclaimed = [...courses];
+    const claim = predicate => {
+        const index = unclaimed.findIndex(predicate);
+        return index === -1 ? null : unclaimed.splice(index, 1)[0];
+    };
+
+    const requirements = program.requirements.map(requirement => {
+        const used = [];
+        let progress;
+        let remaining;
+        let satisfied;
+
+        if (requirement.type === 'all') {
+            remaining = [];
+            requirement.courses.forEach(entry => {
+                const options = codeAlternatives(entry);
+                const course = claim(c => options.includes(c.code));
+                if (course) {
+                    used.push(course);
+                } else {
+                    remaining.push(options.join(' or '));
+                }
+            });
+            satisfied = remaining.length === 0;
+            progress = `${used.length} of ${requirement.courses.length} courses`;
+        } else if (requirement.type === 'choose') {
+            while (used.length < requirement.count) {
+                const course = claim(c => inRequirementPool(c.code, requirement));
+                if (!course) break;
+                used.push(course);
+            }
+            satisfied = used.length >= requirement.count;
+            progress = `${used.length} of ${requirement.count} course${requirement.count !== 1 ? 's' : ''}`;
+            remaining = satisfied ? [] : [`${requirement.count - used.length} more from ${requirement.courses.join(', ')}`];
+        } else {
+            let credits = 0;
+            while (credits < requirement.credits) {
+                const course = claim(c => inRequirementPool(c.code, requirement));
+                if (!course) break;
+                used.push(course);
+                credits += course.credits;
+            }
+            satisfied = credits >= requirement.credits;
+            progress = `${credits} of ${requirement.credits} credits`;
+            remaining = satisfied ? [] : [`${requirement.credits - credits} more credits from ${requirement.courses.join(', ')}`];
+        }
+
+        return { requirement, satisfied, used, progress, remaining };
+    });
+
+    return {
+        requirements,
+        met: requirements.filter(result => result.satisfied).length,
+        credits: courses.reduce((sum, course) => sum + course.credits, 0)
+    };
+}
+
+/**
+ * The planner's courses as [{ code, credits, title }], one per course
+ */
+function plannerDegreeCourses() {
+    const sections = window.CourseSearch?.state.selectedSections || [];
+    const byCode = new Map();
+
+    sections.forEach(section => {
+        const course = section._course;
+        if (!course) return;
+
+        const code = degreeCourseCode(course);
+        if (!byCode.has(code)) {
+            byCode.set(code, { code, credits: parseFloat(course.CreditHours) || 0, title: course.Title || '' });
+        }
+    });
+
+    return [...byCode.values()];
+}
+
+/**
+ * Names of open requirements a course would count toward (for search results)
+ */
+function openRequirementsFor(course) {
+    return openRequirementsForCode(degreeCourseCode(course));
+}
+
+function openRequirementsForCode(code) {
+    const evaluation = degreeState.evaluation;
+    if (!evaluation) return [];
+
+    if (evaluation.requirements.some(result => result.used.some(used => used.code === code))) return [];
+
+    return evaluation.requirements
+        .filter(result => !result.satisfied)
+        .filter(({ requirement }) => requirement.type === 'all'
+            ? requirement.courses.some(entry => codeAlternatives(entry).includes(code))
+            : inRequirementPool(code, requirement))
+        .map(({ requirement }) => requirement.name);
+}
+
+// ==========================================
+// Rendering
+// ==========================================
+
+/**
+ * Re-check the planner's courses and redraw the checklist and search result labels
+ */
+function refreshDegreeRequirements() {
+    const program = currentDegreeProgram();
+    degreeState.evaluation = program ? evaluateProgram(program, plannerDegreeCourses()) : null;
+
+    renderDegreeChecklist(program);
+    refreshRequirementTags();
+}
+
+function renderDegreeChecklist(program) {
+    const container = document.getElementById('degreeChecklist');
+    if (!container) return;
+
+    const evaluation = degreeState.evaluation;
+
+    if (!program || !evaluation) {
+        container.innerHTML = degreeState.programs.length > 0
+            ? '<p class="degree-empty">Pick your major to see which requirements your schedule covers.</p>'
+            : '<p class="degree-empty">No degree requirements are available.</p>';
+        return;
+    }
+
+    const items = evaluation.requirements.map(({ requirement, satisfied, used, progress, remaining }) => `
+        <li class="degree-requirement ${satisfied ? 'satisfied' : ''}">
+            <span class="degree-status">${satisfied ? '✓' : '○'}</span>
+            <div class="degree-requirement-body">
+                <div class="degree-requirement-header">
+                    <strong>${requirement.name}</strong>
+                    <span class="degree-progress">${progress}</span>
+                </div>
+                ${used.length > 0 ? `
+                    <div class="degree-courses">
+                        ${used.map(course => `<span class="degree-course met" title="${escapeHtml(course.title)}">${escapeHtml(course.code)}</span>`).join('')}
+                    </div>
+                ` : ''}
+                ${remaining.length > 0 ? `
+                    <div class="degree-remaining">Still needed: ${remaining.join('; ')}</div>
+                ` : ''}
+            </div>
+        </li>
+    `).join('');
+
+    container.innerHTML = `
+        <div class="degree-summary">
+            ${evaluation.met} of ${evaluation.requirements.length} requirements met ·
+            ${evaluation.credits} of ${program.totalCredits} credits
+            ${program.catalogYear ? `<span class="degree-catalog">${program.catalogYear} catalog</span>` : ''}
+        </div>
+        <ul class="degree-requirements">${items}</ul>
+        ${degreeState.note ? `<p class="degree-note">${degreeState.note}</p>` : ''}
+    `;
+}
+
+/**
+ * Label visible search results with the open requirements they would fill
+ */
+function refreshRequirementTags() {
+    document.querySelectorAll('.course-card').forEach(card => {
+        const container = card.querySelector('.course-requirement-tags');
+        if (!container || !card.dataset.courseCode) return;
+
+        container.innerHTML = openRequirementsForCode(card.dataset.courseCode)
+            .map(name => `<span class="requirement-tag">🎓 ${name}</span>`)
+            .join('');
+    });
+}
+
+// ==========================================
+// Export
+// ==========================================
+if (typeof window !== 'undefined') {
+    window.DegreeRequirements = {
+        init: initDegreeRequirements,
+        refresh: refreshDegreeRequirements,
+        labelsFor: openRequirementsFor,
+        evaluate: evaluateProgram,
+        state: degreeState
+    };
+}
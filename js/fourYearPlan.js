@@ -0,0 +1,497 @@
+/**
+ * Four-Year Plan
+ * Courses (not sections) laid out across Fall/Spring/Summer terms for four years.
+ * Courses are dragged from search results or the "Not yet placed" tray into terms;
+ * each term shows its credit total, and courses planned before their prerequisites
+ * are flagged. The plan is kept in localStorage and can be exported/imported as JSON.
+ * Any planned term can be opened in the weekly schedule builder.
+ */
+
+// ==========================================
+// Configuration
+// ==========================================
+const FOUR_YEAR_CONFIG = {
+    storageKey: 'purdueFourYearPlan',
+    years: 4,
+    seasons: ['Fall', 'Spring', 'Summer'],
+    heavyCredits: 18, // more than this in a term is an overload at Purdue
+    maxCourseCredits: 20,
+    dragType: 'application/x-planner-course'
+};
+
+// ==========================================
+// State
+// ==========================================
+const fourYearState = {
+    startYear: null, // fall of the first year
+    courses: []      // [{ Id, Number, Title, Subject, CreditHours, prerequisites, term }] (term null = not placed)
+};
+
+// ==========================================
+// Initialization
+// ==========================================
+function initFourYearPlan() {
+    loadFourYearPlan();
+
+    const startSelect = document.getElementById('fourYearStart');
+    if (startSelect) {
+        const thisYear = new Date().getFullYear();
+        startSelect.innerHTML = [-3, -2, -1, 0, 1]
+            .map(offset => thisYear + offset)
+            .map(year => `<option value="${year}">Fall ${year}</option>`)
+            .join('');
+        syncFourYearStartSelect();
+        startSelect.addEventListener('change', event => {
+            fourYearState.startYear = parseInt(event.target.value);
+            saveFourYearPlan();
+            renderFourYearPlan();
+        });
+    }
+
+    document.getElementById('exportFourYearBtn')?.addEventListener('click', exportFourYearPlan);
+    document.getElementById('importFourYearBtn')?.addEventListener('click', () => {
+        document.getElementById('fourYearFileInput')?.click();
+    });
+    document.getElementById('fourYearFileInput')?.addEventListener('change', importFourYearPlan);
+    document.getElementById('clearFourYearBtn')?.addEventListener('click', clearFourYearPlan);
+
+    renderFourYearPlan();
+}
+
+// ==========================================
+// Storage
+// ==========================================
+function defaultStartYear() {
+    const now = new Date();
+    // Before August the current academic year started last fall
+    return now.getMonth() < 7 ? now.getFullYear() - 1 : now.getFullYear();
+}
+
+function loadFourYearPlan() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(FOUR_YEAR_CONFIG.storageKey) || 'null');
+        applyFourYearData(saved);
+    } catch (error) {
+        console.error('Error loading four-year plan:', error);
+        applyFourYearData(null);
+    }
+}
+
+/**
+ * A planned course rebuilt from saved/imported data with only known, well-formed
+ * fields (files can be hand-edited); null when it isn't a course
+ */
+function normalizePlanCourse(course) {
+    if (!course || typeof course !== 'object') return null;
+
+    const id = typeof course.Id === 'string' && /^[\w-]{1,64}$/.test(course.Id) ? course.Id : null;
+    const code = normalizeRequisiteCode(`${course.Subject?.Abbreviation || ''} ${course.Number || ''}`);
+    if (!id || !code) return null;
+
+    const [abbreviation, number] = code.split(' ');
+    const credits = parseFloat(course.CreditHours);
+    const term = String(course.term || '').match(/^(Fall|Spring|Summer) (\d{4})$/);
+
+    return {
+        Id: id,
+        Number: number,
+        Title: typeof course.Title === 'string' ? course.Title.slice(0, 200) : '',
+        Subject: { Abbreviation: abbreviation },
+        CreditHours: credits >= 0 && credits <= FOUR_YEAR_CONFIG.maxCourseCredits ? credits : 0,
+        // Groups of alternatives: [["CS 18000", "CS 18200"], ...]
+        prerequisites: (Array.isArray(course.prerequisites) ? course.prerequisites : [])
+            .map(group => (Array.isArray(group) ? group : [group]).map(normalizeRequisiteCode).filter(Boolean))
+            .filter(group => group.length > 0),
+        term: term ? term[0] : null
+    };
+}
+
+/**
+ * Replace the plan with saved/imported data; returns false when the data isn't a plan
+ */
+function applyFourYearData(data) {
+    if (!data || !Array.isArray(data.courses)) {
+        fourYearState.startYear = defaultStartYear();
+        fourYearState.courses = [];
+        return false;
+    }
+
+    const startYear = parseInt(data.startYear);
+    fourYearState.startYear = startYear >= 1900 && startYear <= 2200 ? startYear : defaultStartYear();
+
+    // One entry per course
+    const byId = new Map();
+    data.courses.map(normalizePlanCourse).filter(Boolean).forEach(course => {
+        if (!byId.has(course.Id)) byId.set(course.Id, course);
+    });
+    fourYearState.courses = [...byId.values()];
+    return true;
+}
+
+function saveFourYearPlan() {
+    localStorage.setItem(FOUR_YEAR_CONFIG.storageKey, JSON.stringify({
+        version: 1,
+        startYear: fourYearState.startYear,
+        courses: fourYearState.courses
+    }));
+}
+
+// ==========================================
+// Terms
+// ==========================================
+
+/**
+ * Planned terms in order: [{ name: "Fall 2025", season, year, academicYear }]
+ */
+function planTerms() {
+    const terms = [];
+
+    for (let i = 0; i < FOUR_YEAR_CONFIG.years; i++) {
+        const fallYear = fourYearState.startYear + i;
+
+        FOUR_YEAR_CONFIG.seasons.forEach(season => {
+            const year = season === 'Fall' ? fallYear : fallYear + 1;
+            terms.push({ name: `${season} ${year}`, season, year, academicYear: i + 1 });
+        });
+    }
+
+    return terms;
+}
+
+function planTermIndex(termName) {
+    return planTerms().findIndex(term => term.name === termName);
+}
+
+// ==========================================
+// Prerequisites
+// ==========================================
+function planCourseCode(course) {
+    return `${course.Subject?.Abbreviation || ''} ${course.Number || ''}`.trim().toUpperCase();
+}
+
+function planCourseLabel(course) {
+    const number = course.Number?.replace(/^0+/, '') || '';
+    return `${course.Subject?.Abbreviation || ''} ${number}`.trim();
+}
+
+/**
+ * Prerequisite problems for placed courses: Map courseId -> [message].
+ * Courses on the completed-courses list (see requisites.js) count as taken before the plan.
+ */
+function checkPrerequisiteOrder() {
+    const problems = new Map();
+    const termIndexByCode = new Map();
+
+    (window.Requisites?.state.completed || []).forEach(code => termIndexByCode.set(code, -1));
+
+    fourYearState.courses.forEach(course => {
+        const termIndex = planTermIndex(course.term);
+        if (termIndex !== -1 && !termIndexByCode.has(planCourseCode(course))) {
+            termIndexByCode.set(planCourseCode(course), termIndex);
+        }
+    });
+
+    fourYearState.courses.forEach(course => {
+        const termIndex = planTermIndex(course.term);
+        if (termIndex === -1) return;
+
+        const messages = [];
+
+        course.prerequisites.forEach(group => {
+            const earliest = Math.min(...group.map(code => termIndexByCode.has(code) ? termIndexByCode.get(code) : Infinity));
+
+            if (earliest === Infinity) {
+                messages.push(`Needs ${group.join(' or ')} (not planned or completed)`);
+            } else if (earliest >= termIndex) {
+                messages.push(`Needs ${group.join(' or ')} in an earlier term`);
+            }
+        });
+
+        if (messages.length > 0) {
+            problems.set(course.Id, messages);
+        }
+    });
+
+    return problems;
+}
+
+// ==========================================
+// Plan Actions
+// ==========================================
+
+/**
+ * Add a course from search results (to `term`, or to the "Not yet placed" tray)
+ */
+function addPlanCourse(course, term = null) {
+    const existing = fourYearState.courses.find(c => c.Id === course.Id);
+
+    if (existing) {
+        if (term) existing.term = term;
+    } else {
+        // Dropped courses arrive as JSON from a drag, so they get the same checks as imports
+        const planned = normalizePlanCourse({
+            ...course,
+            prerequisites: course.prerequisites || window.Requisites?.forCourse(course).prerequisites || [],
+            term
+        });
+        if (!planned) return;
+
+        fourYearState.courses.push(planned);
+    }
+
+    saveFourYearPlan();
+    renderFourYearPlan();
+}
+
+function movePlanCourse(courseId, term) {
+    const course = fourYearState.courses.find(c => c.Id === courseId);
+    if (!course) return;
+
+    course.term = term;
+    saveFourYearPlan();
+    renderFourYearPlan();
+}
+
+function removePlanCourse(courseId) {
+    fourYearState.courses = fourYearState.courses.filter(c => c.Id !== courseId);
+    saveFourYearPlan();
+    renderFourYearPlan();
+}
+
+function hasPlanCourse(courseId) {
+    return fourYearState.courses.some(c => c.Id === courseId);
+}
+
+function clearFourYearPlan() {
+    if (fourYearState.courses.length === 0 || !confirm('Remove every course from the four-year plan?')) return;
+
+    fourYearState.courses = [];
+    saveFourYearPlan();
+    renderFourYearPlan();
+}
+
+/**
+ * Switch the weekly builder to a planned term and queue its courses in the generator
+ */
+function openPlanTerm(termName) {
+    const courseSearch = window.CourseSearch;
+    const term = courseSearch?.state.availableTerms.find(t => t.Name === termName);
+
+    if (!term) {
+        alert(`${termName} isn't available in the course planner yet. Purdue publishes a term's classes a few months before it starts.`);
+        return;
+    }
+
+    courseSearch.selectTerm(term.Id);
+
+    if (window.ScheduleGenerator) {
+        fourYearState.courses
+            .filter(course => course.term === termName)
+            .forEach(course => window.ScheduleGenerator.addCourse(course));
+    }
+
+    document.getElementById('coursePlanner')?.scrollIntoView({ behavior: 'smooth' });
+}
+
+// ==========================================
+// Export / Import
+// ==========================================
+function exportFourYearPlan() {
+    const data = JSON.stringify({
+        version: 1,
+        startYear: fourYearState.startYear,
+        courses: fourYearState.courses
+    }, null, 2);
+
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([data], { type: 'application/json' }));
+    link.download = 'four-year-plan.json';
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
+
+async function importFourYearPlan(event) {
+    const file = event.target.files?.[0];
+    if (!file) return;
+
+    try {
+        const data = JSON.parse(await file.text());
+
+        if (fourYearState.courses.length > 0 && !confirm('Replace your current four-year plan with this file?')) return;
+
+        if (!applyFourYearData(data)) {
+            throw new Error('That file is not a four-year plan');
+        }
+
+        saveFourYearPlan();
+        syncFourYearStartSelect();
+        renderFourYearPlan();
+        console.log(`✅ Imported four-year plan with ${fourYearState.courses.length} courses`);
+    } catch (error) {
+        console.error('Error importing four-year plan:', error);
+        alert(`Couldn't import that plan: ${error.message}`);
+    } finally {
+        event.target.value = '';
+    }
+}
+
+function syncFourYearStartSelect() {
+    const startSelect = document.getElementById('fourYearStart');
+    if (!startSelect) return;
+
+    if (![...startSelect.options].some(option => parseInt(option.value) === fourYearState.startYear)) {
+        startSelect.insertAdjacentHTML('beforeend', `<option value="${fourYearState.startYear}">Fall ${fourYearState.startYear}</option>`);
+    }
+    startSelect.value = fourYearState.startYear;
+}
+
+// ==========================================
+// Drag and Drop
+// ==========================================
+
+/**
+ * Make an element a drag source for a course (search result cards and plan chips)
+ */
+function makeCourseDraggable(element, course) {
+    element.draggable = true;
+    element.addEventListener('dragstart', event => {
+        event.dataTransfer.setData(FOUR_YEAR_CONFIG.dragType, JSON.stringify(course));
+        event.dataTransfer.effectAllowed = 'move';
+    });
+}
+
+function makeDropZone(element, term) {
+    element.addEventListener('dragover', event => {
+        if (!event.dataTransfer.types.includes(FOUR_YEAR_CONFIG.dragType)) return;
+        event.preventDefault();
+        element.classList.add('drag-over');
+    });
+    element.addEventListener('dragleave', () => element.classList.remove('drag-over'));
+    element.addEventListener('drop', event => {
+        event.preventDefault();
+        element.classList.remove('drag-over');
+
+        const data = event.dataTransfer.getData(FOUR_YEAR_CONFIG.dragType);
+        if (!data) return;
+
+        const course = JSON.parse(data);
+        if (hasPlanCourse(course.Id)) {
+            movePlanCourse(course.Id, term);
+        } else {
+            addPlanCourse(course, term);
+        }
+    });
+}
+
+// ==========================================
+// Rendering
+// ==========================================
+function createPlanChip(course, problems) {
+    const chip = document.createElement('div');
+    chip.className = `plan-course-chip${problems ? ' prereq-problem' : ''}`;
+    chip.title = problems ? problems.join('\n') : course.Title || '';
+    chip.innerHTML = `
+        <span class="plan-course-code"></span>
+        <span class="plan-course-credits">${Number(course.CreditHours) || 0} cr</span>
+        <button type="button" class="plan-course-remove" aria-label="Remove">&times;</button>
+    `;
+    chip.querySelector('.plan-course-code').textContent = `${problems ? '⚠️ ' : ''}${planCourseLabel(course)}`;
+    chip.querySelector('.plan-course-remove').addEventListener('click', () => removePlanCourse(course.Id));
+
+    makeCourseDraggable(chip, course);
+    return chip;
+}
+
+function renderFourYearPlan() {
+    const grid = document.getElementById('fourYearGrid');
+    const tray = document.getElementById('fourYearUnplaced');
+    if (!grid || !tray) return;
+
+    const problems = checkPrerequisiteOrder();
+    const terms = planTerms();
+
+    grid.innerHTML = '';
+
+    for (let year = 1; year <= FOUR_YEAR_CONFIG.years; year++) {
+        const row = document.createElement('div');
+        row.className = 'four-year-row';
+        row.innerHTML = `<div class="four-year-label">Year ${year}</div>`;
+
+        terms.filter(term => term.academicYear === year).forEach(term => {
+            const courses = fourYearState.courses.filter(course => course.term === term.name);
+            const credits = courses.reduce((sum, course) => sum + (course.CreditHours || 0), 0);
+
+            const column = document.createElement('div');
+            column.className = `four-year-term${term.season === 'Summer' ? ' summer' : ''}`;
+            column.innerHTML = `
+                <div class="four-year-term-header">
+                    <strong>${escapeHtml(term.name)}</strong>
+                    <span class="four-year-credits ${credits > FOUR_YEAR_CONFIG.heavyCredits ? 'heavy' : ''}">${credits} cr</span>
+                </div>
+                <div class="four-year-courses"></div>
+                <button type="button" class="plan-btn four-year-open" ${courses.length === 0 ? 'disabled' : ''}>Open in Schedule Builder</button>
+            `;
+
+            const list = column.querySelector('.four-year-courses');
+            courses.forEach(course => list.appendChild(createPlanChip(course, problems.get(course.Id))));
+
+            column.querySelector('.four-year-open').addEventListener('click', () => openPlanTerm(term.name));
+            makeDropZone(column, term.name);
+            row.appendChild(column);
+        });
+
+        grid.appendChild(row);
+    }
+
+    // Courses whose term is outside the four years (e.g. after changing the start) go back to the tray
+    const termNames = new Set(terms.map(term => term.name));
+    const unplaced = fourYearState.courses.filter(course => !course.term || !termNames.has(course.term));
+
+    tray.innerHTML = unplaced.length === 0
+        ? '<span class="four-year-empty">Drag courses here or onto a term, or use "+ 4-Year Plan" on a search result</span>'
+        : '';
+    unplaced.forEach(course => tray.appendChild(createPlanChip(course, null)));
+    makeDropZoneOnce(tray);
+
+    renderPlanSummary(problems);
+}
+
+function makeDropZoneOnce(element) {
+    if (element.dataset.dropZone) return;
+    element.dataset.dropZone = 'true';
+    makeDropZone(element, null);
+}
+
+function renderPlanSummary(problems) {
+    const summary = document.getElementById('fourYearSummary');
+    if (!summary) return;
+
+    const placed = fourYearState.courses.filter(course => course.term && planTermIndex(course.term) !== -1);
+    const credits = placed.reduce((sum, course) => sum + (course.CreditHours || 0), 0);
+
+    const problemItems = [...problems.entries()].map(([courseId, messages]) => {
+        const course = fourYearState.courses.find(c => c.Id === courseId);
+        return `<li><strong>${escapeHtml(planCourseLabel(course))}</strong> (${escapeHtml(course.term)}): ${escapeHtml(messages.join('; '))}</li>`;
+    }).join('');
+
+    summary.innerHTML = `
+        <span class="credit-counter">${credits} Credit${credits !== 1 ? 's' : ''} planned</span>
+        ${problems.size > 0
+            ? `<ul class="four-year-problems">${problemItems}</ul>`
+            : placed.length > 0 ? '<span class="four-year-ok">✓ Prerequisites in order</span>' : ''}
+    `;
+}
+
+// ==========================================
+// Export
+// ==========================================
+if (typeof window !== 'undefined') {
+    window.FourYearPlan = {
+        init: initFourYearPlan,
+        addCourse: addPlanCourse,
+        hasCourse: hasPlanCourse,
+        draggable: makeCourseDraggable,
+        refresh: renderFourYearPlan,
+        state: fourYearState
+    };
+}
@@ -0,0 +1,287 @@
+/**
+ * Friend Schedule Overlays
+ * Friends' shared or exported schedules are laid over the weekly grid as translucent
+ * layers so a study group can see when everyone is free. Friends are kept per term
+ * in localStorage.
+ */
+
+// ==========================================
+// Configuration
+// ==========================================
+const FRIENDS_CONFIG = {
+    storageKey: 'purdueFriendSchedules',
+    shareApiUrl: '/api/schedules/share',
+    colors: ['#E57373', '#64B5F6', '#81C784', '#BA68C8', '#FFB74D', '#4DB6AC'],
+    // /s/<id>, ?share=<id> or a bare share id
+    shareLinkPattern: /(?:\/s\/|[?&]share=)([A-Za-z0-9_-]{8})(?![\w-])|^([A-Za-z0-9_-]{8})$/
+};
+
+// ==========================================
+// State
+// ==========================================
+const friendsState = {
+    friends: [], // [{ id, name, termId, color, visible, sections }]
+    isAdding: false
+};
+
+// ==========================================
+// Storage
+// ==========================================
+function loadFriends() {
+    try {
+        const saved = localStorage.getItem(FRIENDS_CONFIG.storageKey);
+        friendsState.friends = saved ? JSON.parse(saved).friends || [] : [];
+    } catch (error) {
+        console.error('Error loading friend schedules:', error);
+        friendsState.friends = [];
+    }
+}
+
+function persistFriends() {
+    localStorage.setItem(FRIENDS_CONFIG.storageKey, JSON.stringify({ friends: friendsState.friends }));
+}
+
+function currentTermId() {
+    return window.CourseSearch?.state.currentTerm?.Id || null;
+}
+
+function termFriends() {
+    const termId = currentTermId();
+    return friendsState.friends.filter(friend => friend.termId === termId);
+}
+
+// ==========================================
+// Public API (used by the grid renderers)
+// ==========================================
+function hasFriends() {
+    return termFriends().length > 0;
+}
+
+/**
+ * Visible friends in the planner's term, as ScheduleGrid overlays
+ */
+function getOverlays() {
+    return termFriends()
+        .filter(friend => friend.visible)
+        .map(({ name, color, sections }) => ({ name, color, sections }));
+}
+
+// ==========================================
+// Adding Friends
+// ==========================================
+function openFriendModal() {
+    const modal = document.getElementById('friendModal');
+    if (!modal) return;
+
+    document.getElementById('friendNameInput').value = '';
+    document.getElementById('friendScheduleInput').value = '';
+    document.getElementById('friendFileInput').value = '';
+    document.getElementById('friendReport').innerHTML = '';
+    modal.style.display = 'flex';
+    document.getElementById('friendNameInput').focus();
+}
+
+function closeFriendModal() {
+    const modal = document.getElementById('friendModal');
+    if (modal) modal.style.display = 'none';
+}
+
+function showFriendReport(html) {
+    const report = document.getElementById('friendReport');
+    if (report) report.innerHTML = html;
+}
+
+async function fetchSharedSchedule(id) {
+    const response = await fetch(`${FRIENDS_CONFIG.shareApiUrl}/${encodeURIComponent(id)}`);
+    const result = await response.json();
+
+    if (!response.ok || !result.success) {
+        throw new Error(result.error || `Request failed: ${response.status}`);
+    }
+
+    return result.data;
+}
+
+/**
+ * Sections for the planner's term from a share link, or from anything the
+ * schedule importer reads (CRNs, .ics, JSON). Returns { sections, notFound, name }.
+ */
+async function resolveFriendSchedule(text, term) {
+    const linkMatch = text.trim().match(FRIENDS_CONFIG.shareLinkPattern);
+
+    if (linkMatch) {
+        const shared = await fetchSharedSchedule(linkMatch[1] || linkMatch[2]);
+
+        if (shared.termId !== term.Id) {
+            throw new Error(`That schedule is for ${shared.termName || 'a different term'}, not ${term.Name}`);
+        }
+
+        return { sections: shared.sections, notFound: [], name: shared.name };
+    }
+
+    if (!window.ScheduleImport) {
+        throw new Error('Schedule import is not available');
+    }
+
+    const { entries } = window.ScheduleImport.parse(text);
+    if (entries.length === 0) {
+        throw new Error('No share link, sections or CRNs found');
+    }
+
+    const { sections, notFound } = await window.ScheduleImport.resolve(entries, term.Id);
+    return { sections, notFound, name: null };
+}
+
+async function addFriend() {
+    const term = window.CourseSearch?.state.currentTerm;
+    if (!term) {
+        showFriendReport('<p class="error-message">Select a term first.</p>');
+        return;
+    }
+
+    if (friendsState.isAdding) return;
+
+    const file = document.getElementById('friendFileInput')?.files?.[0];
+    const text = file ? await file.text() : document.getElementById('friendScheduleInput').value;
+
+    if (!text.trim()) {
+        showFriendReport('<p>Paste a share link, CRNs or a JSON schedule, or choose an .ics/.json file.</p>');
+        return;
+    }
+
+    friendsState.isAdding = true;
+    const button = document.getElementById('saveFriendBtn');
+    if (button) button.disabled = true;
+
+    try {
+        const { sections, notFound, name } = await resolveFriendSchedule(text, term);
+
+        if (sections.length === 0) {
+            showFriendReport(`<p class="error-message">None of those sections were found in ${escapeHtml(term.Name)}.</p>`);
+            return;
+        }
+
+        const existing = termFriends().length;
+        const typedName = document.getElementById('friendNameInput').value.trim().slice(0, 30);
+
+        friendsState.friends.push({
+            id: `friend-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`,
+            name: typedName || name || `Friend ${existing + 1}`,
+            termId: term.Id,
+            color: FRIENDS_CONFIG.colors[existing % FRIENDS_CONFIG.colors.length],
+            visible: true,
+            sections: sections.map(window.CourseSearch.serializeSection)
+        });
+        persistFriends();
+
+        console.log(`✅ Added friend schedule with ${sections.length} sections`);
+
+        if (notFound.length > 0) {
+            showFriendReport(`
+                <p>Added ${sections.length} section${sections.length !== 1 ? 's' : ''}.</p>
+                <p class="import-not-found">Not found in ${escapeHtml(term.Name)}: ${escapeHtml(notFound.join(', '))}</p>
+            `);
+        } else {
+            closeFriendModal();
+        }
+
+        refreshFriends();
+    } catch (error) {
+        console.error('Error adding friend schedule:', error);
+        showFriendReport(`<p class="error-message">${escapeHtml(error.message)}</p>`);
+    } finally {
+        friendsState.isAdding = false;
+        if (button) button.disabled = false;
+    }
+}
+
+// ==========================================
+// Friend Actions
+// ==========================================
+function toggleFriend(friendId) {
+    const friend = friendsState.friends.find(f => f.id === friendId);
+    if (!friend) return;
+
+    friend.visible = !friend.visible;
+    persistFriends();
+    refreshFriends();
+}
+
+function removeFriend(friendId) {
+    const friend = friendsState.friends.find(f => f.id === friendId);
+    if (!friend || !confirm(`Remove ${friend.name}'s schedule?`)) return;
+
+    friendsState.friends = friendsState.friends.filter(f => f.id !== friendId);
+    persistFriends();
+    refreshFriends();
+}
+
+/**
+ * Re-render the friend chips and the grid with the current overlays
+ */
+function refreshFriends() {
+    renderFriendChips();
+
+    if (window.CourseSearch) {
+        window.CourseSearch.refreshSchedule();
+    }
+}
+
+// ==========================================
+// Friend Chips
+// ==========================================
+function renderFriendChips() {
+    const container = document.getElementById('friendChips');
+    if (!container) return;
+
+    const friends = termFriends();
+    container.innerHTML = '';
+
+    if (friends.length === 0) {
+        container.innerHTML = '<span class="friends-empty">Add a friend\'s share link or exported schedule to find common free time</span>';
+        return;
+    }
+
+    friends.forEach(friend => {
+        const chip = document.createElement('span');
+        chip.className = `friend-chip${friend.visible ? '' : ' hidden-friend'}`;
+        chip.innerHTML = `
+            <span class="friend-swatch" style="background: ${friend.color};"></span>
+            <button class="friend-toggle" title="${friend.visible ? 'Hide' : 'Show'} on the grid"></button>
+            <button class="friend-remove" aria-label="Remove">&times;</button>
+        `;
+
+        const toggle = chip.querySelector('.friend-toggle');
+        toggle.textContent = friend.name;
+        toggle.addEventListener('click', () => toggleFriend(friend.id));
+        chip.querySelector('.friend-remove').addEventListener('click', () => removeFriend(friend.id));
+
+        container.appendChild(chip);
+    });
+}
+
+// ==========================================
+// Initialization
+// ==========================================
+function initFriendSchedules() {
+    loadFriends();
+
+    document.getElementById('addFriendBtn')?.addEventListener('click', openFriendModal);
+    document.getElementById('saveFriendBtn')?.addEventListener('click', addFriend);
+    document.getElementById('closeFriendModalBtn')?.addEventListener('click', closeFriendModal);
+
+    // Chips are rendered by course search once a term's schedule is loaded
+}
+
+// ==========================================
+// Export
+// ==========================================
+if (typeof window !== 'undefined') {
+    window.FriendSchedules = {
+        init: initFriendSchedules,
+        hasFriends,
+        overlays: getOverlays,
+        refresh: renderFriendChips,
+        state: friendsState
+    };
+}
@@ -0,0 +1,180 @@
+/**
+ * Instructor View
+ * Instructor names on section cards link to a view of every course and section
+ * the instructor teaches in the selected term (GET /api/instructors/:id/sections).
+ */
+
+// ==========================================
+// Configuration
+// ==========================================
+const INSTRUCTOR_CONFIG = {
+    endpoint: '/api/instructors'
+};
+
+// ==========================================
+// State
+// ==========================================
+const instructorState = {
+    current: null,  // { id, name } being shown
+    request: 0      // ignores responses for an instructor that's no longer shown
+};
+
+const instructorElements = {
+    modal: null,
+    title: null,
+    body: null
+};
+
+// ==========================================
+// Initialization
+// ==========================================
+function initInstructorView() {
+    instructorElements.modal = document.getElementById('instructorModal');
+    instructorElements.title = document.getElementById('instructorName');
+    instructorElements.body = document.getElementById('instructorSections');
+
+    document.getElementById('closeInstructorBtn')?.addEventListener('click', closeInstructorView);
+
+    instructorElements.modal?.addEventListener('click', event => {
+        if (event.target === instructorElements.modal) closeInstructorView();
+    });
+
+    // Names are rendered into section cards as they load, so listen on the document
+    document.addEventListener('click', event => {
+        const link = event.target.closest?.('.instructor-link');
+        if (!link) return;
+
+        event.preventDefault();
+        openInstructorView(link.dataset.instructorId, link.dataset.instructorName);
+    });
+}
+
+// ==========================================
+// Names
+// ==========================================
+
+/**
+ * Instructor names of a section's meetings as clickable links ("Instructor TBA" without any)
+ */
+function instructorLinks(meetings) {
+    const instructors = new Map();
+    (meetings || []).forEach(meeting => {
+        const instructor = meeting.Instructor;
+        if (instructor?.Id && instructor.Name) instructors.set(instructor.Id, instructor.Name);
+    });
+
+    if (instructors.size === 0) {
+        return '<div class="section-instructors">👤 Instructor TBA</div>';
+    }
+
+    const links = [...instructors.entries()].map(([id, name]) => {
+        const link = document.createElement('button');
+        link.type = 'button';
+        link.className = 'instructor-link';
+        link.dataset.instructorId = id;
+        link.dataset.instructorName = name;
+        link.textContent = name;
+        return link.outerHTML;
+    });
+
+    return `<div class="section-instructors">👤 ${links.join(', ')}</div>`;
+}
+
+// ==========================================
+// Instructor View
+// ==========================================
+async function openInstructorView(instructorId, name) {
+    const term = window.CourseSearch?.state.currentTerm;
+    if (!instructorElements.modal || !instructorId || !term) return;
+
+    const request = ++instructorState.request;
+    instructorState.current = { id: instructorId, name };
+
+    instructorElements.title.textContent = name || 'Instructor';
+    instructorElements.body.innerHTML = `<div class="loading-sections">Loading ${escapeHtml(term.Name)} sections...</div>`;
+    instructorElements.modal.style.display = 'flex';
+
+    try {
+        const params = new URLSearchParams({ termId: term.Id });
+        const response = await fetch(`${INSTRUCTOR_CONFIG.endpoint}/${encodeURIComponent(instructorId)}/sections?${params}`);
+        const result = await response.json();
+
+        if (!response.ok || !result.success) {
+            throw new Error(result.error || `Request failed: ${response.status}`);
+        }
+
+        if (request !== instructorState.request) return;
+        renderInstructorSections(result, term);
+    } catch (error) {
+        if (request !== instructorState.request) return;
+
+        console.error('Error loading instructor sections:', error);
+        instructorElements.body.innerHTML = `<p class="instructor-error">Couldn't load this instructor's sections: ${escapeHtml(error.message)}</p>`;
+    }
+}
+
+function closeInstructorView() {
+    instructorState.request++;
+    instructorState.current = null;
+
+    if (instructorElements.modal) {
+        instructorElements.modal.style.display = 'none';
+    }
+}
+
+function renderInstructorSections(result, term) {
+    const { instructor, courses } = result;
+
+    instructorElements.title.textContent = instructor.Name || instructorState.current?.name || 'Instructor';
+
+    if (courses.length === 0) {
+        instructorElements.body.innerHTML = `<p class="instructor-empty">No sections in ${escapeHtml(term.Name)}.</p>`;
+        return;
+    }
+
+    const sectionCount = courses.reduce((sum, { sections }) => sum + sections.length, 0);
+    const selectedIds = new Set((window.CourseSearch?.state.selectedSections || []).map(section => section.Id));
+
+    const items = courses.map(({ course, sections }) => {
+        const code = `${course.Subject?.Abbreviation || ''} ${course.Number?.replace(/^0+/, '') || ''}`.trim();
+
+        const rows = sections.map(section => `
+            <li class="instructor-section ${selectedIds.has(section.Id) ? 'selected' : ''}">
+                <div class="section-header">
+                    <span class="section-crn">CRN: ${escapeHtml(section.Crn || 'N/A')}</span>
+                    <span class="section-type">${escapeHtml(section.Type || 'Lecture')}</span>
+                </div>
+                <div class="section-times">${formatMeetingTimes(section.Meetings)}</div>
+                ${window.SeatWatch?.summary(section) || ''}
+                ${selectedIds.has(section.Id) ? '<div class="instructor-on-schedule">✓ On your schedule</div>' : ''}
+            </li>
+        `).join('');
+
+        return `
+            <div class="instructor-course">
+                <h4><span class="course-code">${escapeHtml(code)}</span> ${escapeHtml(course.Title)}</h4>
+                <ul class="instructor-section-list">${rows}</ul>
+            </div>
+        `;
+    }).join('');
+
+    instructorElements.body.innerHTML = `
+        <p class="instructor-summary">
+            ${courses.length} course${courses.length !== 1 ? 's' : ''} ·
+            ${sectionCount} section${sectionCount !== 1 ? 's' : ''} in ${escapeHtml(term.Name)}
+        </p>
+        ${items}
+    `;
+}
+
+// ==========================================
+// Export
+// ==========================================
+if (typeof window !== 'undefined') {
+    window.InstructorView = {
+        init: initInstructorView,
+        open: openInstructorView,
+        links: instructorLinks,
+        state: instructorState
+    };
+}
@@ -0,0 +1,238 @@
+/**
+ * Linked Sections
+ * Many Purdue courses are taken as a bundle: one section of every component
+ * (Lecture, Laboratory, Recitation, ...) of the same class. The course-sections
+ * endpoint groups sections by class; this module turns those groups into the
+ * bundles shown in the section list and warns when a course in the schedule
+ * is missing a required component.
+ */
+
+// ==========================================
+// Configuration
+// ==========================================
+const LINKED_CONFIG = {
+    sectionsUrl: '/api/course-sections',
+    maxBundles: 200,      // per course; large classes can have thousands of combinations
+    maxCombinations: 5000 // tried per course, counting ones that overlap themselves
+};
+
+// ==========================================
+// State
+// ==========================================
+const linkedState = {
+    classes: new Map(), // "<termId>/<courseId>" -> [{ classId, components: [{ type, sectionIds }] }]
+    pending: new Set()  // keys being fetched for the schedule check
+};
+
+function linkedKey(termId, courseId) {
+    return `${termId}/${courseId}`;
+}
+
+/**
+ * Keep a course's class groups (the `classes` of a course-sections response)
+ */
+function rememberClasses(termId, courseId, classes) {
+    if (Array.isArray(classes)) {
+        linkedState.classes.set(linkedKey(termId, courseId), classes);
+    }
+}
+
+function hasLinkedComponents(classes) {
+    return classes.some(linkedClass => linkedClass.components.length > 1);
+}
+
+// ==========================================
+// Bundles
+// ==========================================
+/**
+ * One item from each list, every combination in turn (generated lazily, so
+ * enumeration can stop at the caps)
+ */
+function* linkedCartesian(lists, prefix = []) {
+    if (prefix.length === lists.length) {
+        yield prefix;
+        return;
+    }
+
+    for (const item of lists[prefix.length]) {
+        yield* linkedCartesian(lists, [...prefix, item]);
+    }
+}
+
+/**
+ * Valid bundles from a course's loaded sections: [{ classId, types, sections }],
+ * one section of every component of a class, skipping bundles that overlap themselves.
+ * Null when the course isn't linked (every class has a single component).
+ */
+function buildBundles(termId, course, sections) {
+    const classes = linkedState.classes.get(linkedKey(termId, course.Id));
+    if (!classes || !hasLinkedComponents(classes)) return null;
+
+    const byId = new Map(sections.map(section => [section.Id, { ...section, _course: course }]));
+    const findConflicts = window.ScheduleGrid?.findConflicts;
+    const bundles = [];
+    let tried = 0;
+
+    for (const linkedClass of classes) {
+        // Filters can leave a component with no sections; then the class has no bundles
+        const choices = linkedClass.components.map(component =>
+            component.sectionIds.map(id => byId.get(id)).filter(Boolean)
+        );
+        if (choices.some(list => list.length === 0)) continue;
+
+        for (const picks of linkedCartesian(choices)) {
+            if (++tried > LINKED_CONFIG.maxCombinations) return bundles;
+            if (findConflicts && findConflicts(picks).length > 0) continue;
+
+            bundles.push({
+                classId: linkedClass.classId,
+                types: linkedClass.components.map(component => component.type),
+                sections: picks
+            });
+
+            if (bundles.length >= LINKED_CONFIG.maxBundles) return bundles;
+        }
+    }
+
+    return bundles;
+}
+
+// ==========================================
+// Missing Components
+// ==========================================
+
+/**
+ * Courses in the schedule that can't be registered as picked:
+ * [{ course, missing: [type], mixed }] where `mixed` means sections from different classes
+ */
+function findLinkProblems(termId, sections) {
+    const byCourse = new Map();
+    sections.forEach(section => {
+        const courseId = section._course?.Id;
+        if (!courseId) return;
+        if (!byCourse.has(courseId)) byCourse.set(courseId, []);
+        byCourse.get(courseId).push(section);
+    });
+
+    const problems = [];
+
+    byCourse.forEach((courseSections, courseId) => {
+        const classes = linkedState.classes.get(linkedKey(termId, courseId));
+        if (!classes) return;
+
+        const selectedIds = new Set(courseSections.map(section => section.Id));
+        const touched = classes.filter(linkedClass =>
+            linkedClass.components.some(component => component.sectionIds.some(id => selectedIds.has(id)))
+        );
+
+        if (touched.length === 0) return;
+
+        const course = courseSections[0]._course;
+
+        if (touched.length > 1) {
+            problems.push({ course, missing: [], mixed: true });
+            return;
+        }
+
+        const missing = touched[0].components
+            .filter(component => !component.sectionIds.some(id => selectedIds.has(id)))
+            .map(component => component.type);
+
+        if (missing.length > 0) {
+            problems.push({ course, missing, mixed: false });
+        }
+    });
+
+    return problems;
+}
+
+/**
+ * Fetch class groups for schedule courses that haven't been seen yet, then re-check
+ */
+async function loadMissingClasses(termId, courseIds) {
+    const keys = courseIds
+        .map(courseId => [courseId, linkedKey(termId, courseId)])
+        .filter(([, key]) => !linkedState.classes.has(key) && !linkedState.pending.has(key));
+
+    if (keys.length === 0) return;
+
+    keys.forEach(([, key]) => linkedState.pending.add(key));
+
+    await Promise.all(keys.map(async ([courseId, key]) => {
+        try {
+            const response = await fetch(`${LINKED_CONFIG.sectionsUrl}/${courseId}/${termId}`);
+            const result = await response.json();
+
+            // Older cached responses have no `classes`; treat those courses as unlinked
+            linkedState.classes.set(key, response.ok && result.success ? result.classes || [] : []);
+        } catch (error) {
+            console.error(`Error loading linked sections for ${courseId}:`, error);
+            linkedState.classes.set(key, []);
+        } finally {
+            linkedState.pending.delete(key);
+        }
+    }));
+
+    if (window.CourseSearch?.state.currentTerm?.Id === termId) {
+        checkLinkedSections();
+    }
+}
+
+function linkedCourseCode(course) {
+    return `${course?.Subject?.Abbreviation || ''} ${course?.Number?.replace(/^0+/, '') || ''}`.trim();
+}
+
+/**
+ * Warn about courses in the schedule that are missing a linked component
+ */
+function checkLinkedSections() {
+    const container = document.getElementById('linkedWarning');
+    const searchState = window.CourseSearch?.state;
+    if (!container || !searchState) return;
+
+    const termId = searchState.currentTerm?.Id;
+    const sections = termId ? searchState.selectedSections : [];
+
+    const problems = findLinkProblems(termId, sections);
+
+    if (problems.length === 0) {
+        container.style.display = 'none';
+        container.innerHTML = '';
+    } else {
+        const items = problems.map(({ course, missing, mixed }) => `
+            <li>
+                <strong>${escapeHtml(linkedCourseCode(course))}</strong>
+                ${mixed
+                    ? 'mixes sections from different linked groups; pick one bundle'
+                    : `needs a ${escapeHtml(missing.join(' and a '))}`}
+            </li>
+        `).join('');
+
+        container.style.display = 'flex';
+        container.innerHTML = `
+            <span class="conflict-icon">🧩</span>
+            <div>
+                <strong>Incomplete course${problems.length !== 1 ? 's' : ''}</strong>
+                <ul class="linked-warning-list">${items}</ul>
+                <small>Purdue registers a lecture together with its linked lab/recitation. Use a bundle from View Sections.</small>
+            </div>
+        `;
+    }
+
+    if (termId) {
+        loadMissingClasses(termId, [...new Set(sections.map(section => section._course?.Id).filter(Boolean))]);
+    }
+}
+
+// ==========================================
+// Export
+// ==========================================
+if (typeof window !== 'undefined') {
+    window.LinkedSections = {
+        remember: rememberClasses,
+        bundles: buildBundles,
+        problems: findLinkProblems,
+        check: checkLinkedSections,
+        state: linkedState
+    };
+}
@@ -0,0 +1,371 @@
+/**
+ * Prerequisites, Corequisites & Restrictions
+ * Requisites come from data/requisites.json when a course is listed there, otherwise
+ * they're parsed from the "Prerequisite(s): ... Corequisite(s): ... Restriction(s): ..."
+ * text of the course description. They're checked against the student's
+ * completed-courses list (and, for corequisites, the current schedule) and unmet
+ * ones are flagged on search results and on schedule grid blocks.
+ *
+ * Requisite groups are lists of alternatives: [["CS 18000"], ["MA 16100", "MA 16500"]]
+ * means CS 18000 and one of MA 16100 or MA 16500.
+ */
+
+// ==========================================
+// Configuration
+// ==========================================
+const REQUISITES_CONFIG = {
+    dataUrl: 'data/requisites.json',
+    storageKey: 'purdueCompletedCourses'
+};
+
+// ==========================================
+// State
+// ==========================================
+const requisitesState = {
+    courses: {},         // course code -> requisites from data/requisites.json
+    note: '',
+    completed: [],       // course codes ("CS 18000") the student has finished
+    byCode: new Map()    // course code -> requisites seen this session
+};
+
+// ==========================================
+// Initialization
+// ==========================================
+async function initRequisites() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(REQUISITES_CONFIG.storageKey) || '[]');
+        requisitesState.completed = Array.isArray(saved) ? saved.map(normalizeRequisiteCode).filter(Boolean) : [];
+    } catch (error) {
+        console.error('Error loading completed courses:', error);
+        requisitesState.completed = [];
+    }
+
+    document.getElementById('completedAddBtn')?.addEventListener('click', addCompletedFromInput);
+    document.getElementById('completedInput')?.addEventListener('keydown', event => {
+        if (event.key === 'Enter') addCompletedFromInput();
+    });
+
+    try {
+        const response = await fetch(REQUISITES_CONFIG.dataUrl);
+        if (!response.ok) throw new Error('Failed to load course requisites');
+
+        const data = await response.json();
+        requisitesState.courses = data.courses || {};
+        requisitesState.note = data.note || '';
+    } catch (error) {
+        console.error('Error loading course requisites:', error);
+        requisitesState.courses = {};
+    }
+
+    renderCompletedCourses();
+    requisitesChanged();
+}
+
+// ==========================================
+// Course Codes
+// ==========================================
+
+/**
+ * "cs180", "CS 180" or "CS18000" -> "CS 18000"; null when it isn't a course code
+ */
+function normalizeRequisiteCode(code) {
+    const match = String(code || '').trim().match(/^([A-Za-z]{2,5})\s*(\d{3,5})$/);
+    if (!match) return null;
+
+    return `${match[1].toUpperCase()} ${match[2].padEnd(5, '0')}`;
+}
+
+function requisiteCourseCode(course) {
+    return `${course?.Subject?.Abbreviation || ''} ${course?.Number || ''}`.trim().toUpperCase();
+}
+
+function requisiteCodeLabel(code) {
+    const [subject, number = ''] = code.split(' ');
+    return `${subject} ${number.replace(/^0+/, '')}`.trim();
+}
+
+// ==========================================
+// Parsing
+// ==========================================
+
+/**
+ * Requisite groups in a piece of description text. Outside parentheses "and", ";"
+ * and commas (except ", or") separate groups; "or" lists alternatives within a group.
+ */
+function parseRequisiteGroups(text) {
+    const parts = [''];
+    let depth = 0;
+
+    (text || '').split(/(\(|\)|;|,(?!\s*or\b)|\band\b)/i).forEach(token => {
+        if (token === '(') depth++;
+        else if (token === ')') depth = Math.max(0, depth - 1);
+
+        if (depth === 0 && /^(;|,|and)$/i.test(token)) {
+            parts.push('');
+        } else {
+            parts[parts.length - 1] += token;
+        }
+    });
+
+    return parts
+        .map(part => (part.match(/\b[A-Z]{2,5}\s?\d{3,5}\b/g) || []).map(normalizeRequisiteCode))
+        .filter(group => group.length > 0);
+}
+
+/**
+ * { prerequisites, corequisites, restrictions } from a course description.
+ * "Prerequisite or corequisite:" courses may be taken in the same term, so they
+ * count as corequisites.
+ */
+function parseRequisites(description) {
+    const result = { prerequisites: [], corequisites: [], restrictions: [] };
+    const labels = /(prerequisites?(?:\s+or\s+corequisites?)?|corequisites?|restrictions?)\s*:/gi;
+    const text = description || '';
+    const found = [...text.matchAll(labels)];
+
+    found.forEach((match, index) => {
+        const start = match.index + match[0].length;
+        const end = index + 1 < found.length ? found[index + 1].index : text.length;
+        // Stop at the end of the sentence ("... CS 18000. Typically offered Fall.")
+        const body = text.slice(start, end).split(/\.\s+(?=[A-Z][a-z])/)[0].trim().replace(/\.$/, '');
+        const label = match[1].toLowerCase();
+
+        if (label.startsWith('restriction')) {
+            if (body) result.restrictions.push(body);
+        } else if (label.includes('corequisite')) {
+            result.corequisites.push(...parseRequisiteGroups(body));
+        } else {
+            result.prerequisites.push(...parseRequisiteGroups(body));
+        }
+    });
+
+    return result;
+}
+
+/**
+ * Requisites for a course code from data/requisites.json, or null when it isn't listed
+ */
+function listedRequisites(code) {
+    const listed = requisitesState.courses[code];
+    if (!listed) return null;
+
+    return {
+        prerequisites: (listed.prerequisites || []).map(group => group.map(normalizeRequisiteCode).filter(Boolean)),
+        corequisites: (listed.corequisites || []).map(group => group.map(normalizeRequisiteCode).filter(Boolean)),
+        restrictions: listed.restrictions || []
+    };
+}
+
+/**
+ * Requisites for a course: data/requisites.json first, then the description.
+ * The result is kept on the course (`course.Requisites`) so saved schedules keep it.
+ */
+function requisitesForCourse(course) {
+    const code = requisiteCourseCode(course);
+    const listed = listedRequisites(code);
+
+    let requisites;
+    if (listed) {
+        requisites = listed;
+    } else if (course?.Requisites) {
+        requisites = course.Requisites;
+    } else if (course?.Description) {
+        requisites = parseRequisites(course.Description);
+    } else {
+        requisites = requisitesState.byCode.get(code) || { prerequisites: [], corequisites: [], restrictions: [] };
+    }
+
+    if (course) course.Requisites = requisites;
+    if (code) requisitesState.byCode.set(code, requisites);
+    return requisites;
+}
+
+// ==========================================
+// Checking
+// ==========================================
+function scheduledRequisiteCodes() {
+    const sections = window.CourseSearch?.state.selectedSections || [];
+    return new Set(sections.map(section => requisiteCourseCode(section._course)).filter(Boolean));
+}
+
+/**
+ * Unmet requisite groups: { prerequisites, corequisites, restrictions }
+ * (restrictions are shown, not checked)
+ */
+function checkRequisites(requisites) {
+    const completed = new Set(requisitesState.completed);
+    const scheduled = scheduledRequisiteCodes();
+
+    return {
+        prerequisites: requisites.prerequisites.filter(group => !group.some(option => completed.has(option))),
+        corequisites: requisites.corequisites.filter(group =>
+            !group.some(option => completed.has(option) || scheduled.has(option))),
+        restrictions: requisites.restrictions
+    };
+}
+
+/**
+ * Messages for unmet prerequisites/corequisites of a scheduled course (grid blocks)
+ */
+function requisiteIssuesFor(course) {
+    if (!course) return [];
+
+    const unmet = checkRequisites(requisitesForCourse(course));
+    return [
+        ...unmet.prerequisites.map(group => `Prerequisite not completed: ${formatRequisiteGroup(group)}`),
+        ...unmet.corequisites.map(group => `Corequisite not completed or scheduled: ${formatRequisiteGroup(group)}`)
+    ];
+}
+
+function formatRequisiteGroup(group) {
+    return group.map(requisiteCodeLabel).join(' or ');
+}
+
+// ==========================================
+// Completed Courses
+// ==========================================
+function saveCompletedCourses() {
+    localStorage.setItem(REQUISITES_CONFIG.storageKey, JSON.stringify(requisitesState.completed));
+}
+
+function addCompletedFromInput() {
+    const input = document.getElementById('completedInput');
+    if (!input || !input.value.trim()) return;
+
+    const codes = input.value.split(/[,;\n]+/).map(value => value.trim()).filter(Boolean);
+    const invalid = codes.filter(code => !normalizeRequisiteCode(code));
+
+    if (invalid.length > 0) {
+        alert(`Not a course code: ${invalid.join(', ')}. Use the form "CS 18000" or "CS 180".`);
+        return;
+    }
+
+    codes.map(normalizeRequisiteCode).forEach(code => {
+        if (!requisitesState.completed.includes(code)) requisitesState.completed.push(code);
+    });
+    requisitesState.completed.sort();
+    input.value = '';
+
+    saveCompletedCourses();
+    renderCompletedCourses();
+    requisitesChanged();
+}
+
+function removeCompletedCourse(code) {
+    requisitesState.completed = requisitesState.completed.filter(c => c !== code);
+
+    saveCompletedCourses();
+    renderCompletedCourses();
+    requisitesChanged();
+}
+
+function isCourseCompleted(code) {
+    return requisitesState.completed.includes(normalizeRequisiteCode(code));
+}
+
+// ==========================================
+// Rendering
+// ==========================================
+
+/**
+ * Redraw everything that depends on requisites or the completed list
+ */
+function requisitesChanged() {
+    if (window.CourseSearch) {
+        // Re-renders the grid, which refreshes the course card flags too
+        window.CourseSearch.refreshSchedule();
+    } else {
+        refreshRequisiteFlags();
+    }
+    window.FourYearPlan?.refresh();
+}
+
+function renderCompletedCourses() {
+    const list = document.getElementById('completedList');
+    if (!list) return;
+
+    list.innerHTML = requisitesState.completed.length === 0
+        ? '<span class="completed-empty">Add courses you\'ve passed to check prerequisites</span>'
+        : '';
+
+    requisitesState.completed.forEach(code => {
+        const chip = document.createElement('span');
+        chip.className = 'completed-chip';
+        chip.innerHTML = `
+            ${escapeHtml(requisiteCodeLabel(code))}
+            <button type="button" class="completed-chip-remove" title="Remove">×</button>
+        `;
+        chip.querySelector('button').addEventListener('click', () => removeCompletedCourse(code));
+        list.appendChild(chip);
+    });
+
+    const note = document.getElementById('completedNote');
+    if (note) note.textContent = requisitesState.note;
+}
+
+/**
+ * Requisite lines for a course card; unmet groups are marked
+ */
+function requisiteSummaryForCode(code) {
+    const requisites = listedRequisites(code) || requisitesState.byCode.get(code);
+    if (!requisites) return '';
+
+    const unmet = checkRequisites(requisites);
+    const groups = (all, missing) => all
+        .map(group => `<span class="requisite-group ${missing.includes(group) ? 'unmet' : 'met'}">${escapeHtml(formatRequisiteGroup(group))}</span>`)
+        .join(', ');
+
+    const lines = [];
+    if (requisites.prerequisites.length > 0) {
+        lines.push(`<div class="requisite-line"><strong>Prerequisites:</strong> ${groups(requisites.prerequisites, unmet.prerequisites)}</div>`);
+    }
+    if (requisites.corequisites.length > 0) {
+        lines.push(`<div class="requisite-line"><strong>Corequisites:</strong> ${groups(requisites.corequisites, unmet.corequisites)}</div>`);
+    }
+    if (requisites.restrictions.length > 0) {
+        lines.push(`<div class="requisite-line"><strong>Restrictions:</strong> ${escapeHtml(requisites.restrictions.join('; '))}</div>`);
+    }
+
+    if (lines.length === 0) return '';
+
+    const blocked = unmet.prerequisites.length > 0 || unmet.corequisites.length > 0;
+    return `
+        <div class="requisite-status ${blocked ? 'unmet' : 'met'}">
+            ${blocked ? '⛔ Requirements not met' : '✓ Requirements met'}
+        </div>
+        ${lines.join('')}
+    `;
+}
+
+function requisiteSummary(course) {
+    requisitesForCourse(course);
+    return requisiteSummaryForCode(requisiteCourseCode(course));
+}
+
+/**
+ * Re-check the visible search results (after the completed list or schedule changes)
+ */
+function refreshRequisiteFlags() {
+    document.querySelectorAll('.course-card').forEach(card => {
+        const container = card.querySelector('.course-requisites');
+        if (!container || !card.dataset.courseCode) return;
+
+        container.innerHTML = requisiteSummaryForCode(card.dataset.courseCode);
+    });
+}
+
+// ==========================================
+// Export
+// ==========================================
+if (typeof window !== 'undefined') {
+    window.Requisites = {
+        init: initRequisites,
+        forCourse: requisitesForCourse,
+        parse: parseRequisites,
+        summary: requisiteSummary,
+        issuesFor: requisiteIssuesFor,
+        isCompleted: isCourseCompleted,
+        refresh: refreshRequisiteFlags,
+        state: requisitesState
+    };
+}
@@ -0,0 +1,267 @@
+/**
+ * Room Explorer
+ * Pick a building to see its rooms, a weekly timetable of every class held in a
+ * room during the selected term, and which rooms are empty right now (for
+ * finding study space). Timetables and empty rooms come from
+ * /api/buildings/:id/timetable and /api/buildings/:id/empty-rooms.
+ */
+
+// ==========================================
+// Configuration
+// ==========================================
+const ROOMS_CONFIG = {
+    buildingsUrl: '/api/purdue/Buildings',
+    endpoint: '/api/buildings',
+    dayLetters: ['M', 'T', 'W', 'R', 'F', 'S', 'U'],
+    dayNames: ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'],
+    weekdayCount: 5
+};
+
+// ==========================================
+// State
+// ==========================================
+const roomState = {
+    buildings: [],
+    buildingId: null,
+    roomId: null,
+    timetable: null,  // last /timetable response for buildingId
+    request: 0        // ignores responses for a building that's no longer selected
+};
+
+const roomElements = {
+    buildingSelect: null,
+    roomSelect: null,
+    emptyButton: null,
+    emptyRooms: null,
+    timetable: null
+};
+
+// ==========================================
+// Initialization
+// ==========================================
+async function initRoomExplorer() {
+    roomElements.buildingSelect = document.getElementById('roomBuildingSelect');
+    roomElements.roomSelect = document.getElementById('roomSelect');
+    roomElements.emptyButton = document.getElementById('emptyRoomsBtn');
+    roomElements.emptyRooms = document.getElementById('emptyRooms');
+    roomElements.timetable = document.getElementById('roomTimetable');
+
+    if (!roomElements.buildingSelect) return;
+
+    roomElements.buildingSelect.addEventListener('change', event => selectBuilding(event.target.value || null));
+    roomElements.roomSelect?.addEventListener('change', event => {
+        roomState.roomId = event.target.value || null;
+        renderRoomTimetable();
+    });
+    roomElements.emptyButton?.addEventListener('click', findEmptyRoomsNow);
+
+    await loadBuildings();
+}
+
+async function loadBuildings() {
+    try {
+        const response = await fetch(ROOMS_CONFIG.buildingsUrl);
+        if (!response.ok) throw new Error('Failed to load buildings');
+
+        const data = await response.json();
+        roomState.buildings = data.value
+            .filter(building => building.ShortCode)
+            .sort((a, b) => a.ShortCode.localeCompare(b.ShortCode));
+    } catch (error) {
+        console.error('Error loading buildings:', error);
+        roomState.buildings = [];
+    }
+
+    roomElements.buildingSelect.innerHTML = '<option value="">Choose a building...</option>' + roomState.buildings
+        .map(building => `<option value="${escapeHtml(building.Id)}">${escapeHtml(building.ShortCode)} · ${escapeHtml(building.Name)}</option>`)
+        .join('');
+}
+
+// ==========================================
+// Building & Room Selection
+// ==========================================
+function currentRoomTerm() {
+    return window.CourseSearch?.state.currentTerm || null;
+}
+
+async function selectBuilding(buildingId) {
+    const request = ++roomState.request;
+    roomState.buildingId = buildingId;
+    roomState.roomId = null;
+    roomState.timetable = null;
+
+    roomElements.emptyRooms.innerHTML = '';
+    roomElements.roomSelect.innerHTML = '<option value="">All rooms</option>';
+    roomElements.roomSelect.disabled = true;
+    if (roomElements.emptyButton) roomElements.emptyButton.disabled = !buildingId;
+
+    const term = currentRoomTerm();
+    if (!buildingId || !term) {
+        roomElements.timetable.innerHTML = buildingId ? '<p class="room-empty-state">Pick a term in the course planner first.</p>' : '';
+        return;
+    }
+
+    roomElements.timetable.innerHTML = `<div class="loading-sections">Loading ${escapeHtml(term.Name)} classes...</div>`;
+
+    try {
+        const params = new URLSearchParams({ termId: term.Id });
+        const response = await fetch(`${ROOMS_CONFIG.endpoint}/${encodeURIComponent(buildingId)}/timetable?${params}`);
+        const result = await response.json();
+
+        if (!response.ok || !result.success) {
+            throw new Error(result.error || `Request failed: ${response.status}`);
+        }
+
+        if (request !== roomState.request) return;
+
+        roomState.timetable = result;
+        roomElements.roomSelect.innerHTML = '<option value="">All rooms</option>' + result.rooms
+            .map(room => `<option value="${escapeHtml(room.Id)}">${escapeHtml(result.building.ShortCode)} ${escapeHtml(room.Number)}</option>`)
+            .join('');
+        roomElements.roomSelect.disabled = false;
+
+        renderRoomTimetable();
+    } catch (error) {
+        if (request !== roomState.request) return;
+
+        console.error('Error loading room timetable:', error);
+        roomElements.timetable.innerHTML = `<p class="room-empty-state">Couldn't load this building's classes: ${escapeHtml(error.message)}</p>`;
+    }
+}
+
+// ==========================================
+// Timetable
+// ==========================================
+function formatRoomMinutes(minutes) {
+    return formatTimeString(Math.floor(minutes / 60), minutes % 60);
+}
+
+function roomCourseLabel(meeting) {
+    return (meeting.course || 'Class').replace(/ 0*(\d+)$/, (match, number) => ` ${number}`);
+}
+
+/**
+ * Weekly timetable of the selected room (or every room in the building)
+ */
+function renderRoomTimetable() {
+    const timetable = roomState.timetable;
+    if (!timetable) return;
+
+    const rooms = new Map(timetable.rooms.map(room => [room.Id, room]));
+    const meetings = timetable.meetings.filter(meeting => !roomState.roomId || meeting.roomId === roomState.roomId);
+
+    if (meetings.length === 0) {
+        roomElements.timetable.innerHTML = `<p class="room-empty-state">No classes meet here in ${escapeHtml(timetable.term.Name)}.</p>`;
+        return;
+    }
+
+    // Weekdays always; weekend days only when something meets then
+    const days = ROOMS_CONFIG.dayLetters
+        .map((letter, index) => index)
+        .filter(index => index < ROOMS_CONFIG.weekdayCount ||
+            meetings.some(meeting => meeting.days.includes(ROOMS_CONFIG.dayLetters[index])));
+
+    const columns = days.map(index => {
+        const letter = ROOMS_CONFIG.dayLetters[index];
+        const items = meetings
+            .filter(meeting => meeting.days.includes(letter))
+            .map(meeting => `
+                <li class="room-meeting" title="${escapeHtml(`${meeting.title || ''}${meeting.crn ? ` · CRN ${meeting.crn}` : ''}`)}">
+                    <span class="room-meeting-time">${formatRoomMinutes(meeting.start)}–${formatRoomMinutes(meeting.end)}</span>
+                    <span class="room-meeting-course">${escapeHtml(roomCourseLabel(meeting))}</span>
+                    <span class="room-meeting-detail">
+                        ${escapeHtml(meeting.type)}${roomState.roomId ? '' : ` · ${escapeHtml(rooms.get(meeting.roomId)?.Number)}`}
+                    </span>
+                </li>
+            `).join('');
+
+        return `
+            <div class="room-day">
+                <h5>${ROOMS_CONFIG.dayNames[index]}</h5>
+                <ul class="room-meetings">${items || '<li class="room-free-day">No classes</li>'}</ul>
+            </div>
+        `;
+    }).join('');
+
+    const roomName = roomState.roomId
+        ? `${timetable.building.ShortCode} ${rooms.get(roomState.roomId)?.Number || ''}`
+        : `${timetable.building.ShortCode} (${timetable.rooms.length} room${timetable.rooms.length !== 1 ? 's' : ''})`;
+
+    roomElements.timetable.innerHTML = `
+        <div class="room-timetable-title">${escapeHtml(roomName)} · ${escapeHtml(timetable.term.Name)}</div>
+        <div class="room-week" style="grid-template-columns: repeat(${days.length}, minmax(0, 1fr));">${columns}</div>
+    `;
+}
+
+// ==========================================
+// Empty Rooms
+// ==========================================
+async function findEmptyRoomsNow() {
+    const term = currentRoomTerm();
+    if (!roomState.buildingId || !term) return;
+
+    // The planner switched terms since the building was picked
+    if (roomState.timetable && roomState.timetable.term.Id !== term.Id) {
+        await selectBuilding(roomState.buildingId);
+    }
+
+    const button = roomElements.emptyButton;
+    button.disabled = true;
+    roomElements.emptyRooms.innerHTML = '<div class="loading-sections">Checking rooms...</div>';
+
+    try {
+        const params = new URLSearchParams({ termId: term.Id });
+        const response = await fetch(`${ROOMS_CONFIG.endpoint}/${encodeURIComponent(roomState.buildingId)}/empty-rooms?${params}`);
+        const result = await response.json();
+
+        if (!response.ok || !result.success) {
+            throw new Error(result.error || `Request failed: ${response.status}`);
+        }
+
+        renderEmptyRooms(result);
+    } catch (error) {
+        console.error('Error finding empty rooms:', error);
+        roomElements.emptyRooms.innerHTML = `<p class="room-empty-state">Couldn't check the rooms: ${escapeHtml(error.message)}</p>`;
+    } finally {
+        button.disabled = false;
+    }
+}
+
+function renderEmptyRooms(result) {
+    const { building, term, at, empty, busy } = result;
+    const outsideTerm = (term.StartDate && at.date < term.StartDate) || (term.EndDate && at.date > term.EndDate);
+
+    const emptyItems = empty.map(({ room, freeUntil }) => `
+        <li class="room-status free">
+            🟢 <strong>${escapeHtml(building.ShortCode)} ${escapeHtml(room.Number)}</strong>
+            <span>${freeUntil === null ? 'free for the rest of the day' : `free until ${formatRoomMinutes(freeUntil)}`}</span>
+        </li>
+    `).join('');
+
+    const busyItems = busy.map(({ room, until, course }) => `
+        <li class="room-status busy">
+            🔴 <strong>${escapeHtml(building.ShortCode)} ${escapeHtml(room.Number)}</strong>
+            <span>${course ? escapeHtml(roomCourseLabel({ course })) : 'class'} until ${formatRoomMinutes(until)}</span>
+        </li>
+    `).join('');
+
+    roomElements.emptyRooms.innerHTML = `
+        <div class="room-empty-summary">
+            ${empty.length} of ${empty.length + busy.length} rooms empty at ${formatRoomMinutes(at.minutes)}
+            ${outsideTerm ? `<span class="room-warning">Today is outside ${escapeHtml(term.Name)}, so no classes are scheduled.</span>` : ''}
+        </div>
+        <ul class="room-status-list">${emptyItems}${busyItems}</ul>
+        <p class="room-note">Only scheduled classes are known; exams, events and reservations aren't included.</p>
+    `;
+}
+
+// ==========================================
+// Export
+// ==========================================
+if (typeof window !== 'undefined') {
+    window.RoomExplorer = {
+        init: initRoomExplorer,
+        selectBuilding,
+        state: roomState
+    };
+}
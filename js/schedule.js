@@ -7,9 +7,13 @@
 // Configuration
 // ==========================================
 const SCHEDULE_CONFIG = {
-    startHour: 7,
-    endHour: 22,
-    daysOfWeek: ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday'],
+    startHour: 7,       // the grid always shows weekdays 7 AM-10 PM, and grows
+    endHour: 22,        // for earlier, later and weekend meetings
+    minutesPerRow: 5,   // grid row resolution; meetings are placed to the nearest 5 minutes
+    rowHeight: 2.5,     // px per row (+1px gap) keeps 30 minutes at the old 21px
+    daysOfWeek: ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'],
+    weekdayCount: 5,
+    onlinePattern: /online|distance|asynchronous|virtual/i,
     dayAbbreviations: {
         'Monday': 'M',
         'Tuesday': 'T',
@@ -30,7 +34,9 @@ const SCHEDULE_CONFIG = {
         '#FF8A65', // Coral
         '#9575CD', // Deep Purple
         '#FFD54F'  // Yellow
-    ]
+    ],
+    minFreeMinutes: 30,  // shorter common gaps aren't listed
+    freeBlocksPerDay: 3
 };
 
 // ==========================================
@@ -39,20 +45,40 @@ const SCHEDULE_CONFIG = {
 const scheduleState = {
     renderedSections: [],
     colorMap: new Map(), // courseId -> color
-    conflicts: []
+    conflicts: [],
+    commonFree: [],      // [{ day, start, end, minutes }] when friend overlays are shown
+    week: null,          // { startDate, endDate } of the week picked, or null for the whole term
+    lastRender: null     // [sections, options] to redraw when the week changes
 };
 
 // ==========================================
 // Schedule Grid Rendering
 // ==========================================
-function renderScheduleGrid(sections) {
+/**
+ * Render sections into the weekly grid.
+ * options.previewLabel marks the grid as a preview (e.g. a generated schedule) that isn't saved yet.
+ * options.keepVisible shows an empty grid instead of hiding the schedule (e.g. an empty named plan).
+ * options.overlays are friends' schedules ([{ name, color, sections }]) drawn as translucent
+ * layers, with the slots where everyone is free highlighted.
+ * Only meetings held in the week picked in the week picker are drawn.
+ */
+function renderScheduleGrid(sections, options = {}) {
     const scheduleContainer = document.getElementById('scheduleGrid');
     const scheduleSection = document.getElementById('scheduleSection');
 
     if (!scheduleContainer) return;
 
+    const overlays = options.overlays || [];
+    scheduleState.lastRender = [sections, options];
+
+    updatePreviewBadge(options.previewLabel);
+    updateWeekPicker();
+    const week = scheduleState.week;
+
     // Show/hide schedule section
-    if (sections.length === 0) {
+    if (sections.length === 0 && overlays.length === 0 && !options.keepVisible) {
+        renderCommonFreeTime([], []);
+        renderUnscheduledTray([]);
         scheduleSection.style.display = 'none';
         return;
     }
@@ -60,24 +86,41 @@ function renderScheduleGrid(sections) {
     scheduleSection.style.display = 'block';
     scheduleState.renderedSections = sections;
 
+    if (sections.length === 0 && overlays.length === 0) {
+        renderEmptyGrid(scheduleContainer);
+        return;
+    }
+
     // Clear previous grid
     scheduleContainer.innerHTML = '';
     scheduleContainer.className = 'schedule-grid active';
 
-    // Create grid structure
-    const grid = createGridStructure();
-    scheduleContainer.appendChild(grid);
-
     // Assign colors to courses
     assignCourseColors(sections);
 
     // Detect conflicts
     scheduleState.conflicts = detectAllConflicts(sections);
 
-    // Render each section
-    sections.forEach(section => {
-        renderSection(section, grid);
+    // Days and hours that fit every meeting, friends' included
+    const layout = computeGridLayout([...sections, ...overlays.flatMap(overlay => overlay.sections)]);
+
+    // Time everyone (you and the shown friends) is free
+    scheduleState.commonFree = overlays.length > 0
+        ? findCommonFreeBlocks([sections, ...overlays.map(overlay => overlay.sections)], week, layout)
+        : [];
+    renderCommonFreeTime(scheduleState.commonFree, overlays, layout);
+
+    // Create grid structure and render each section
+    const grid = buildWeeklyGrid(sections, scheduleState.conflicts, {
+        overlays,
+        freeBlocks: scheduleState.commonFree,
+        week,
+        layout
     });
+    scheduleContainer.appendChild(grid);
+
+    // Online, asynchronous and TBA sections can't go on the grid
+    renderUnscheduledTray(sections);
 
     // Update credit counter
     updateCreditCounter(sections);
@@ -85,77 +128,183 @@ function renderScheduleGrid(sections) {
     // Setup clear schedule button
     setupClearScheduleButton();
 
-    // Setup export schedule button
+    // Setup export schedule buttons
     setupExportScheduleButton();
+    setupExportCalendarButton();
+}
+
+function renderEmptyGrid(scheduleContainer) {
+    scheduleState.conflicts = [];
+    scheduleState.commonFree = [];
+    renderCommonFreeTime([], []);
+    renderUnscheduledTray([]);
+    hideConflictWarning();
+    updateCreditCounter([]);
+    setupClearScheduleButton();
+    setupExportScheduleButton();
+    setupExportCalendarButton();
+
+    scheduleContainer.className = 'schedule-grid';
+    scheduleContainer.innerHTML = `
+        <div class="schedule-empty">
+            <div class="schedule-empty-icon">📅</div>
+            <p>Add sections to see your schedule here</p>
+        </div>
+    `;
+}
+
+/**
+ * Weekly grid element for sections, with conflicting sections highlighted.
+ * Friend overlays, common free blocks, a single week ({ startDate, endDate }) and
+ * the grid layout (see computeGridLayout) are optional.
+ */
+function buildWeeklyGrid(sections, conflicts, { overlays = [], freeBlocks = [], week = null, layout = null } = {}) {
+    const view = {
+        conflicts,
+        week,
+        layout: layout || computeGridLayout([...sections, ...overlays.flatMap(overlay => overlay.sections)])
+    };
+    const grid = createGridStructure(view.layout);
+
+    if (freeBlocks.length > 0) {
+        highlightFreeCells(grid, freeBlocks, view.layout);
+    }
+
+    overlays.forEach(overlay => {
+        renderOverlay(overlay, grid, view);
+    });
+
+    sections.forEach(section => {
+        renderSection(section, grid, view);
+    });
+
+    // Meetings sharing a time slot (different halves of the term, or conflicts) sit side by side
+    layoutSharedSlots(grid);
+
+    return grid;
+}
+
+function updatePreviewBadge(label) {
+    const scheduleSection = document.getElementById('scheduleSection');
+    const badge = document.getElementById('schedulePreviewBadge');
+
+    if (scheduleSection) {
+        scheduleSection.classList.toggle('previewing', Boolean(label));
+    }
+
+    if (badge) {
+        badge.textContent = label || '';
+        badge.style.display = label ? 'inline-flex' : 'none';
+    }
 }
 
-function createGridStructure() {
+/**
+ * Days and hours the grid needs: { days: [dayIndex], startHour, endHour }.
+ * Weekdays from 7 AM to 10 PM always; weekend days and earlier or later
+ * hours only when a meeting falls there.
+ */
+function computeGridLayout(sections) {
+    const days = new Set(SCHEDULE_CONFIG.daysOfWeek.slice(0, SCHEDULE_CONFIG.weekdayCount).map((day, index) => index));
+    let startHour = SCHEDULE_CONFIG.startHour;
+    let endHour = SCHEDULE_CONFIG.endHour;
+
+    sections.forEach(section => {
+        (section.Meetings || []).filter(isTimedMeeting).forEach(meeting => {
+            const range = meetingMinuteRange(meeting);
+
+            parseDaysOfWeek(meeting.DaysOfWeek).forEach(day => days.add(day));
+            startHour = Math.min(startHour, Math.floor(range.start / 60));
+            endHour = Math.max(endHour, Math.min(24, Math.ceil(range.end / 60)));
+        });
+    });
+
+    return { days: [...days].sort((a, b) => a - b), startHour, endHour };
+}
+
+function createGridStructure(layout) {
     const grid = document.createElement('div');
     grid.className = 'weekly-grid';
 
     // Calculate grid dimensions
-    const numHours = SCHEDULE_CONFIG.endHour - SCHEDULE_CONFIG.startHour;
-    const numSlots = numHours * 2; // 30-minute slots
+    const numHours = layout.endHour - layout.startHour;
+    const numSlots = numHours * 2; // 30-minute background cells
 
-    // Set CSS grid template
-    grid.style.gridTemplateColumns = '60px repeat(5, 1fr)';
-    grid.style.gridTemplateRows = `40px repeat(${numSlots}, 20px)`;
+    // Set CSS grid template (one row per minutesPerRow, so meetings sit at their exact minute)
+    grid.style.gridTemplateColumns = `60px repeat(${layout.days.length}, 1fr)`;
+    grid.style.gridTemplateRows = `40px repeat(${gridRowCount(layout)}, ${SCHEDULE_CONFIG.rowHeight}px)`;
 
     // Create header row
-    createHeaderRow(grid);
+    createHeaderRow(grid, layout);
 
     // Create time labels and grid cells
-    createTimeLabelsAndCells(grid, numSlots);
+    createTimeLabelsAndCells(grid, numSlots, layout);
 
     return grid;
 }
 
-function createHeaderRow(grid) {
+function gridRowCount(layout) {
+    return (layout.endHour - layout.startHour) * 60 / SCHEDULE_CONFIG.minutesPerRow;
+}
+
+/**
+ * Grid column for a day index, or null when the layout doesn't show that day
+ */
+function dayColumn(layout, dayIndex) {
+    const position = layout.days.indexOf(dayIndex);
+    return position === -1 ? null : position + 2; // +2 for time label column and 1-indexing
+}
+
+function createHeaderRow(grid, layout) {
     // Empty corner cell
     const corner = document.createElement('div');
     corner.className = 'grid-corner';
+    corner.style.gridRow = 1;
     grid.appendChild(corner);
 
     // Day headers
-    SCHEDULE_CONFIG.daysOfWeek.forEach(day => {
+    layout.days.forEach(dayIndex => {
         const header = document.createElement('div');
         header.className = 'day-header';
-        header.textContent = day;
+        header.style.gridColumn = dayColumn(layout, dayIndex);
+        header.style.gridRow = 1;
+        header.textContent = SCHEDULE_CONFIG.daysOfWeek[dayIndex];
         grid.appendChild(header);
     });
 }
 
-function createTimeLabelsAndCells(grid, numSlots) {
+function createTimeLabelsAndCells(grid, numSlots, layout) {
+    const rowsPerSlot = 30 / SCHEDULE_CONFIG.minutesPerRow;
+
     for (let i = 0; i < numSlots; i++) {
-        const hour = SCHEDULE_CONFIG.startHour + Math.floor(i / 2);
+        const hour = layout.startHour + Math.floor(i / 2);
         const minutes = (i % 2) * 30;
+        const firstRow = i * rowsPerSlot + 2; // +2 for the header row and 1-indexing
 
         // Time label (only on the hour)
         if (minutes === 0) {
             const timeLabel = document.createElement('div');
             timeLabel.className = 'time-label';
             timeLabel.textContent = formatHour(hour);
-            timeLabel.style.gridRow = `${i + 2} / span 2`;
+            timeLabel.style.gridColumn = 1;
+            timeLabel.style.gridRow = `${firstRow} / span ${rowsPerSlot * 2}`;
             grid.appendChild(timeLabel);
-        } else {
-            const emptyLabel = document.createElement('div');
-            emptyLabel.className = 'time-label empty';
-            grid.appendChild(emptyLabel);
         }
 
         // Day cells
-        SCHEDULE_CONFIG.daysOfWeek.forEach((day, dayIndex) => {
+        layout.days.forEach(dayIndex => {
             const cell = document.createElement('div');
             cell.className = 'schedule-cell';
             cell.dataset.day = dayIndex;
             cell.dataset.slot = i;
+            cell.style.gridColumn = dayColumn(layout, dayIndex);
+            cell.style.gridRow = `${firstRow} / span ${rowsPerSlot}`;
             grid.appendChild(cell);
         });
     }
 }
 
 function formatHour(hour) {
-    if (hour === 0) return '12 AM';
+    if (hour === 0 || hour === 24) return '12 AM';
     if (hour < 12) return `${hour} AM`;
     if (hour === 12) return '12 PM';
     return `${hour - 12} PM`;
@@ -164,59 +313,85 @@ function formatHour(hour) {
 // ==========================================
 // Section Rendering
 // ==========================================
-function renderSection(section, grid) {
+/**
+ * view: { conflicts, week, layout } for the grid being built
+ */
+function renderSection(section, grid, view) {
     if (!section.Meetings || section.Meetings.length === 0) return;
 
     const courseId = section._course?.Id;
     const color = scheduleState.colorMap.get(courseId) || '#999';
 
     section.Meetings.forEach(meeting => {
-        renderMeeting(meeting, section, color, grid);
+        renderMeeting(meeting, section, color, grid, view);
     });
 }
 
-function renderMeeting(meeting, section, color, grid) {
-    if (!meeting.DaysOfWeek || !meeting.StartTime) return;
+function renderMeeting(meeting, section, color, grid, view) {
+    // Online/TBA meetings are listed in the Unscheduled tray instead
+    if (!isTimedMeeting(meeting)) return;
+
+    // Not held in the picked week (e.g. a second 8-week module)
+    if (view.week && !dateRangesOverlap(meetingDateRange(meeting, section), view.week)) return;
 
     // Parse days
     const days = parseDaysOfWeek(meeting.DaysOfWeek);
 
     days.forEach(dayIndex => {
-        const block = createMeetingBlock(meeting, section, color, dayIndex);
+        const block = createMeetingBlock(meeting, section, color, dayIndex, view);
         if (block) {
             grid.appendChild(block);
         }
     });
 }
 
-function createMeetingBlock(meeting, section, color, dayIndex) {
-    const timeInfo = parseTimeInfo(meeting.StartTime, meeting.Duration);
+function createMeetingBlock(meeting, section, color, dayIndex, view) {
+    const { conflicts, week, layout } = view;
+
+    const timeInfo = parseTimeInfo(meeting.StartTime, meeting.Duration, layout.startHour);
     if (!timeInfo) return null;
 
-    const { startSlot, numSlots } = timeInfo;
+    const { startRow, numRows } = timeInfo;
+    const column = dayColumn(layout, dayIndex);
 
     // Check if out of bounds
-    if (startSlot < 0 || startSlot >= (SCHEDULE_CONFIG.endHour - SCHEDULE_CONFIG.startHour) * 2) {
+    if (column === null || startRow < 0 || startRow >= gridRowCount(layout)) {
         return null;
     }
 
     const block = document.createElement('div');
     block.className = 'meeting-block';
 
-    // Check if this section has conflicts
-    const hasConflict = scheduleState.conflicts.some(conflict =>
-        conflict.sections.includes(section.Id)
+    // Check if this section has conflicts (in the picked week, when there is one)
+    const hasConflict = conflicts.some(conflict =>
+        conflict.sections.includes(section.Id) &&
+        (!week || conflict.overlaps.some(overlap => dateRangesOverlap(overlap, week)))
     );
 
     if (hasConflict) {
         block.classList.add('conflict');
     }
 
+    // Flags from a schedule refresh (cancelled, moved, retimed, instructor gone)
+    const changes = section._changes || [];
+    if (changes.length > 0) {
+        block.classList.add(changes.some(c => c.type === 'cancelled') ? 'cancelled' : 'changed');
+    }
+
+    // Prerequisites/corequisites not covered by the completed-courses list
+    const requisiteIssues = window.Requisites?.issuesFor(section._course) || [];
+    if (requisiteIssues.length > 0) {
+        block.classList.add('unmet-requisites');
+    }
+
     // Position in grid
-    block.style.gridColumn = dayIndex + 2; // +2 for time label column and 1-indexing
-    block.style.gridRow = `${startSlot + 2} / span ${numSlots}`;
+    block.style.gridColumn = column;
+    block.style.gridRow = `${startRow + 2} / span ${numRows}`;
     block.style.backgroundColor = color;
     block.style.borderLeft = `4px solid ${adjustBrightness(color, -20)}`;
+    block.dataset.day = dayIndex;
+    block.dataset.start = timeInfo.start;
+    block.dataset.end = timeInfo.end;
 
     // Content
     const subject = section._course?.Subject?.Abbreviation || '';
@@ -229,12 +404,17 @@ function createMeetingBlock(meeting, section, color, dayIndex) {
     const room = meeting.Room;
     const location = room ? `${room.Building?.ShortCode || ''} ${room.Number || ''}`.trim() : '';
 
+    // Partial-term meetings (8-week modules) say when they run
+    const dateRange = meetingDateRange(meeting, section);
+    const dates = isPartialTerm(dateRange) ? formatDateRange(dateRange) : '';
+
     block.innerHTML = `
         <div class="meeting-block-content">
-            <div class="meeting-course">${courseCode}</div>
-            <div class="meeting-type">${type}</div>
-            ${location ? `<div class="meeting-location">${location}</div>` : ''}
-            <div class="meeting-time">${time}</div>
+            <div class="meeting-course">${requisiteIssues.length > 0 ? '⛔ ' : ''}${escapeHtml(courseCode)}</div>
+            <div class="meeting-type">${escapeHtml(type)}</div>
+            ${location ? `<div class="meeting-location">${escapeHtml(location)}</div>` : ''}
+            <div class="meeting-time">${escapeHtml(time)}</div>
+            ${dates ? `<div class="meeting-dates">${escapeHtml(dates)}</div>` : ''}
         </div>
     `;
 
@@ -242,38 +422,48 @@ function createMeetingBlock(meeting, section, color, dayIndex) {
     const tooltipParts = [section._course?.Title, type];
     if (location) tooltipParts.push(location);
     tooltipParts.push(time);
+    if (meeting.Instructor?.Name) tooltipParts.push(`👤 ${meeting.Instructor.Name}`);
+    if (dates) tooltipParts.push(`📆 ${dates} only`);
+    changes.forEach(change => tooltipParts.push(`⚠️ ${change.message}`));
+    requisiteIssues.forEach(issue => tooltipParts.push(`⛔ ${issue}`));
     block.title = tooltipParts.join('\n');
 
     return block;
 }
 
-function parseTimeInfo(startTime, duration) {
-    if (!startTime) return null;
-
+/**
+ * Minutes after midnight a meeting starts and ends, or null without a start time
+ */
+function meetingMinuteRange(meeting) {
     // Parse time string format "14:30:00.0000000"
-    const timeMatch = startTime.match(/^(\d+):(\d+):(\d+)/);
+    const timeMatch = meeting.StartTime?.match(/^(\d+):(\d+)/);
     if (!timeMatch) return null;
 
-    const startHour = parseInt(timeMatch[1]);
-    const startMin = parseInt(timeMatch[2]);
-
-    // Calculate slot index (0-based, 30-minute slots)
-    const startSlot = (startHour - SCHEDULE_CONFIG.startHour) * 2 + (startMin >= 30 ? 1 : 0);
+    const start = parseInt(timeMatch[1]) * 60 + parseInt(timeMatch[2]);
 
     // Parse duration
     let durationMinutes = 50; // Default
-    if (duration) {
-        const match = duration.match(/PT(?:(\d+)H)?(?:(\d+)M)?/);
-        if (match) {
-            const hours = parseInt(match[1] || 0);
-            const minutes = parseInt(match[2] || 0);
-            durationMinutes = hours * 60 + minutes;
-        }
+    const match = meeting.Duration?.match(/PT(?:(\d+)H)?(?:(\d+)M)?/);
+    if (match) {
+        durationMinutes = parseInt(match[1] || 0) * 60 + parseInt(match[2] || 0);
     }
 
-    const numSlots = Math.ceil(durationMinutes / 30);
+    return { start, end: start + durationMinutes };
+}
+
+/**
+ * Exact minutes plus grid placement: { start, end, startRow, numRows }
+ * (row 0 is the grid's first hour; rows are minutesPerRow long)
+ */
+function parseTimeInfo(startTime, duration, startHour = SCHEDULE_CONFIG.startHour) {
+    const range = meetingMinuteRange({ StartTime: startTime, Duration: duration });
+    if (!range) return null;
 
-    return { startSlot, numSlots };
+    const gridStart = startHour * 60;
+    const startRow = Math.round((range.start - gridStart) / SCHEDULE_CONFIG.minutesPerRow);
+    const endRow = Math.round((range.end - gridStart) / SCHEDULE_CONFIG.minutesPerRow);
+
+    return { ...range, startRow, numRows: Math.max(1, endRow - startRow) };
 }
 
 function parseDaysOfWeek(daysString) {
@@ -288,16 +478,16 @@ function parseDaysOfWeek(daysString) {
         'Sunday': 6
     };
 
-    // Handle comma-separated format: "Monday, Wednesday, Friday"
-    if (daysString.includes(',')) {
+    // Handle full names: "Monday, Wednesday, Friday" or a single "Thursday"
+    if (/day/i.test(daysString)) {
         const days = daysString.split(',').map(d => d.trim());
         days.forEach(day => {
             if (dayMap.hasOwnProperty(day)) {
                 dayIndices.push(dayMap[day]);
             }
         });
-    } else {
-        // Handle abbreviated format: "MWF"
+    } else if (/^[MTWRFSU\s]+$/.test(daysString)) {
+        // Handle abbreviated format: "MWF" (not "TBA")
         for (const [fullDay, abbr] of Object.entries(SCHEDULE_CONFIG.dayAbbreviations)) {
             if (daysString.includes(abbr)) {
                 const index = dayMap[fullDay];
@@ -308,7 +498,421 @@ function parseDaysOfWeek(daysString) {
         }
     }
 
-    return dayIndices.filter(i => i < 5); // Only M-F
+    return dayIndices.sort((a, b) => a - b);
+}
+
+/**
+ * Does a meeting have days and a start time, so it can go on the grid?
+ */
+function isTimedMeeting(meeting) {
+    return Boolean(meeting.DaysOfWeek && meeting.StartTime) &&
+        parseDaysOfWeek(meeting.DaysOfWeek).length > 0 &&
+        meetingMinuteRange(meeting) !== null;
+}
+
+// ==========================================
+// Friend Overlays & Common Free Time
+// ==========================================
+function renderOverlay(overlay, grid, view) {
+    overlay.sections.forEach(section => {
+        (section.Meetings || []).forEach(meeting => {
+            if (!isTimedMeeting(meeting)) return;
+            if (view.week && !dateRangesOverlap(meetingDateRange(meeting, section), view.week)) return;
+
+            parseDaysOfWeek(meeting.DaysOfWeek).forEach(dayIndex => {
+                const block = createOverlayBlock(meeting, section, overlay, dayIndex, view.layout);
+                if (block) {
+                    grid.appendChild(block);
+                }
+            });
+        });
+    });
+}
+
+function createOverlayBlock(meeting, section, overlay, dayIndex, layout) {
+    const timeInfo = parseTimeInfo(meeting.StartTime, meeting.Duration, layout.startHour);
+    if (!timeInfo) return null;
+
+    const { startRow, numRows } = timeInfo;
+    const column = dayColumn(layout, dayIndex);
+    if (column === null || startRow < 0 || startRow >= gridRowCount(layout)) {
+        return null;
+    }
+
+    const courseCode = `${section._course?.Subject?.Abbreviation || ''} ${section._course?.Number?.replace(/^0+/, '') || ''}`.trim();
+
+    const block = document.createElement('div');
+    block.className = 'overlay-block';
+    block.style.gridColumn = column;
+    block.style.gridRow = `${startRow + 2} / span ${numRows}`;
+    block.style.backgroundColor = overlay.color;
+    block.style.borderColor = overlay.color;
+    block.textContent = overlay.name;
+    block.title = `${overlay.name}: ${courseCode} ${section.Type || ''}\n${formatTime(meeting.StartTime, meeting.Duration)}`;
+
+    return block;
+}
+
+/**
+ * Free blocks on the grid's days and hours when none of `schedules`
+ * (each a list of sections) has a meeting: [{ day, start, end, minutes }],
+ * grouped by day and longest first within a day.
+ * With a `week`, only meetings held that week count. Days and hours follow the grid `layout`.
+ */
+function findCommonFreeBlocks(schedules, week = null, layout = computeGridLayout(schedules.flat())) {
+    const dayStart = layout.startHour * 60;
+    const dayEnd = layout.endHour * 60;
+    const busyByDay = new Map(layout.days.map(day => [day, []]));
+
+    schedules.flat().forEach(section => {
+        (section.Meetings || []).forEach(meeting => {
+            if (!isTimedMeeting(meeting)) return;
+            if (week && !dateRangesOverlap(meetingDateRange(meeting, section), week)) return;
+
+            const range = meetingMinuteRange(meeting);
+            parseDaysOfWeek(meeting.DaysOfWeek).forEach(day => busyByDay.get(day)?.push(range));
+        });
+    });
+
+    const blocks = [];
+
+    busyByDay.forEach((busy, day) => {
+        const dayBlocks = [];
+        let cursor = dayStart;
+
+        busy.sort((a, b) => a.start - b.start).forEach(({ start, end }) => {
+            if (start > cursor) {
+                dayBlocks.push({ day, start: cursor, end: Math.min(start, dayEnd) });
+            }
+            cursor = Math.max(cursor, end);
+        });
+
+        if (cursor < dayEnd) {
+            dayBlocks.push({ day, start: cursor, end: dayEnd });
+        }
+
+        dayBlocks
+            .map(block => ({ ...block, minutes: block.end - block.start }))
+            .filter(block => block.minutes >= SCHEDULE_CONFIG.minFreeMinutes)
+            .sort((a, b) => b.minutes - a.minutes)
+            .forEach(block => blocks.push(block));
+    });
+
+    return blocks;
+}
+
+/**
+ * Mark the 30-minute cells that fall entirely inside a common free block
+ */
+function highlightFreeCells(grid, freeBlocks, layout) {
+    const dayStart = layout.startHour * 60;
+
+    grid.querySelectorAll('.schedule-cell').forEach(cell => {
+        const day = parseInt(cell.dataset.day);
+        const slotStart = dayStart + parseInt(cell.dataset.slot) * 30;
+
+        const isFree = freeBlocks.some(block =>
+            block.day === day && block.start <= slotStart && block.end >= slotStart + 30
+        );
+
+        if (isFree) {
+            cell.classList.add('common-free');
+        }
+    });
+}
+
+function formatFreeMinutes(minutes) {
+    const hours = Math.floor(minutes / 60);
+    const rest = minutes % 60;
+    if (hours === 0) return `${rest}m`;
+    return rest === 0 ? `${hours}h` : `${hours}h ${rest}m`;
+}
+
+/**
+ * Ranked list of the longest common free blocks per day (hidden without overlays)
+ */
+function renderCommonFreeTime(blocks, overlays, layout) {
+    const container = document.getElementById('commonFreeTime');
+    if (!container) return;
+
+    if (overlays.length === 0) {
+        container.style.display = 'none';
+        container.innerHTML = '';
+        return;
+    }
+
+    const clock = minutes => formatTimeString(Math.floor(minutes / 60), minutes % 60);
+    const names = ['you', ...overlays.map(overlay => overlay.name)].map(escapeHtml).join(', ');
+
+    const days = layout.days.map(day => {
+        const dayBlocks = blocks.filter(block => block.day === day).slice(0, SCHEDULE_CONFIG.freeBlocksPerDay);
+
+        return `
+            <div class="common-free-day">
+                <strong>${SCHEDULE_CONFIG.daysOfWeek[day]}</strong>
+                ${dayBlocks.length > 0 ? `
+                    <ol>
+                        ${dayBlocks.map(block => `
+                            <li>${clock(block.start)} – ${clock(block.end)} <span class="common-free-length">${formatFreeMinutes(block.minutes)}</span></li>
+                        `).join('')}
+                    </ol>
+                ` : '<p class="common-free-none">No common free time</p>'}
+            </div>
+        `;
+    }).join('');
+
+    container.style.display = 'block';
+    container.innerHTML = `
+        <h4 class="common-free-title">🟩 Common free time (${names})</h4>
+        <div class="common-free-days">${days}</div>
+    `;
+}
+
+// ==========================================
+// Unscheduled Tray (online, asynchronous, TBA)
+// ==========================================
+
+/**
+ * Sections with meetings that can't be placed on the grid:
+ * [{ section, reason, partly }] where `partly` means it also has scheduled meetings
+ */
+function findUnscheduledSections(sections) {
+    return sections
+        .filter(section => {
+            const meetings = section.Meetings || [];
+            return meetings.length === 0 || meetings.some(meeting => !isTimedMeeting(meeting));
+        })
+        .map(section => ({
+            section,
+            reason: isOnlineSection(section) ? 'Online / asynchronous' : 'Time TBA',
+            partly: (section.Meetings || []).some(isTimedMeeting)
+        }));
+}
+
+function isOnlineSection(section) {
+    if (SCHEDULE_CONFIG.onlinePattern.test(section.Type || '')) return true;
+
+    return (section.Meetings || []).some(meeting => {
+        const building = meeting.Room?.Building;
+        return SCHEDULE_CONFIG.onlinePattern.test(`${building?.ShortCode || ''} ${building?.Name || ''}`);
+    });
+}
+
+function renderUnscheduledTray(sections) {
+    const tray = document.getElementById('unscheduledTray');
+    if (!tray) return;
+
+    const unscheduled = findUnscheduledSections(sections);
+
+    if (unscheduled.length === 0) {
+        tray.style.display = 'none';
+        tray.innerHTML = '';
+        return;
+    }
+
+    const items = unscheduled.map(({ section, reason, partly }) => {
+        const course = section._course || {};
+        const courseCode = `${course.Subject?.Abbreviation || ''} ${course.Number?.replace(/^0+/, '') || ''}`.trim();
+        const color = scheduleState.colorMap.get(course.Id) || '#999';
+        const credits = course.CreditHours || 0;
+
+        return `
+            <li class="unscheduled-item" title="${escapeHtml(course.Title)}">
+                <span class="unscheduled-swatch" style="background: ${color};"></span>
+                <span class="unscheduled-course">${escapeHtml(courseCode)}</span>
+                <span>${escapeHtml(section.Type || 'Lecture')}${section.Crn ? ` · CRN ${escapeHtml(section.Crn)}` : ''} · ${escapeHtml(credits)} cr</span>
+                <span class="unscheduled-reason">${reason}${partly ? ' (other meetings are on the grid)' : ''}</span>
+            </li>
+        `;
+    }).join('');
+
+    tray.style.display = 'block';
+    tray.innerHTML = `
+        <h4 class="unscheduled-title">🗂️ Unscheduled (${unscheduled.length})</h4>
+        <ul class="unscheduled-list">${items}</ul>
+    `;
+}
+
+// ==========================================
+// Meeting Dates & Week Picker
+// ==========================================
+// Dates are compared as "YYYY-MM-DD" strings, so time zones never shift a day
+
+function toDateKey(value) {
+    const match = String(value || '').match(/^\d{4}-\d{2}-\d{2}/);
+    return match ? match[0] : null;
+}
+
+function laterDate(a, b) {
+    if (!a || !b) return a || b;
+    return a > b ? a : b;
+}
+
+function earlierDate(a, b) {
+    if (!a || !b) return a || b;
+    return a < b ? a : b;
+}
+
+/**
+ * First and last day a meeting runs ({ startDate, endDate }); the section's dates
+ * fill in for a meeting without its own. Either may be null when unknown.
+ */
+function meetingDateRange(meeting, section = {}) {
+    return {
+        startDate: toDateKey(meeting.StartDate) || toDateKey(section.StartDate),
+        endDate: toDateKey(meeting.EndDate) || toDateKey(section.EndDate)
+    };
+}
+
+/**
+ * Do two date ranges share a day? Unknown ends are treated as open.
+ */
+function dateRangesOverlap(a, b) {
+    return (!a.startDate || !b.endDate || a.startDate <= b.endDate) &&
+        (!b.startDate || !a.endDate || b.startDate <= a.endDate);
+}
+
+function daysBetween(startKey, endKey) {
+    return Math.round((Date.parse(endKey) - Date.parse(startKey)) / 86400000);
+}
+
+function addDays(dateKey, days) {
+    const date = new Date(`${dateKey}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().slice(0, 10);
+}
+
+function formatShortDate(dateKey) {
+    return new Date(`${dateKey}T00:00:00Z`).toLocaleDateString('en-US', {
+        month: 'short',
+        day: 'numeric',
+        timeZone: 'UTC'
+    });
+}
+
+function formatDateRange({ startDate, endDate }) {
+    return `${formatShortDate(startDate)}–${formatShortDate(endDate)}`;
+}
+
+/**
+ * The planner's term as { startDate, endDate }, or null
+ */
+function currentTermRange() {
+    const term = window.CourseSearch?.state.currentTerm;
+    const range = { startDate: toDateKey(term?.StartDate), endDate: toDateKey(term?.EndDate) };
+    return range.startDate && range.endDate ? range : null;
+}
+
+/**
+ * Does a meeting run for noticeably less than the term (an 8-week module, a late start)?
+ */
+function isPartialTerm(range) {
+    const term = currentTermRange();
+    if (!term || !range.startDate || !range.endDate) return false;
+
+    return daysBetween(range.startDate, range.endDate) < daysBetween(term.startDate, term.endDate) * 0.75;
+}
+
+/**
+ * Monday-to-Sunday weeks covering the term
+ */
+function termWeeks(term) {
+    const start = new Date(`${term.startDate}T00:00:00Z`);
+    const firstMonday = addDays(term.startDate, -((start.getUTCDay() + 6) % 7));
+
+    const weeks = [];
+    for (let monday = firstMonday; monday <= term.endDate; monday = addDays(monday, 7)) {
+        weeks.push({ startDate: monday, endDate: addDays(monday, 6) });
+    }
+    return weeks;
+}
+
+/**
+ * Fill the week picker for the planner's term, dropping a picked week outside it
+ */
+function updateWeekPicker() {
+    const select = document.getElementById('weekSelect');
+    if (!select) return;
+
+    const term = currentTermRange();
+    const weeks = term ? termWeeks(term) : [];
+
+    if (scheduleState.week && !weeks.some(week => week.startDate === scheduleState.week.startDate)) {
+        scheduleState.week = null;
+    }
+
+    select.innerHTML = '<option value="">Whole term</option>';
+    weeks.forEach((week, index) => {
+        const option = document.createElement('option');
+        option.value = week.startDate;
+        option.textContent = `Week ${index + 1} (${formatShortDate(week.startDate)})`;
+        option.selected = week.startDate === scheduleState.week?.startDate;
+        select.appendChild(option);
+    });
+
+    select.disabled = weeks.length === 0;
+
+    if (!select.dataset.bound) {
+        select.addEventListener('change', (e) => selectWeek(e.target.value));
+        select.dataset.bound = 'true';
+    }
+}
+
+function selectWeek(mondayKey) {
+    scheduleState.week = mondayKey ? { startDate: mondayKey, endDate: addDays(mondayKey, 6) } : null;
+
+    if (scheduleState.lastRender) {
+        renderScheduleGrid(...scheduleState.lastRender);
+    }
+}
+
+/**
+ * Meeting blocks that share a day and time get their own lane, side by side
+ */
+function layoutSharedSlots(grid) {
+    const byDay = new Map();
+
+    grid.querySelectorAll('.meeting-block').forEach(block => {
+        const day = block.dataset.day;
+        if (!byDay.has(day)) byDay.set(day, []);
+        byDay.get(day).push({ block, start: Number(block.dataset.start), end: Number(block.dataset.end) });
+    });
+
+    byDay.forEach(items => {
+        items.sort((a, b) => a.start - b.start);
+
+        // Clusters of transitively overlapping blocks share a lane count
+        let cluster = [];
+        let clusterEnd = -1;
+
+        const flush = () => {
+            const laneEnds = [];
+            cluster.forEach(item => {
+                let lane = laneEnds.findIndex(end => end <= item.start);
+                if (lane === -1) lane = laneEnds.length;
+                laneEnds[lane] = item.end;
+                item.lane = lane;
+            });
+
+            if (laneEnds.length > 1) {
+                cluster.forEach(item => {
+                    item.block.style.width = `${100 / laneEnds.length}%`;
+                    item.block.style.marginLeft = `${(100 / laneEnds.length) * item.lane}%`;
+                });
+            }
+        };
+
+        items.forEach(item => {
+            if (item.start >= clusterEnd && cluster.length > 0) {
+                flush();
+                cluster = [];
+            }
+            cluster.push(item);
+            clusterEnd = Math.max(clusterEnd, item.end);
+        });
+
+        if (cluster.length > 0) flush();
+    });
 }
 
 // ==========================================
@@ -345,65 +949,128 @@ function adjustBrightness(color, amount) {
 // Conflict Detection
 // ==========================================
 function detectAllConflicts(sections) {
+    const conflicts = findConflicts(sections);
+
+    // Show conflict warning if any
+    if (conflicts.length > 0) {
+        showConflictWarning(conflicts);
+    } else {
+        hideConflictWarning();
+    }
+
+    return conflicts;
+}
+
+/**
+ * Every pair of sections with overlapping meetings:
+ * [{ sections, courses, overlaps: [{ days, start, end, minutes }], minutes }]
+ * where `minutes` is the longest single overlap
+ */
+function findConflicts(sections) {
     const conflicts = [];
 
     for (let i = 0; i < sections.length; i++) {
         for (let j = i + 1; j < sections.length; j++) {
-            if (sectionsConflict(sections[i], sections[j])) {
+            const overlaps = sectionOverlaps(sections[i], sections[j]);
+
+            if (overlaps.length > 0) {
                 conflicts.push({
                     sections: [sections[i].Id, sections[j].Id],
                     courses: [
                         `${sections[i]._course?.Subject?.Abbreviation} ${sections[i]._course?.Number}`,
                         `${sections[j]._course?.Subject?.Abbreviation} ${sections[j]._course?.Number}`
-                    ]
+                    ],
+                    overlaps,
+                    minutes: Math.max(...overlaps.map(overlap => overlap.minutes))
                 });
             }
         }
     }
 
-    // Show conflict warning if any
-    if (conflicts.length > 0) {
-        showConflictWarning(conflicts);
-    } else {
-        hideConflictWarning();
-    }
-
     return conflicts;
 }
 
-function sectionsConflict(section1, section2) {
-    if (!section1.Meetings || !section2.Meetings) return false;
+function sectionOverlaps(section1, section2) {
+    if (!section1.Meetings || !section2.Meetings) return [];
+
+    const overlaps = [];
 
     for (const meeting1 of section1.Meetings) {
         for (const meeting2 of section2.Meetings) {
-            if (meetingsOverlap(meeting1, meeting2)) {
-                return true;
+            const overlap = meetingsOverlap(meeting1, meeting2, section1, section2);
+            if (overlap) {
+                overlaps.push(overlap);
             }
         }
     }
 
-    return false;
+    return overlaps;
 }
 
-function meetingsOverlap(meeting1, meeting2) {
+/**
+ * Overlap of two meetings on their shared days, to the minute, or null.
+ * Back-to-back meetings (10:30-11:20 and 11:20-12:10) don't overlap, and neither do
+ * meetings in different parts of the term (e.g. first and second 8-week modules).
+ * The overlap carries the dates both meetings run ({ startDate, endDate }).
+ */
+function meetingsOverlap(meeting1, meeting2, section1 = {}, section2 = {}) {
     // Check if days overlap
     const days1 = parseDaysOfWeek(meeting1.DaysOfWeek || '');
     const days2 = parseDaysOfWeek(meeting2.DaysOfWeek || '');
 
     const commonDays = days1.filter(day => days2.includes(day));
-    if (commonDays.length === 0) return false;
+    if (commonDays.length === 0) return null;
 
     // Check if times overlap
-    const time1 = parseTimeInfo(meeting1.StartTime, meeting1.Duration);
-    const time2 = parseTimeInfo(meeting2.StartTime, meeting2.Duration);
+    const time1 = meetingMinuteRange(meeting1);
+    const time2 = meetingMinuteRange(meeting2);
+
+    if (!time1 || !time2) return null;
+
+    const start = Math.max(time1.start, time2.start);
+    const end = Math.min(time1.end, time2.end);
 
-    if (!time1 || !time2) return false;
+    if (end <= start) return null;
 
-    const end1 = time1.startSlot + time1.numSlots;
-    const end2 = time2.startSlot + time2.numSlots;
+    // Check if dates overlap
+    const dates1 = meetingDateRange(meeting1, section1);
+    const dates2 = meetingDateRange(meeting2, section2);
 
-    // Overlap if: start1 < end2 AND start2 < end1
-    return time1.startSlot < end2 && time2.startSlot < end1;
+    if (!dateRangesOverlap(dates1, dates2)) return null;
+
+    return {
+        days: commonDays,
+        start,
+        end,
+        minutes: end - start,
+        startDate: laterDate(dates1.startDate, dates2.startDate),
+        endDate: earlierDate(dates1.endDate, dates2.endDate)
+    };
+}
+
+/**
+ * "MW 10:30 AM-10:50 AM" for a conflict's overlaps (same times on several days are merged),
+ * with the dates when they only clash in part of the term
+ */
+function describeOverlaps(overlaps) {
+    const clock = minutes => formatTimeString(Math.floor(minutes / 60), minutes % 60);
+    const daysByTime = new Map();
+
+    overlaps.forEach(overlap => {
+        const dates = isPartialTerm(overlap) ? ` (${formatDateRange(overlap)})` : '';
+        const time = `${clock(overlap.start)}–${clock(overlap.end)}${dates}`;
+        const days = daysByTime.get(time) || new Set();
+        overlap.days.forEach(day => days.add(day));
+        daysByTime.set(time, days);
+    });
+
+    return [...daysByTime.entries()].map(([time, days]) => {
+        const letters = [...days]
+            .sort((a, b) => a - b)
+            .map(day => SCHEDULE_CONFIG.dayAbbreviations[SCHEDULE_CONFIG.daysOfWeek[day]])
+            .join('');
+        return `${letters} ${time}`;
+    }).join(', ');
 }
 
 function showConflictWarning(conflicts) {
@@ -418,15 +1085,19 @@ function showConflictWarning(conflicts) {
         scheduleSection.insertBefore(warningDiv, scheduleSection.firstChild);
     }
 
-    const conflictList = conflicts.map(c =>
-        `${c.courses[0]} and ${c.courses[1]}`
-    ).join(', ');
+    const conflictList = conflicts.map(c => `
+        <li>
+            <span class="conflict-course">${escapeHtml(c.courses[0])}</span> and <span class="conflict-course">${escapeHtml(c.courses[1])}</span>
+            overlap by ${c.minutes} min: ${describeOverlaps(c.overlaps)}
+        </li>
+    `).join('');
 
     warningDiv.innerHTML = `
         <span class="conflict-icon">⚠️</span>
         <div>
             <strong>Schedule Conflict Detected!</strong>
-            <p>The following courses have overlapping times: ${conflictList}</p>
+            <p>The following courses have overlapping times:</p>
+            <ul class="conflict-list">${conflictList}</ul>
         </div>
     `;
 }
@@ -441,6 +1112,21 @@ function hideConflictWarning() {
 // ==========================================
 // Utilities
 // ==========================================
+
+/**
+ * Text safe to put into innerHTML templates (shared, imported and saved
+ * schedules carry text that didn't come from this page)
+ */
+function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, char => ({
+        '&': '&amp;',
+        '<': '&lt;',
+        '>': '&gt;',
+        '"': '&quot;',
+        "'": '&#39;'
+    })[char]);
+}
+
 function formatLocation(room) {
     if (!room) return 'TBA';
     const building = room.Building?.ShortCode || 'TBA';
@@ -500,12 +1186,20 @@ function updateCreditCounter(sections) {
     const creditCounter = document.getElementById('creditCounter');
     if (!creditCounter) return;
 
+    const totalCredits = countCredits(sections);
+
+    // Update display
+    creditCounter.textContent = `${totalCredits} Credit${totalCredits !== 1 ? 's' : ''}`;
+}
+
+function countCredits(sections) {
     // Calculate total credits from unique courses
     const uniqueCourses = new Map();
 
     sections.forEach(section => {
         const courseId = section._course?.Id;
-        const creditHours = section._course?.CreditHours || 0;
+        // Saved plans can hold string credits; don't concatenate them
+        const creditHours = parseFloat(section._course?.CreditHours) || 0;
 
         if (courseId && !uniqueCourses.has(courseId)) {
             uniqueCourses.set(courseId, creditHours);
@@ -513,24 +1207,19 @@ function updateCreditCounter(sections) {
     });
 
     // Sum up all credits
-    const totalCredits = Array.from(uniqueCourses.values()).reduce((sum, credits) => sum + credits, 0);
-
-    // Update display
-    creditCounter.textContent = `${totalCredits} Credit${totalCredits !== 1 ? 's' : ''}`;
+    return Array.from(uniqueCourses.values()).reduce((sum, credits) => sum + credits, 0);
 }
 
 function clearSchedule() {
-    // Clear state
+    // Clear state and the active plan in localStorage, then re-render
     if (window.CourseSearch && window.CourseSearch.state) {
         window.CourseSearch.state.selectedSections = [];
+        window.CourseSearch.save();
+        window.CourseSearch.refreshSchedule();
+    } else {
+        renderScheduleGrid([]);
     }
 
-    // Clear localStorage
-    localStorage.removeItem('purdueSchedule');
-
-    // Re-render
-    renderScheduleGrid([]);
-
     // Update any displayed sections
     document.querySelectorAll('.section-card.selected').forEach(card => {
         card.classList.remove('selected');
@@ -551,6 +1240,13 @@ function setupExportScheduleButton() {
     }
 }
 
+function setupExportCalendarButton() {
+    const calendarBtn = document.getElementById('exportCalendarBtn');
+    if (calendarBtn && window.CalendarExport) {
+        calendarBtn.onclick = window.CalendarExport.download;
+    }
+}
+
 async function exportScheduleAsImage() {
     const scheduleSection = document.getElementById('scheduleSection');
     const scheduleGrid = document.getElementById('scheduleGrid');
@@ -645,6 +1341,13 @@ if (typeof window !== 'undefined') {
     window.ScheduleGrid = {
         render: renderScheduleGrid,
         clear: clearSchedule,
-        state: scheduleState
+        state: scheduleState,
+        buildGrid: sections => {
+            assignCourseColors(sections);
+            const conflicts = findConflicts(sections);
+            return { element: buildWeeklyGrid(sections, conflicts), conflicts };
+        },
+        findConflicts,
+        countCredits
     };
 }
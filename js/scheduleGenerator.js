@@ -0,0 +1,390 @@
+/**
+ * Schedule Generator
+ * Builds every conflict-free combination of sections for a list of courses
+ * (server-side, see /api/schedules/generate) and previews each in the schedule grid
+ */
+
+// ==========================================
+// Configuration
+// ==========================================
+const GENERATOR_CONFIG = {
+    apiUrl: '/api/schedules/generate',
+    maxCourses: 10,
+    resultLimit: 50
+};
+
+// ==========================================
+// State
+// ==========================================
+const generatorState = {
+    courses: [],      // course objects from search results
+    schedules: [],    // ranked results from the server
+    sections: {},     // sectionId -> section
+    total: 0,
+    truncated: false,
+    currentIndex: 0,
+    isPreviewing: false,
+    isLoading: false
+};
+
+const generatorElements = {
+    section: null,
+    courseList: null,
+    results: null,
+    generateButton: null
+};
+
+// ==========================================
+// Initialization
+// ==========================================
+function initScheduleGenerator() {
+    generatorElements.section = document.getElementById('generatorSection');
+    generatorElements.courseList = document.getElementById('generatorCourses');
+    generatorElements.results = document.getElementById('generatorResults');
+    generatorElements.generateButton = document.getElementById('generateSchedulesBtn');
+
+    if (!generatorElements.section) return;
+
+    if (generatorElements.generateButton) {
+        generatorElements.generateButton.addEventListener('click', generateSchedules);
+    }
+
+    // Results are only valid for the term they were generated in
+    const termSelect = document.getElementById('termSelect');
+    if (termSelect) {
+        termSelect.addEventListener('change', resetGeneratorResults);
+    }
+
+    renderGeneratorCourses();
+}
+
+// ==========================================
+// Course List
+// ==========================================
+function addGeneratorCourse(course) {
+    if (generatorState.courses.some(c => c.Id === course.Id)) return;
+
+    if (generatorState.courses.length >= GENERATOR_CONFIG.maxCourses) {
+        alert(`The generator handles up to ${GENERATOR_CONFIG.maxCourses} courses at a time.`);
+        return;
+    }
+
+    generatorState.courses.push(course);
+    resetGeneratorResults();
+    renderGeneratorCourses();
+
+    generatorElements.section?.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+}
+
+function removeGeneratorCourse(courseId) {
+    generatorState.courses = generatorState.courses.filter(c => c.Id !== courseId);
+    resetGeneratorResults();
+    renderGeneratorCourses();
+}
+
+function hasGeneratorCourse(courseId) {
+    return generatorState.courses.some(c => c.Id === courseId);
+}
+
+function generatorCourseCode(course) {
+    const subject = course.Subject?.Abbreviation || '';
+    const number = course.Number?.replace(/^0+/, '') || '';
+    return `${subject} ${number}`.trim();
+}
+
+function renderGeneratorCourses() {
+    if (!generatorElements.section) return;
+
+    generatorElements.section.style.display = generatorState.courses.length > 0 ? 'block' : 'none';
+
+    if (!generatorElements.courseList) return;
+
+    generatorElements.courseList.innerHTML = '';
+
+    generatorState.courses.forEach(course => {
+        const chip = document.createElement('span');
+        chip.className = 'generator-chip';
+        chip.innerHTML = `
+            ${generatorCourseCode(course)}
+            <button type="button" class="generator-chip-remove" title="Remove">×</button>
+        `;
+        chip.querySelector('button').addEventListener('click', () => removeGeneratorCourse(course.Id));
+        generatorElements.courseList.appendChild(chip);
+    });
+
+    if (generatorElements.generateButton) {
+        generatorElements.generateButton.disabled = generatorState.courses.length === 0;
+    }
+}
+
+// ==========================================
+// Constraints
+// ==========================================
+function getGeneratorConstraints() {
+    const value = id => document.getElementById(id)?.value?.trim() || '';
+
+    const constraints = {};
+
+    if (value('generatorEarliest')) constraints.earliest = value('generatorEarliest');
+    if (value('generatorLatest')) constraints.latest = value('generatorLatest');
+    if (value('generatorMaxGap')) constraints.maxGap = parseInt(value('generatorMaxGap'));
+    if (value('generatorInstructors')) constraints.preferredInstructors = value('generatorInstructors');
+
+    const freeDays = [...document.querySelectorAll('#generatorFreeDays input:checked')].map(input => input.value);
+    if (freeDays.length > 0) constraints.freeDays = freeDays;
+
+    if (document.getElementById('generatorOpenSeats')?.checked) {
+        constraints.openSeats = true;
+    }
+
+    return constraints;
+}
+
+// ==========================================
+// Generation
+// ==========================================
+async function generateSchedules() {
+    const term = window.CourseSearch?.state.currentTerm;
+
+    if (!term) {
+        showGeneratorMessage('Select a term first.');
+        return;
+    }
+
+    if (generatorState.courses.length === 0 || generatorState.isLoading) return;
+
+    setGeneratorLoading(true);
+
+    try {
+        const response = await fetch(GENERATOR_CONFIG.apiUrl, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                termId: term.Id,
+                courseIds: generatorState.courses.map(c => c.Id),
+                constraints: getGeneratorConstraints(),
+                limit: GENERATOR_CONFIG.resultLimit
+            })
+        });
+
+        const result = await response.json();
+        if (!response.ok || !result.success) {
+            throw new Error(result.message || result.error || 'Failed to generate schedules');
+        }
+
+        generatorState.schedules = result.data;
+        generatorState.sections = result.sections;
+        generatorState.total = result.total;
+        generatorState.truncated = result.truncated;
+        generatorState.currentIndex = 0;
+
+        console.log(`✅ Generated ${result.total} schedules in ${result.loadTime}s`);
+
+        if (result.unschedulable.length > 0) {
+            const reasons = result.unschedulable.map(item => {
+                const course = generatorState.courses.find(c => c.Id === item.courseId);
+                return `${course ? generatorCourseCode(course) : item.courseId}: ${item.reason}`;
+            });
+            showGeneratorMessage(`No schedules possible. ${reasons.join('; ')}.`);
+            return;
+        }
+
+        if (result.data.length === 0) {
+            showGeneratorMessage('No conflict-free schedules match these constraints. Try relaxing them.');
+            return;
+        }
+
+        previewSchedule(0);
+    } catch (error) {
+        console.error('Error generating schedules:', error);
+        showGeneratorMessage(`Failed to generate schedules: ${error.message}`);
+    } finally {
+        setGeneratorLoading(false);
+    }
+}
+
+/**
+ * Sections of a generated schedule, with course info attached like hand-picked ones
+ */
+function scheduleSections(schedule) {
+    return schedule.sectionIds
+        .map(id => generatorState.sections[id])
+        .filter(Boolean)
+        .map(section => ({
+            ...section,
+            _course: generatorState.courses.find(c => c.Id === section.CourseId)
+        }));
+}
+
+// ==========================================
+// Preview and Apply
+// ==========================================
+function previewSchedule(index) {
+    const schedule = generatorState.schedules[index];
+    if (!schedule) return;
+
+    generatorState.currentIndex = index;
+    generatorState.isPreviewing = true;
+
+    if (window.ScheduleGrid) {
+        window.ScheduleGrid.render(scheduleSections(schedule), {
+            previewLabel: `Preview: option ${index + 1}`,
+            overlays: window.FriendSchedules?.overlays() || []
+        });
+    }
+
+    renderGeneratorResults();
+}
+
+function exitPreview() {
+    generatorState.isPreviewing = false;
+
+    if (window.CourseSearch) {
+        window.CourseSearch.refreshSchedule();
+    }
+
+    renderGeneratorResults();
+}
+
+function applySchedule() {
+    const schedule = generatorState.schedules[generatorState.currentIndex];
+    if (!schedule || !window.CourseSearch) return;
+
+    const selected = window.CourseSearch.state.selectedSections;
+    const generatedCourseIds = new Set(generatorState.courses.map(c => c.Id));
+
+    // Keep hand-picked sections of other courses, replace the generated ones
+    const kept = selected.filter(section => !generatedCourseIds.has(section._course?.Id));
+    const merged = [...kept, ...scheduleSections(schedule)];
+
+    selected.splice(0, selected.length, ...merged);
+    window.CourseSearch.save();
+
+    generatorState.isPreviewing = false;
+    window.CourseSearch.refreshSchedule();
+    window.CourseSearch.refreshSectionCards();
+
+    renderGeneratorResults();
+    showGeneratorNote(`Applied option ${generatorState.currentIndex + 1} to your schedule.`);
+}
+
+function resetGeneratorResults() {
+    const wasPreviewing = generatorState.isPreviewing;
+
+    generatorState.schedules = [];
+    generatorState.sections = {};
+    generatorState.total = 0;
+    generatorState.truncated = false;
+    generatorState.currentIndex = 0;
+
+    if (wasPreviewing) {
+        exitPreview();
+    } else if (generatorElements.results) {
+        generatorElements.results.innerHTML = '';
+    }
+}
+
+// ==========================================
+// Results Display
+// ==========================================
+function formatClockMinutes(minutes) {
+    if (minutes === null || minutes === undefined) return 'TBA';
+    return formatTimeString(Math.floor(minutes / 60), minutes % 60);
+}
+
+function formatGapMinutes(minutes) {
+    if (minutes === 0) return 'none';
+    const hours = Math.floor(minutes / 60);
+    const mins = minutes % 60;
+    return hours > 0 ? `${hours}h${mins ? ` ${mins}m` : ''}` : `${mins}m`;
+}
+
+function renderGeneratorResults() {
+    const container = generatorElements.results;
+    if (!container) return;
+
+    const schedule = generatorState.schedules[generatorState.currentIndex];
+    if (!schedule) {
+        container.innerHTML = '';
+        return;
+    }
+
+    const { stats } = schedule;
+    const count = generatorState.schedules.length;
+    const totalNote = generatorState.total > count
+        ? ` (top ${count} of ${generatorState.total}${generatorState.truncated ? '+' : ''})`
+        : '';
+
+    const sectionList = scheduleSections(schedule).map(section =>
+        `<li><strong>${section._course ? generatorCourseCode(section._course) : ''}</strong> ${section.Type || 'Lecture'} · CRN ${section.Crn || 'N/A'}</li>`
+    ).join('');
+
+    container.innerHTML = `
+        <div class="generator-result">
+            <div class="generator-result-header">
+                <button type="button" class="pagination-btn" data-action="prev" ${generatorState.currentIndex === 0 ? 'disabled' : ''}>← Prev</button>
+                <span class="generator-result-title">Option ${generatorState.currentIndex + 1} of ${count}${totalNote}</span>
+                <button type="button" class="pagination-btn" data-action="next" ${generatorState.currentIndex >= count - 1 ? 'disabled' : ''}>Next →</button>
+            </div>
+            <div class="generator-stats">
+                <span>📅 ${stats.days.join('') || 'TBA'} (${stats.days.length} day${stats.days.length !== 1 ? 's' : ''})</span>
+                <span>🕘 ${formatClockMinutes(stats.earliestStart)} – ${formatClockMinutes(stats.latestEnd)}</span>
+                <span>⏳ Gaps: ${formatGapMinutes(stats.totalGapMinutes)}</span>
+                ${stats.preferredInstructorMatches > 0 ? `<span>⭐ ${stats.preferredInstructorMatches} preferred instructor section${stats.preferredInstructorMatches !== 1 ? 's' : ''}</span>` : ''}
+            </div>
+            <ul class="generator-section-list">${sectionList}</ul>
+            <div class="generator-actions">
+                ${generatorState.isPreviewing
+                    ? '<button type="button" class="view-sections-btn" data-action="exit">Back to My Schedule</button>'
+                    : '<button type="button" class="view-sections-btn" data-action="preview">Preview</button>'}
+                <button type="button" class="view-sections-btn export-btn" data-action="apply">Apply to My Schedule</button>
+            </div>
+            <p class="generator-note" id="generatorNote"></p>
+        </div>
+    `;
+
+    const actions = {
+        prev: () => previewSchedule(generatorState.currentIndex - 1),
+        next: () => previewSchedule(generatorState.currentIndex + 1),
+        preview: () => previewSchedule(generatorState.currentIndex),
+        exit: exitPreview,
+        apply: applySchedule
+    };
+
+    container.querySelectorAll('[data-action]').forEach(button => {
+        button.addEventListener('click', actions[button.dataset.action]);
+    });
+}
+
+function showGeneratorMessage(message) {
+    if (generatorElements.results) {
+        generatorElements.results.innerHTML = `<p class="generator-message">${message}</p>`;
+    }
+}
+
+function showGeneratorNote(message) {
+    const note = document.getElementById('generatorNote');
+    if (note) note.textContent = message;
+}
+
+function setGeneratorLoading(isLoading) {
+    generatorState.isLoading = isLoading;
+
+    if (generatorElements.generateButton) {
+        generatorElements.generateButton.disabled = isLoading || generatorState.courses.length === 0;
+        generatorElements.generateButton.textContent = isLoading ? 'Generating...' : 'Generate Schedules';
+    }
+}
+
+// ==========================================
+// Export
+// ==========================================
+if (typeof window !== 'undefined') {
+    window.ScheduleGenerator = {
+        init: initScheduleGenerator,
+        addCourse: addGeneratorCourse,
+        removeCourse: removeGeneratorCourse,
+        hasCourse: hasGeneratorCourse,
+        state: generatorState
+    };
+}
@@ -0,0 +1,338 @@
+/**
+ * Schedule Import
+ * Fills the planner from a pasted CRN list, an .ics calendar file or a JSON schedule.
+ * Every entry is resolved against the selected term through the course-sections backend,
+ * and the ones that can't be found are reported.
+ */
+
+// ==========================================
+// Configuration
+// ==========================================
+const IMPORT_CONFIG = {
+    lookupUrl: '/api/sections/lookup',
+    sectionsUrl: '/api/course-sections',
+    lookupBatchSize: 40, // server limit per /api/sections/lookup request
+    crnPattern: /^\d{5}$/,
+    idPattern: /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i // Purdue.io GUID
+};
+
+const importElements = {
+    modal: null,
+    textInput: null,
+    fileInput: null,
+    replaceCheckbox: null,
+    report: null,
+    importButton: null
+};
+
+// ==========================================
+// Initialization
+// ==========================================
+function initScheduleImport() {
+    importElements.modal = document.getElementById('importModal');
+    importElements.textInput = document.getElementById('importTextInput');
+    importElements.fileInput = document.getElementById('importFileInput');
+    importElements.replaceCheckbox = document.getElementById('importReplace');
+    importElements.report = document.getElementById('importReport');
+    importElements.importButton = document.getElementById('runImportBtn');
+
+    const openBtn = document.getElementById('openImportBtn');
+    if (openBtn) {
+        openBtn.addEventListener('click', openImportModal);
+    }
+
+    const closeBtn = document.getElementById('closeImportBtn');
+    if (closeBtn) {
+        closeBtn.addEventListener('click', closeImportModal);
+    }
+
+    if (importElements.importButton) {
+        importElements.importButton.addEventListener('click', runImport);
+    }
+}
+
+function openImportModal() {
+    if (!importElements.modal) return;
+
+    importElements.report.innerHTML = '';
+    importElements.modal.style.display = 'flex';
+    importElements.textInput?.focus();
+}
+
+function closeImportModal() {
+    if (importElements.modal) {
+        importElements.modal.style.display = 'none';
+    }
+}
+
+// ==========================================
+// Parsing
+// ==========================================
+
+/**
+ * Import entries from text: [{ crn, courseId, sectionId, label }]
+ */
+function parseImportText(text) {
+    const trimmed = text.trim();
+
+    if (/^[\[{]/.test(trimmed)) {
+        return { format: 'JSON', entries: parseJsonSchedule(JSON.parse(trimmed)) };
+    }
+
+    if (/BEGIN:VCALENDAR/i.test(trimmed)) {
+        return { format: 'calendar', entries: crnEntries(parseIcsCrns(trimmed)) };
+    }
+
+    return { format: 'CRN list', entries: crnEntries(trimmed.match(/\b\d{5}\b/g) || []) };
+}
+
+function crnEntries(crns) {
+    return [...new Set(crns)].map(crn => ({ crn, label: `CRN ${crn}` }));
+}
+
+/**
+ * Entries from a saved, shared or hand-written JSON schedule:
+ * [12345, ...], ["12345", ...], { sections: [...] } or { schedule: { sections: [...] } }
+ */
+function parseJsonSchedule(data) {
+    const items = Array.isArray(data)
+        ? data
+        : data.sections || data.schedule?.sections || data.crns || [];
+
+    return items.map(item => {
+        if (typeof item === 'number' || typeof item === 'string') {
+            const crn = String(item).trim();
+            return { crn, label: `CRN ${crn}` };
+        }
+
+        const crn = item.Crn || item.crn ? String(item.Crn || item.crn) : null;
+        const course = item._course || item.course || null;
+        const code = course ? `${course.Subject?.Abbreviation || ''} ${course.Number?.replace(/^0+/, '') || ''}`.trim() : '';
+
+        return {
+            crn,
+            courseId: course?.Id || item.courseId || null,
+            sectionId: item.Id || item.sectionId || null,
+            label: [code, item.Type, crn ? `CRN ${crn}` : null].filter(Boolean).join(' ') || 'Unnamed section'
+        };
+    });
+}
+
+/**
+ * CRNs mentioned in an .ics file's event text (ours writes "CRN 12345")
+ */
+function parseIcsCrns(ics) {
+    const unfolded = ics.replace(/\r?\n[ \t]/g, '');
+    const crns = [];
+
+    unfolded.split(/\r?\n/).forEach(line => {
+        if (!/^(DESCRIPTION|SUMMARY|X-[\w-]+)[;:]/i.test(line)) return;
+
+        const text = line.slice(line.indexOf(':') + 1).replace(/\\[nN]/g, ' ').replace(/\\([,;\\])/g, '$1');
+        const matches = text.match(/CRN[\s:#]*(\d{5})/gi) || [];
+        matches.forEach(match => crns.push(match.match(/\d{5}/)[0]));
+    });
+
+    return crns;
+}
+
+// ==========================================
+// Resolution
+// ==========================================
+async function importFetchJson(url) {
+    const response = await fetch(url);
+    const result = await response.json();
+
+    if (!response.ok || !result.success) {
+        throw new Error(result.message || result.error || `Request failed: ${response.status}`);
+    }
+
+    return result;
+}
+
+/**
+ * An entry with only the parts the backend accepts: a 5-digit CRN and GUID ids
+ * (anything else becomes null)
+ */
+function validImportEntry(entry) {
+    const valid = (value, pattern) => (typeof value === 'string' && pattern.test(value) ? value : null);
+
+    return {
+        ...entry,
+        crn: valid(entry.crn, IMPORT_CONFIG.crnPattern),
+        courseId: valid(entry.courseId, IMPORT_CONFIG.idPattern),
+        sectionId: valid(entry.sectionId, IMPORT_CONFIG.idPattern)
+    };
+}
+
+/**
+ * Resolve entries against a term; returns { sections, notFound }.
+ * Every section ends up going through the CRN lookup, so `_course` is always
+ * Purdue's course, never the one written in the imported file.
+ */
+async function resolveImportEntries(entries, termId) {
+    const sections = [];
+    const notFound = [];
+    const byCrn = [];
+
+    // Entries that know their course find their section's CRN in that course's sections
+    const byCourse = new Map();
+    entries.map(validImportEntry).forEach(entry => {
+        if (entry.courseId && (entry.sectionId || entry.crn)) {
+            if (!byCourse.has(entry.courseId)) byCourse.set(entry.courseId, []);
+            byCourse.get(entry.courseId).push(entry);
+        } else if (entry.crn) {
+            byCrn.push(entry);
+        } else {
+            notFound.push(entry.label);
+        }
+    });
+
+    await Promise.all([...byCourse.entries()].map(async ([courseId, courseEntries]) => {
+        let termSections = [];
+        try {
+            const result = await importFetchJson(
+                `${IMPORT_CONFIG.sectionsUrl}/${encodeURIComponent(courseId)}/${encodeURIComponent(termId)}`
+            );
+            termSections = result.data || [];
+        } catch (error) {
+            console.error(`Error loading sections for ${courseId}:`, error);
+        }
+
+        courseEntries.forEach(entry => {
+            const section = termSections.find(s => s.Id === entry.sectionId) ||
+                (entry.crn ? termSections.find(s => String(s.Crn) === entry.crn) : null);
+
+            if (section?.Crn) {
+                byCrn.push({ ...entry, crn: String(section.Crn) });
+            } else if (entry.crn) {
+                // Maybe a different course in this term uses the CRN
+                byCrn.push(entry);
+            } else {
+                notFound.push(entry.label);
+            }
+        });
+    }));
+
+    for (let i = 0; i < byCrn.length; i += IMPORT_CONFIG.lookupBatchSize) {
+        const batch = byCrn.slice(i, i + IMPORT_CONFIG.lookupBatchSize);
+        const params = new URLSearchParams({ termId, crns: [...new Set(batch.map(entry => entry.crn))].join(',') });
+        const result = await importFetchJson(`${IMPORT_CONFIG.lookupUrl}?${params}`);
+
+        result.data.forEach(({ course, section }) => {
+            sections.push({ ...section, _course: course });
+        });
+
+        batch
+            .filter(entry => result.notFound.includes(entry.crn))
+            .forEach(entry => notFound.push(entry.label));
+    }
+
+    // The same section can be named twice (e.g. by CRN and by Id)
+    const unique = [...new Map(sections.map(section => [section.Id, section])).values()];
+
+    return { sections: unique, notFound };
+}
+
+// ==========================================
+// Import
+// ==========================================
+async function readImportInput() {
+    const file = importElements.fileInput?.files?.[0];
+    if (file) {
+        return file.text();
+    }
+    return importElements.textInput?.value || '';
+}
+
+async function runImport() {
+    const courseState = window.CourseSearch?.state;
+    const term = courseState?.currentTerm;
+
+    if (!term) {
+        showImportReport('<p class="error-message">Select a term first.</p>');
+        return;
+    }
+
+    const button = importElements.importButton;
+
+    try {
+        const text = await readImportInput();
+        if (!text.trim()) {
+            showImportReport('<p>Paste CRNs or a JSON schedule, or choose an .ics/.json file.</p>');
+            return;
+        }
+
+        let parsed;
+        try {
+            parsed = parseImportText(text);
+        } catch (error) {
+            showImportReport(`<p class="error-message">Couldn't read that schedule: ${escapeHtml(error.message)}</p>`);
+            return;
+        }
+
+        if (parsed.entries.length === 0) {
+            showImportReport(`<p>No sections or CRNs found in that ${parsed.format}.</p>`);
+            return;
+        }
+
+        if (button) {
+            button.disabled = true;
+            button.textContent = 'Importing...';
+        }
+
+        const { sections, notFound } = await resolveImportEntries(parsed.entries, term.Id);
+
+        applyImportedSections(sections, importElements.replaceCheckbox?.checked);
+
+        console.log(`✅ Imported ${sections.length} sections from ${parsed.format} (${notFound.length} not found)`);
+
+        showImportReport(`
+            <p><strong>Imported ${sections.length} section${sections.length !== 1 ? 's' : ''}</strong> from ${parsed.format} into ${escapeHtml(term.Name)}.</p>
+            ${notFound.length > 0 ? `
+                <p class="import-not-found">Not found in ${escapeHtml(term.Name)} (${notFound.length}):</p>
+                <ul class="import-not-found-list">${notFound.map(label => `<li>${escapeHtml(label)}</li>`).join('')}</ul>
+            ` : ''}
+        `);
+    } catch (error) {
+        console.error('Error importing schedule:', error);
+        showImportReport(`<p class="error-message">Import failed: ${escapeHtml(error.message)}</p>`);
+    } finally {
+        if (button) {
+            button.disabled = false;
+            button.textContent = 'Import';
+        }
+    }
+}
+
+function applyImportedSections(sections, replace) {
+    if (!window.CourseSearch || sections.length === 0) return;
+
+    const selected = window.CourseSearch.state.selectedSections;
+    const kept = replace ? [] : selected;
+    const added = sections.filter(section => !kept.some(s => s.Id === section.Id));
+
+    selected.splice(0, selected.length, ...kept, ...added);
+
+    window.CourseSearch.save();
+    window.CourseSearch.refreshSchedule();
+    window.CourseSearch.refreshSectionCards();
+}
+
+function showImportReport(html) {
+    if (importElements.report) {
+        importElements.report.innerHTML = html;
+    }
+}
+
+// ==========================================
+// Export
+// ==========================================
+if (typeof window !== 'undefined') {
+    window.ScheduleImport = {
+        init: initScheduleImport,
+        parse: parseImportText,
+        resolve: resolveImportEntries,
+        open: openImportModal
+    };
+}
@@ -0,0 +1,441 @@
+/**
+ * Named Schedule Plans
+ * Keeps several named schedules per term ("Plan A", "Backup if CS 25100 fills")
+ * in localStorage, with switch, duplicate, rename, delete and side-by-side compare
+ */
+
+// ==========================================
+// Configuration
+// ==========================================
+const PLANS_CONFIG = {
+    storageKey: 'purdueSchedulePlans',
+    legacyKey: 'purdueSchedule', // single schedule saved before plans existed
+    defaultName: 'My Schedule'
+};
+
+// ==========================================
+// State
+// ==========================================
+const plansState = {
+    terms: {},           // termId -> { activePlanId, plans: [{ id, name, sections, createdAt, updatedAt }] }
+    termId: null,        // term shown in the planner
+    compareWithId: null, // plan shown next to the active one, or null
+    loaded: false
+};
+
+// ==========================================
+// Storage
+// ==========================================
+function loadPlans() {
+    try {
+        const saved = localStorage.getItem(PLANS_CONFIG.storageKey);
+        plansState.terms = saved ? JSON.parse(saved).terms || {} : {};
+    } catch (error) {
+        console.error('Error loading schedule plans:', error);
+        plansState.terms = {};
+    }
+    plansState.loaded = true;
+}
+
+function persistPlans() {
+    localStorage.setItem(PLANS_CONFIG.storageKey, JSON.stringify({ terms: plansState.terms }));
+}
+
+function createPlan(name, sections) {
+    const now = new Date().toISOString();
+    return {
+        id: `plan-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`,
+        name,
+        sections,
+        createdAt: now,
+        updatedAt: now
+    };
+}
+
+/**
+ * Plans for a term, creating the default plan on first use
+ */
+function getTermPlans(termId) {
+    if (!plansState.terms[termId]) {
+        const plan = createPlan(PLANS_CONFIG.defaultName, []);
+        plansState.terms[termId] = { activePlanId: plan.id, plans: [plan] };
+    }
+    return plansState.terms[termId];
+}
+
+function getActivePlan(termId) {
+    const entry = getTermPlans(termId);
+    let plan = entry.plans.find(p => p.id === entry.activePlanId);
+
+    if (!plan) {
+        plan = entry.plans[0];
+        entry.activePlanId = plan.id;
+    }
+
+    return plan;
+}
+
+/**
+ * Move the single pre-plans schedule into its term as a plan
+ */
+function migrateLegacySchedule(fallbackTermId) {
+    const saved = localStorage.getItem(PLANS_CONFIG.legacyKey);
+    if (!saved) return;
+
+    try {
+        const data = JSON.parse(saved);
+        const termId = data.termId || fallbackTermId;
+        const sections = data.sections || [];
+
+        if (termId && sections.length > 0) {
+            const active = getActivePlan(termId);
+            if (active.sections.length === 0) {
+                active.sections = sections;
+            } else {
+                getTermPlans(termId).plans.push(createPlan('Saved Schedule', sections));
+            }
+            persistPlans();
+        }
+
+        localStorage.removeItem(PLANS_CONFIG.legacyKey);
+        console.log('✅ Migrated saved schedule into plans');
+    } catch (error) {
+        console.error('Error migrating saved schedule:', error);
+    }
+}
+
+// ==========================================
+// Public API (used by courseSearch.js)
+// ==========================================
+
+/**
+ * Make `termId` the planner's term; returns a copy of its active plan's sections
+ */
+function openTerm(termId) {
+    if (!plansState.loaded) {
+        loadPlans();
+    }
+    migrateLegacySchedule(termId);
+
+    plansState.termId = termId;
+    plansState.compareWithId = null;
+
+    const plan = getActivePlan(termId);
+    renderPlanBar();
+    renderPlanCompare();
+
+    return plan.sections.map(section => ({ ...section }));
+}
+
+/**
+ * Store sections into the term's active plan
+ */
+function saveSections(termId, sections) {
+    const plan = getActivePlan(termId);
+    plan.sections = sections;
+    plan.updatedAt = new Date().toISOString();
+    persistPlans();
+
+    renderPlanBar();
+    renderPlanCompare();
+}
+
+/**
+ * Add a plan to a term and make it that term's active plan
+ */
+function importPlan(termId, name, sections) {
+    if (!plansState.loaded) {
+        loadPlans();
+    }
+
+    const entry = getTermPlans(termId);
+    const plan = createPlan(uniquePlanName(name, termId), sections.map(section => ({ ...section })));
+    entry.plans.push(plan);
+    entry.activePlanId = plan.id;
+    persistPlans();
+
+    if (termId === plansState.termId) {
+        showActivePlan();
+    }
+
+    return plan;
+}
+
+function hasMultiplePlans() {
+    if (!plansState.termId) return false;
+    return getTermPlans(plansState.termId).plans.length > 1;
+}
+
+// ==========================================
+// Plan Actions
+// ==========================================
+function switchPlan(planId) {
+    const entry = getTermPlans(plansState.termId);
+    if (!entry.plans.some(p => p.id === planId)) return;
+
+    entry.activePlanId = planId;
+    if (plansState.compareWithId === planId) {
+        plansState.compareWithId = null;
+    }
+    persistPlans();
+
+    showActivePlan();
+}
+
+/**
+ * Load the active plan into the course planner and grid
+ */
+function showActivePlan() {
+    const plan = getActivePlan(plansState.termId);
+
+    if (window.CourseSearch) {
+        window.CourseSearch.state.selectedSections = plan.sections.map(section => ({ ...section }));
+        window.CourseSearch.refreshSchedule();
+        window.CourseSearch.refreshSectionCards();
+    }
+
+    renderPlanBar();
+    renderPlanCompare();
+}
+
+function uniquePlanName(base, termId = plansState.termId) {
+    const names = new Set(getTermPlans(termId).plans.map(p => p.name));
+    if (!names.has(base)) return base;
+
+    let i = 2;
+    while (names.has(`${base} ${i}`)) i++;
+    return `${base} ${i}`;
+}
+
+function promptPlanName(message, suggestion) {
+    const name = prompt(message, suggestion);
+    if (name === null) return null;
+
+    const trimmed = name.trim().slice(0, 60);
+    return trimmed || null;
+}
+
+function addPlan() {
+    if (!plansState.termId) return;
+
+    const entry = getTermPlans(plansState.termId);
+    const name = promptPlanName('Name for the new schedule:', uniquePlanName(`Plan ${String.fromCharCode(65 + entry.plans.length)}`));
+    if (!name) return;
+
+    const plan = createPlan(name, []);
+    entry.plans.push(plan);
+    switchPlan(plan.id);
+}
+
+function duplicatePlan() {
+    if (!plansState.termId) return;
+
+    const active = getActivePlan(plansState.termId);
+    const name = promptPlanName('Name for the copy:', uniquePlanName(`${active.name} (copy)`));
+    if (!name) return;
+
+    const plan = createPlan(name, active.sections.map(section => ({ ...section })));
+    getTermPlans(plansState.termId).plans.push(plan);
+    switchPlan(plan.id);
+}
+
+function renamePlan() {
+    if (!plansState.termId) return;
+
+    const active = getActivePlan(plansState.termId);
+    const name = promptPlanName('Rename schedule:', active.name);
+    if (!name || name === active.name) return;
+
+    active.name = name;
+    active.updatedAt = new Date().toISOString();
+    persistPlans();
+
+    renderPlanBar();
+    renderPlanCompare();
+}
+
+function deletePlan() {
+    if (!plansState.termId) return;
+
+    const entry = getTermPlans(plansState.termId);
+    const active = getActivePlan(plansState.termId);
+
+    if (!confirm(`Delete "${active.name}"? This can't be undone.`)) return;
+
+    entry.plans = entry.plans.filter(p => p.id !== active.id);
+
+    // A term always keeps at least one (possibly empty) plan
+    if (entry.plans.length === 0) {
+        entry.plans.push(createPlan(PLANS_CONFIG.defaultName, []));
+    }
+
+    switchPlan(entry.plans[0].id);
+}
+
+// ==========================================
+// Plan Bar
+// ==========================================
+function setupPlanBar() {
+    const select = document.getElementById('planSelect');
+    if (select) {
+        select.addEventListener('change', (e) => switchPlan(e.target.value));
+    }
+
+    const actions = {
+        newPlanBtn: addPlan,
+        duplicatePlanBtn: duplicatePlan,
+        renamePlanBtn: renamePlan,
+        deletePlanBtn: deletePlan,
+        comparePlanBtn: toggleCompare
+    };
+
+    Object.entries(actions).forEach(([id, handler]) => {
+        const button = document.getElementById(id);
+        if (button) {
+            button.addEventListener('click', handler);
+        }
+    });
+}
+
+function renderPlanBar() {
+    const select = document.getElementById('planSelect');
+    if (!select || !plansState.termId) return;
+
+    const entry = getTermPlans(plansState.termId);
+    const active = getActivePlan(plansState.termId);
+
+    select.innerHTML = '';
+    entry.plans.forEach(plan => {
+        const option = document.createElement('option');
+        option.value = plan.id;
+        option.textContent = `${plan.name} (${window.ScheduleGrid?.countCredits(plan.sections) ?? 0} cr)`;
+        option.selected = plan.id === active.id;
+        select.appendChild(option);
+    });
+
+    const compareBtn = document.getElementById('comparePlanBtn');
+    if (compareBtn) {
+        compareBtn.disabled = entry.plans.length < 2;
+        compareBtn.textContent = plansState.compareWithId ? 'Close Compare' : 'Compare';
+    }
+}
+
+// ==========================================
+// Side-by-Side Compare
+// ==========================================
+function toggleCompare() {
+    if (!plansState.termId) return;
+
+    if (plansState.compareWithId) {
+        plansState.compareWithId = null;
+    } else {
+        const entry = getTermPlans(plansState.termId);
+        const other = entry.plans.find(p => p.id !== entry.activePlanId);
+        plansState.compareWithId = other ? other.id : null;
+    }
+
+    renderPlanBar();
+    renderPlanCompare();
+}
+
+function renderPlanCompare() {
+    const container = document.getElementById('planCompare');
+    if (!container) return;
+
+    const entry = plansState.termId ? getTermPlans(plansState.termId) : null;
+    const other = entry?.plans.find(p => p.id === plansState.compareWithId);
+
+    if (!other || !window.ScheduleGrid) {
+        container.style.display = 'none';
+        container.innerHTML = '';
+        return;
+    }
+
+    const active = getActivePlan(plansState.termId);
+
+    container.style.display = 'grid';
+    container.innerHTML = '';
+    container.appendChild(createCompareColumn(active, entry, false));
+    container.appendChild(createCompareColumn(other, entry, true));
+}
+
+function createCompareColumn(plan, entry, selectable) {
+    const column = document.createElement('div');
+    column.className = 'plan-compare-column';
+
+    const { element, conflicts } = window.ScheduleGrid.buildGrid(plan.sections);
+    const credits = window.ScheduleGrid.countCredits(plan.sections);
+
+    const heading = document.createElement('div');
+    heading.className = 'plan-compare-header';
+
+    if (selectable) {
+        const select = document.createElement('select');
+        select.className = 'plan-select';
+        entry.plans
+            .filter(p => p.id !== entry.activePlanId)
+            .forEach(p => {
+                const option = document.createElement('option');
+                option.value = p.id;
+                option.textContent = p.name;
+                option.selected = p.id === plan.id;
+                select.appendChild(option);
+            });
+        select.addEventListener('change', (e) => {
+            plansState.compareWithId = e.target.value;
+            renderPlanCompare();
+        });
+        heading.appendChild(select);
+    } else {
+        const title = document.createElement('strong');
+        title.textContent = `${plan.name} (current)`;
+        heading.appendChild(title);
+    }
+
+    const summary = document.createElement('div');
+    summary.className = 'plan-compare-summary';
+    summary.innerHTML = `
+        <span class="credit-counter">${credits} Credit${credits !== 1 ? 's' : ''}</span>
+        <span class="${conflicts.length > 0 ? 'plan-compare-conflicts' : 'plan-compare-ok'}">
+            ${conflicts.length > 0
+                ? `⚠️ ${conflicts.length} conflict${conflicts.length !== 1 ? 's' : ''}: ${escapeHtml(conflicts.map(c => `${c.courses[0]} / ${c.courses[1]} (${c.minutes} min)`).join(', '))}`
+                : '✓ No conflicts'}
+        </span>
+    `;
+
+    const gridWrapper = document.createElement('div');
+    gridWrapper.className = 'schedule-grid active plan-compare-grid';
+    if (plan.sections.length > 0) {
+        gridWrapper.appendChild(element);
+    } else {
+        gridWrapper.classList.remove('active');
+        gridWrapper.textContent = 'No sections in this plan yet';
+    }
+
+    column.appendChild(heading);
+    column.appendChild(summary);
+    column.appendChild(gridWrapper);
+
+    return column;
+}
+
+// ==========================================
+// Initialization
+// ==========================================
+function initSchedulePlans() {
+    setupPlanBar();
+}
+
+// ==========================================
+// Export
+// ==========================================
+if (typeof window !== 'undefined') {
+    window.SchedulePlans = {
+        init: initSchedulePlans,
+        openTerm,
+        saveSections,
+        importPlan,
+        hasMultiplePlans,
+        state: plansState
+    };
+}
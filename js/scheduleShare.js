@@ -0,0 +1,222 @@
+/**
+ * Shareable Schedule Links
+ * "Share" stores a copy of the current schedule on the server and returns a short link.
+ * Opening the link (/s/<id> redirects to /?share=<id>) shows the schedule read-only,
+ * with an option to copy it into your own planner as a new plan.
+ */
+
+// ==========================================
+// Configuration
+// ==========================================
+const SHARE_CONFIG = {
+    apiUrl: '/api/schedules/share',
+    queryParam: 'share'
+};
+
+const shareState = {
+    shared: null, // schedule opened from a link
+    isSharing: false
+};
+
+// ==========================================
+// Initialization
+// ==========================================
+function initScheduleShare() {
+    const shareBtn = document.getElementById('shareScheduleBtn');
+    if (shareBtn) {
+        shareBtn.addEventListener('click', shareCurrentSchedule);
+    }
+
+    document.getElementById('copyShareLinkBtn')?.addEventListener('click', copyShareLink);
+    document.getElementById('closeShareLinkBtn')?.addEventListener('click', () => {
+        document.getElementById('shareLinkModal').style.display = 'none';
+    });
+    document.getElementById('copySharedScheduleBtn')?.addEventListener('click', copySharedSchedule);
+    document.getElementById('closeSharedScheduleBtn')?.addEventListener('click', closeSharedSchedule);
+
+    openSharedLink();
+}
+
+// ==========================================
+// Sharing
+// ==========================================
+function activePlanName(termId) {
+    const entry = window.SchedulePlans?.state.terms[termId];
+    return entry?.plans.find(p => p.id === entry.activePlanId)?.name || null;
+}
+
+async function shareCurrentSchedule() {
+    const courseSearch = window.CourseSearch;
+    const term = courseSearch?.state.currentTerm;
+    const sections = courseSearch?.state.selectedSections || [];
+
+    if (!term || sections.length === 0) {
+        alert('No schedule to share! Please add courses first.');
+        return;
+    }
+
+    if (shareState.isSharing) return;
+    shareState.isSharing = true;
+
+    const button = document.getElementById('shareScheduleBtn');
+    if (button) button.disabled = true;
+
+    try {
+        const response = await fetch(SHARE_CONFIG.apiUrl, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            // Only ids are sent; the server looks the sections up again on Purdue.io
+            body: JSON.stringify({
+                termId: term.Id,
+                name: activePlanName(term.Id),
+                sections: sections.map(section => ({ Id: section.Id, _course: { Id: section._course.Id } }))
+            })
+        });
+        const result = await response.json();
+
+        if (!response.ok || !result.success) {
+            throw new Error(result.error || `Request failed: ${response.status}`);
+        }
+
+        console.log(`✅ Shared schedule: ${result.url}`);
+        showShareLink(result.url);
+    } catch (error) {
+        console.error('Error sharing schedule:', error);
+        alert(`Couldn't create a share link: ${error.message}`);
+    } finally {
+        shareState.isSharing = false;
+        if (button) button.disabled = false;
+    }
+}
+
+function showShareLink(url) {
+    const modal = document.getElementById('shareLinkModal');
+    const input = document.getElementById('shareLinkInput');
+    if (!modal || !input) return;
+
+    input.value = url;
+    document.getElementById('shareLinkStatus').textContent = '';
+    modal.style.display = 'flex';
+    input.select();
+}
+
+async function copyShareLink() {
+    const input = document.getElementById('shareLinkInput');
+    const status = document.getElementById('shareLinkStatus');
+
+    try {
+        await navigator.clipboard.writeText(input.value);
+        status.textContent = '✓ Copied to clipboard';
+    } catch (error) {
+        // Clipboard API needs a secure context; leave the link selected instead
+        input.select();
+        status.textContent = 'Press Ctrl+C (⌘C) to copy';
+    }
+}
+
+// ==========================================
+// Viewing a Shared Schedule
+// ==========================================
+async function openSharedLink() {
+    const id = new URLSearchParams(window.location.search).get(SHARE_CONFIG.queryParam);
+    if (!id) return;
+
+    const modal = document.getElementById('sharedScheduleModal');
+    const body = document.getElementById('sharedScheduleBody');
+    if (!modal || !body) return;
+
+    modal.style.display = 'flex';
+    body.innerHTML = '<p>Loading shared schedule...</p>';
+
+    try {
+        const response = await fetch(`${SHARE_CONFIG.apiUrl}/${encodeURIComponent(id)}`);
+        const result = await response.json();
+
+        if (!response.ok || !result.success) {
+            throw new Error(result.error || `Request failed: ${response.status}`);
+        }
+
+        shareState.shared = result.data;
+        renderSharedSchedule();
+    } catch (error) {
+        console.error('Error loading shared schedule:', error);
+        body.innerHTML = `<p class="error-message">This shared schedule couldn't be loaded: ${escapeHtml(error.message)}</p>`;
+    }
+}
+
+function renderSharedSchedule() {
+    const shared = shareState.shared;
+    const body = document.getElementById('sharedScheduleBody');
+    if (!shared || !body || !window.ScheduleGrid) return;
+
+    const { element, conflicts } = window.ScheduleGrid.buildGrid(shared.sections);
+    const credits = window.ScheduleGrid.countCredits(shared.sections);
+
+    document.getElementById('sharedScheduleTitle').textContent = shared.name || 'Shared Schedule';
+
+    body.innerHTML = `
+        <div class="plan-compare-summary">
+            ${shared.termName ? `<span class="shared-schedule-term">${escapeHtml(shared.termName)}</span>` : ''}
+            <span class="credit-counter">${credits} Credit${credits !== 1 ? 's' : ''}</span>
+            <span class="${conflicts.length > 0 ? 'plan-compare-conflicts' : 'plan-compare-ok'}">
+                ${conflicts.length > 0
+                    ? `⚠️ ${conflicts.length} conflict${conflicts.length !== 1 ? 's' : ''}`
+                    : '✓ No conflicts'}
+            </span>
+        </div>
+    `;
+
+    const gridWrapper = document.createElement('div');
+    gridWrapper.className = 'schedule-grid active shared-schedule-grid';
+    gridWrapper.appendChild(element);
+    body.appendChild(gridWrapper);
+
+    const copyBtn = document.getElementById('copySharedScheduleBtn');
+    if (copyBtn) copyBtn.disabled = false;
+}
+
+/**
+ * Save the shared schedule as a new plan in its term and open it in the planner
+ */
+function copySharedSchedule() {
+    const shared = shareState.shared;
+    if (!shared || !window.SchedulePlans) return;
+
+    const plan = window.SchedulePlans.importPlan(
+        shared.termId,
+        shared.name ? `${shared.name} (shared)` : 'Shared Schedule',
+        shared.sections
+    );
+
+    const switched = window.CourseSearch?.selectTerm(shared.termId);
+
+    closeSharedSchedule();
+
+    if (!switched) {
+        alert(`Saved as "${plan.name}". It will appear when ${shared.termName || 'that term'} is available in the course planner.`);
+        return;
+    }
+
+    document.getElementById('coursePlanner')?.scrollIntoView({ behavior: 'smooth' });
+}
+
+function closeSharedSchedule() {
+    const modal = document.getElementById('sharedScheduleModal');
+    if (modal) modal.style.display = 'none';
+
+    // Drop ?share= so a reload doesn't reopen the shared schedule
+    const url = new URL(window.location.href);
+    url.searchParams.delete(SHARE_CONFIG.queryParam);
+    window.history.replaceState(null, '', url);
+}
+
+// ==========================================
+// Export
+// ==========================================
+if (typeof window !== 'undefined') {
+    window.ScheduleShare = {
+        init: initScheduleShare,
+        share: shareCurrentSchedule,
+        state: shareState
+    };
+}
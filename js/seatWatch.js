@@ -0,0 +1,243 @@
+/**
+ * Seat Availability & Watches
+ * Seat and waitlist counts for section cards, plus "Watch seats": the server
+ * polls watched sections and this module shows an in-app alert (and a browser
+ * notification when allowed) when a full section opens a seat.
+ */
+
+// ==========================================
+// Configuration
+// ==========================================
+const SEATS_CONFIG = {
+    watchUrl: '/api/seats/watch',
+    notificationsUrl: '/api/seats/notifications',
+    checkInterval: 60000, // 1 minute
+    seenKey: 'purdueSeatAlertsSeen',
+    clientKey: 'purdueSeatClient', // this browser's token; the server scopes watches to it
+    alertDuration: 15000
+};
+
+// ==========================================
+// State
+// ==========================================
+const seatState = {
+    watches: new Map(), // sectionId -> watch from the server
+    lastSeen: null,     // server time of the newest alert already shown
+    client: null        // token sent as X-Seat-Client
+};
+
+/**
+ * This browser's seat watch token, created on first use
+ */
+function seatClientToken() {
+    let token = localStorage.getItem(SEATS_CONFIG.clientKey);
+
+    if (!/^[A-Za-z0-9-]{16,64}$/.test(token || '')) {
+        const bytes = crypto.getRandomValues(new Uint8Array(16));
+        token = Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+        localStorage.setItem(SEATS_CONFIG.clientKey, token);
+    }
+
+    return token;
+}
+
+function seatHeaders(extra = {}) {
+    return { 'X-Seat-Client': seatState.client, ...extra };
+}
+
+// ==========================================
+// Initialization
+// ==========================================
+async function initSeatWatch() {
+    seatState.client = seatClientToken();
+    seatState.lastSeen = localStorage.getItem(SEATS_CONFIG.seenKey);
+
+    await loadWatches();
+    await checkSeatAlerts();
+
+    setInterval(checkSeatAlerts, SEATS_CONFIG.checkInterval);
+}
+
+async function loadWatches() {
+    try {
+        const response = await fetch(SEATS_CONFIG.watchUrl, { headers: seatHeaders() });
+        const result = await response.json();
+
+        seatState.watches = new Map((result.data || []).map(watch => [watch.sectionId, watch]));
+        refreshWatchButtons();
+    } catch (error) {
+        console.error('Error loading seat watches:', error);
+    }
+}
+
+// ==========================================
+// Seat Counts
+// ==========================================
+
+/**
+ * Seat and waitlist line for a section card (empty when Purdue.io has no counts)
+ */
+function seatSummary(section) {
+    const capacity = section.Capacity;
+    const remaining = section.RemainingSpace;
+
+    if (typeof capacity !== 'number' || typeof remaining !== 'number') return '';
+
+    const isFull = remaining <= 0;
+    const seats = isFull ? `Full (${capacity} seats)` : `${remaining} of ${capacity} seats open`;
+    const enrolled = typeof section.Enrolled === 'number' ? ` · ${section.Enrolled} enrolled` : '';
+    const waitlist = section.WaitListCapacity > 0
+        ? ` · Waitlist ${section.WaitListCount || 0}/${section.WaitListCapacity}`
+        : '';
+
+    return `
+        <div class="section-availability ${isFull ? 'full' : ''}">
+            ${seats}${enrolled}${waitlist}
+        </div>
+    `;
+}
+
+// ==========================================
+// Watching
+// ==========================================
+function watchLabel(section, course) {
+    const code = `${course.Subject?.Abbreviation || ''} ${course.Number?.replace(/^0+/, '') || ''}`.trim();
+    return `${code} ${section.Type || 'Lecture'} (CRN ${section.Crn || 'N/A'})`;
+}
+
+/**
+ * "Watch seats" toggle for a section card
+ */
+function createWatchButton(section, course) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'watch-seats-btn';
+    button.dataset.watchSectionId = section.Id;
+    updateWatchButton(button);
+
+    button.addEventListener('click', () => toggleWatch(section, course, button));
+    return button;
+}
+
+function updateWatchButton(button) {
+    const isWatched = seatState.watches.has(button.dataset.watchSectionId);
+    button.classList.toggle('watching', isWatched);
+    button.textContent = isWatched ? '🔕 Stop watching' : '🔔 Watch seats';
+}
+
+function refreshWatchButtons() {
+    document.querySelectorAll('.watch-seats-btn').forEach(updateWatchButton);
+}
+
+async function toggleWatch(section, course, button) {
+    button.disabled = true;
+
+    try {
+        if (seatState.watches.has(section.Id)) {
+            const response = await fetch(`${SEATS_CONFIG.watchUrl}/${encodeURIComponent(section.Id)}`, {
+                method: 'DELETE',
+                headers: seatHeaders()
+            });
+            if (!response.ok && response.status !== 404) {
+                throw new Error(`Request failed: ${response.status}`);
+            }
+            seatState.watches.delete(section.Id);
+        } else {
+            const response = await fetch(SEATS_CONFIG.watchUrl, {
+                method: 'POST',
+                headers: seatHeaders({ 'Content-Type': 'application/json' }),
+                body: JSON.stringify({
+                    sectionId: section.Id,
+                    crn: section.Crn,
+                    termId: window.CourseSearch?.state.currentTerm?.Id,
+                    label: watchLabel(section, course)
+                })
+            });
+            const result = await response.json();
+
+            if (!response.ok || !result.success) {
+                throw new Error(result.error || `Request failed: ${response.status}`);
+            }
+
+            seatState.watches.set(section.Id, result.data);
+            requestAlertPermission();
+        }
+
+        refreshWatchButtons();
+    } catch (error) {
+        console.error('Error updating seat watch:', error);
+        alert(`Couldn't update the seat watch: ${error.message}`);
+    } finally {
+        button.disabled = false;
+    }
+}
+
+// ==========================================
+// Alerts
+// ==========================================
+function requestAlertPermission() {
+    if ('Notification' in window && Notification.permission === 'default') {
+        Notification.requestPermission();
+    }
+}
+
+async function checkSeatAlerts() {
+    try {
+        const params = seatState.lastSeen ? `?since=${encodeURIComponent(seatState.lastSeen)}` : '';
+        const response = await fetch(`${SEATS_CONFIG.notificationsUrl}${params}`, { headers: seatHeaders() });
+        const result = await response.json();
+
+        if (!response.ok || !result.success) return;
+
+        // The first check only sets the baseline, so old openings aren't replayed
+        if (seatState.lastSeen) {
+            result.data
+                .filter(notification => seatState.watches.has(notification.sectionId))
+                .forEach(showSeatAlert);
+        }
+
+        seatState.lastSeen = result.data.length > 0 ? result.data[result.data.length - 1].at : result.serverTime;
+        localStorage.setItem(SEATS_CONFIG.seenKey, seatState.lastSeen);
+    } catch (error) {
+        console.error('Error checking seat alerts:', error);
+    }
+}
+
+function showSeatAlert(notification) {
+    let container = document.getElementById('seatAlerts');
+    if (!container) {
+        container = document.createElement('div');
+        container.id = 'seatAlerts';
+        container.className = 'seat-alerts';
+        document.body.appendChild(container);
+    }
+
+    const alertBox = document.createElement('div');
+    alertBox.className = 'seat-alert';
+    alertBox.innerHTML = `
+        <span class="seat-alert-icon">🪑</span>
+        <span class="seat-alert-text"></span>
+        <button type="button" class="seat-alert-close" aria-label="Dismiss">&times;</button>
+    `;
+    alertBox.querySelector('.seat-alert-text').textContent = notification.message;
+    alertBox.querySelector('.seat-alert-close').addEventListener('click', () => alertBox.remove());
+
+    container.appendChild(alertBox);
+    setTimeout(() => alertBox.remove(), SEATS_CONFIG.alertDuration);
+
+    if ('Notification' in window && Notification.permission === 'granted') {
+        new Notification('Seat opened', { body: notification.message });
+    }
+}
+
+// ==========================================
+// Export
+// ==========================================
+if (typeof window !== 'undefined') {
+    window.SeatWatch = {
+        init: initSeatWatch,
+        summary: seatSummary,
+        watchButton: createWatchButton,
+        state: seatState
+    };
+}
@@ -0,0 +1,241 @@
+/**
+ * Walking Time Between Classes
+ * Estimates the walk between consecutive meetings from building coordinates in
+ * data/buildings.json, warns when the passing period is too short (say ARMS to
+ * LWSN in 10 minutes), and lists each day's route under the schedule grid.
+ *
+ * Uses the meeting helpers from schedule.js (parseDaysOfWeek, meetingMinuteRange,
+ * meetingDateRange, dateRangesOverlap).
+ */
+
+// ==========================================
+// Configuration
+// ==========================================
+const WALKING_CONFIG = {
+    dataUrl: 'data/buildings.json',
+    metersPerMinute: 70,   // a little under average walking speed, for crowded paths
+    detourFactor: 1.4,     // paths around buildings vs. a straight line
+    exitMinutes: 2,        // packing up and getting out of the room
+    maxGapMinutes: 60      // longer breaks aren't back-to-back
+};
+
+// ==========================================
+// State
+// ==========================================
+const walkingState = {
+    buildings: {},  // short code -> { name, lat, lng }
+    note: '',
+    days: []        // last analysis: [{ day, stops, legs }]
+};
+
+// ==========================================
+// Initialization
+// ==========================================
+async function initWalkingTime() {
+    try {
+        const response = await fetch(WALKING_CONFIG.dataUrl);
+        if (!response.ok) throw new Error('Failed to load building coordinates');
+
+        const data = await response.json();
+        walkingState.buildings = data.buildings || {};
+        walkingState.note = data.note || '';
+    } catch (error) {
+        console.error('Error loading building coordinates:', error);
+        walkingState.buildings = {};
+    }
+
+    checkWalkingTimes();
+}
+
+// ==========================================
+// Distances
+// ==========================================
+
+/**
+ * Straight-line distance in meters between two buildings, or null if either is unknown
+ */
+function buildingDistance(fromCode, toCode) {
+    const from = walkingState.buildings[fromCode];
+    const to = walkingState.buildings[toCode];
+    if (!from || !to) return null;
+
+    const toRadians = degrees => degrees * Math.PI / 180;
+    const dLat = toRadians(to.lat - from.lat);
+    const dLng = toRadians(to.lng - from.lng);
+    const a = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(dLng / 2) ** 2;
+
+    return 2 * 6371000 * Math.asin(Math.sqrt(a));
+}
+
+/**
+ * { meters, minutes } along campus paths, or null if a building is unknown
+ */
+function walkBetween(fromCode, toCode) {
+    if (fromCode === toCode) return { meters: 0, minutes: 0 };
+
+    const distance = buildingDistance(fromCode, toCode);
+    if (distance === null) return null;
+
+    const meters = Math.round(distance * WALKING_CONFIG.detourFactor);
+    return { meters, minutes: Math.ceil(meters / WALKING_CONFIG.metersPerMinute) };
+}
+
+// ==========================================
+// Analysis
+// ==========================================
+function walkingCourseCode(section) {
+    const course = section._course || {};
+    return `${course.Subject?.Abbreviation || ''} ${course.Number?.replace(/^0+/, '') || ''}`.trim();
+}
+
+/**
+ * Timed, located meetings per day: [[{ start, end, building, course, range }], ...] (Monday first)
+ */
+function meetingsByDay(sections) {
+    const days = SCHEDULE_CONFIG.daysOfWeek.map(() => []);
+
+    sections.forEach(section => {
+        (section.Meetings || []).forEach(meeting => {
+            const building = meeting.Room?.Building?.ShortCode;
+            if (!building || !isTimedMeeting(meeting)) return;
+
+            const { start, end } = meetingMinuteRange(meeting);
+            const entry = {
+                start,
+                end,
+                building,
+                course: walkingCourseCode(section),
+                range: meetingDateRange(meeting, section)
+            };
+
+            parseDaysOfWeek(meeting.DaysOfWeek).forEach(day => days[day].push(entry));
+        });
+    });
+
+    days.forEach(meetings => meetings.sort((a, b) => a.start - b.start));
+    return days;
+}
+
+/**
+ * Route and walks for each day with classes:
+ * [{ day, stops, legs: [{ from, to, gap, walk, tight }] }]
+ * A meeting's next stop is the first later meeting held in the same weeks, so
+ * the two halves of the term aren't paired with each other.
+ */
+function analyzeWalking(sections) {
+    return meetingsByDay(sections)
+        .map((meetings, day) => {
+            const legs = [];
+
+            meetings.forEach(meeting => {
+                const next = meetings.find(other =>
+                    other !== meeting && other.start >= meeting.end && dateRangesOverlap(other.range, meeting.range));
+                if (!next) return;
+
+                const gap = next.start - meeting.end;
+                const walk = walkBetween(meeting.building, next.building);
+                const tight = walk !== null && gap <= WALKING_CONFIG.maxGapMinutes &&
+                    walk.minutes + WALKING_CONFIG.exitMinutes > gap;
+
+                legs.push({ from: meeting, to: next, gap, walk, tight });
+            });
+
+            return { day, stops: meetings, legs };
+        })
+        .filter(({ stops }) => stops.length > 0);
+}
+
+// ==========================================
+// Rendering
+// ==========================================
+
+/**
+ * Re-check the planner's schedule and redraw the walking summary
+ */
+function checkWalkingTimes() {
+    const container = document.getElementById('walkingSummary');
+    const sections = window.CourseSearch?.state.selectedSections || [];
+
+    walkingState.days = analyzeWalking(sections);
+    if (!container) return;
+
+    if (walkingState.days.length === 0 || Object.keys(walkingState.buildings).length === 0) {
+        container.style.display = 'none';
+        container.innerHTML = '';
+        return;
+    }
+
+    const dayName = day => SCHEDULE_CONFIG.daysOfWeek[day];
+    const formatMeters = meters => meters >= 1000 ? `${(meters / 1000).toFixed(1)} km` : `${meters} m`;
+
+    // The same tight walk usually repeats on several days (MWF); list it once
+    const warnings = new Map();
+    walkingState.days.forEach(({ day, legs }) => {
+        legs.filter(leg => leg.tight).forEach(leg => {
+            const key = `${leg.from.course}|${leg.from.building}|${leg.to.course}|${leg.to.building}|${leg.gap}`;
+            if (!warnings.has(key)) warnings.set(key, { leg, days: [] });
+            warnings.get(key).days.push(SCHEDULE_CONFIG.dayAbbreviations[dayName(day)]);
+        });
+    });
+
+    const warningItems = [...warnings.values()].map(({ leg, days }) => `
+        <li class="walking-warning">
+            ⚠️ <strong>${days.join('')}</strong>: ${escapeHtml(leg.from.course)} (${escapeHtml(leg.from.building)}) → ${escapeHtml(leg.to.course)} (${escapeHtml(leg.to.building)})
+            is about a ${leg.walk.minutes}-minute walk with only ${leg.gap} minutes between classes
+        </li>
+    `).join('');
+
+    const unknown = new Set();
+    const routes = walkingState.days.map(({ day, stops, legs }) => {
+        stops.forEach(stop => {
+            if (!walkingState.buildings[stop.building]) unknown.add(stop.building);
+        });
+
+        const meters = legs.reduce((sum, leg) => sum + (leg.walk?.meters || 0), 0);
+        const minutes = legs.reduce((sum, leg) => sum + (leg.walk?.minutes || 0), 0);
+        const route = stops
+            .map(stop => stop.building)
+            .filter((building, index, all) => index === 0 || building !== all[index - 1]);
+
+        let total = `${formatMeters(meters)} · ~${minutes} min walking`;
+        if (route.length === 1) {
+            total = 'one building';
+        } else if (legs.every(leg => !leg.walk || leg.walk.meters === 0)) {
+            total = 'distance unknown';
+        } else if (legs.some(leg => !leg.walk)) {
+            total += ' (not counting unknown buildings)';
+        }
+
+        return `
+            <li class="walking-route ${legs.some(leg => leg.tight) ? 'tight' : ''}">
+                <span class="walking-day">${dayName(day)}</span>
+                <span class="walking-stops">${escapeHtml(route.join(' → '))}</span>
+                <span class="walking-total">${total}</span>
+            </li>
+        `;
+    }).join('');
+
+    container.style.display = 'block';
+    container.innerHTML = `
+        <h4 class="walking-title">🚶 Walking Between Classes</h4>
+        ${warningItems
+            ? `<ul class="walking-warnings">${warningItems}</ul>`
+            : '<p class="walking-ok">✓ Every back-to-back class is within walking time</p>'}
+        <ul class="walking-routes">${routes}</ul>
+        ${unknown.size > 0 ? `<p class="walking-note">No location for ${escapeHtml([...unknown].sort().join(', '))}; walks to or from there aren't checked.</p>` : ''}
+        ${walkingState.note ? `<p class="walking-note">${walkingState.note}</p>` : ''}
+    `;
+}
+
+// ==========================================
+// Export
+// ==========================================
+if (typeof window !== 'undefined') {
+    window.WalkingTime = {
+        init: initWalkingTime,
+        check: checkWalkingTimes,
+        walk: walkBetween,
+        state: walkingState
+    };
+}
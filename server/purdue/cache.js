@@ -0,0 +1,247 @@
+/**
+ * Purdue.io Response Cache
+ * In-memory LRU cache with per-entity TTLs and an optional on-disk tier.
+ *
+ * Keys are OData resource paths ("Subjects", "Classes?$filter=...") or
+ * endpoint keys ("course-sections/<courseId>/<termId>"). The entity is the
+ * leading word of the key and selects the TTL.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// How long each entity stays fresh. Catalog data barely changes during a
+// term; anything carrying seat counts goes stale quickly.
+const DEFAULT_TTLS = {
+    Terms: 6 * HOUR,
+    Subjects: 24 * HOUR,
+    Courses: 24 * HOUR,
+    Buildings: 7 * 24 * HOUR,
+    Campuses: 7 * 24 * HOUR,
+    Rooms: 7 * 24 * HOUR,
+    Instructors: 24 * HOUR,
+    Classes: HOUR,
+    Meetings: HOUR,
+    Sections: 10 * MINUTE,
+    'course-sections': 10 * MINUTE,
+    'instructor-sections': 10 * MINUTE,
+    'building-timetable': HOUR
+};
+
+const DEFAULT_TTL = 30 * MINUTE;
+
+/**
+ * Leading entity name of a cache key ("Classes?$filter=..." -> "Classes")
+ */
+function entityOf(key) {
+    const match = key.match(/^[A-Za-z-]+/);
+    return match ? match[0] : 'unknown';
+}
+
+/**
+ * Strong ETag for a JSON-serializable value
+ */
+function computeEtag(value) {
+    const hash = crypto.createHash('sha1').update(JSON.stringify(value)).digest('base64');
+    return `"${hash}"`;
+}
+
+/**
+ * Create a response cache
+ * @param {{ ttls?: Object, maxEntries?: number, persistDir?: string }} options
+ */
+function createResponseCache({ ttls = {}, maxEntries = 200, persistDir = null } = {}) {
+    const ttlByEntity = { ...DEFAULT_TTLS, ...ttls };
+    const entries = new Map();  // key -> { key, entity, value, etag, storedAt, expiresAt }
+    const inflight = new Map(); // key -> Promise<entry>
+    const counters = { hits: 0, misses: 0, diskHits: 0, coalesced: 0, errors: 0 };
+
+    if (persistDir) {
+        fs.mkdirSync(persistDir, { recursive: true });
+    }
+
+    function ttlFor(entity) {
+        return ttlByEntity[entity] ?? DEFAULT_TTL;
+    }
+
+    function diskPath(key) {
+        const hash = crypto.createHash('sha1').update(key).digest('hex');
+        return path.join(persistDir, `${hash}.json`);
+    }
+
+    /**
+     * Insert an entry, evicting the least recently used one if full
+     */
+    function remember(entry) {
+        entries.delete(entry.key);
+        entries.set(entry.key, entry);
+
+        while (entries.size > maxEntries) {
+            const oldestKey = entries.keys().next().value;
+            entries.delete(oldestKey);
+        }
+    }
+
+    function readFromDisk(key) {
+        if (!persistDir) return null;
+
+        try {
+            const entry = JSON.parse(fs.readFileSync(diskPath(key), 'utf8'));
+            if (entry.key !== key || entry.expiresAt <= Date.now()) return null;
+            return entry;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    function writeToDisk(entry) {
+        if (!persistDir) return;
+
+        fs.promises.writeFile(diskPath(entry.key), JSON.stringify(entry)).catch(error => {
+            console.error('Error persisting cache entry:', error);
+        });
+    }
+
+    /**
+     * Fresh entry for a key, or null
+     */
+    function lookup(key) {
+        const entry = entries.get(key);
+
+        if (entry && entry.expiresAt > Date.now()) {
+            remember(entry); // bump recency
+            counters.hits++;
+            return entry;
+        }
+
+        const stored = readFromDisk(key);
+        if (stored) {
+            remember(stored);
+            counters.hits++;
+            counters.diskHits++;
+            return stored;
+        }
+
+        return null;
+    }
+
+    /**
+     * Store a value under a key
+     */
+    function set(key, value) {
+        const entity = entityOf(key);
+        const storedAt = Date.now();
+        const entry = {
+            key,
+            entity,
+            value,
+            etag: computeEtag(value),
+            storedAt,
+            expiresAt: storedAt + ttlFor(entity)
+        };
+
+        remember(entry);
+        writeToDisk(entry);
+
+        return entry;
+    }
+
+    /**
+     * Return the cached entry for `key`, or run `load()` and cache its result.
+     * Concurrent misses for the same key share a single load.
+     * Resolves to { entry, hit }.
+     */
+    async function getOrLoad(key, load) {
+        const cached = lookup(key);
+        if (cached) return { entry: cached, hit: true };
+
+        if (inflight.has(key)) {
+            counters.coalesced++;
+            return { entry: await inflight.get(key), hit: true };
+        }
+
+        counters.misses++;
+
+        const pending = (async () => {
+            try {
+                return set(key, await load());
+            } catch (error) {
+                counters.errors++;
+                throw error;
+            } finally {
+                inflight.delete(key);
+            }
+        })();
+
+        inflight.set(key, pending);
+        return { entry: await pending, hit: false };
+    }
+
+    /**
+     * Seconds until an entry goes stale (for Cache-Control max-age)
+     */
+    function secondsLeft(entry) {
+        return Math.max(0, Math.floor((entry.expiresAt - Date.now()) / 1000));
+    }
+
+    /**
+     * Counters and per-entity breakdown for the cache-stats endpoint
+     */
+    function stats() {
+        const byEntity = {};
+        const now = Date.now();
+
+        entries.forEach(entry => {
+            if (!byEntity[entry.entity]) {
+                byEntity[entry.entity] = { entries: 0, fresh: 0, ttlSeconds: ttlFor(entry.entity) / 1000 };
+            }
+            byEntity[entry.entity].entries++;
+            if (entry.expiresAt > now) byEntity[entry.entity].fresh++;
+        });
+
+        const lookups = counters.hits + counters.misses;
+
+        return {
+            entries: entries.size,
+            maxEntries,
+            inflight: inflight.size,
+            hits: counters.hits,
+            misses: counters.misses,
+            diskHits: counters.diskHits,
+            coalesced: counters.coalesced,
+            errors: counters.errors,
+            hitRate: lookups > 0 ? Number((counters.hits / lookups).toFixed(3)) : 0,
+            persistence: persistDir ? { enabled: true, dir: persistDir } : { enabled: false },
+            byEntity
+        };
+    }
+
+    /**
+     * Drop every entry (memory and disk)
+     */
+    function clear() {
+        entries.clear();
+
+        if (persistDir) {
+            fs.readdirSync(persistDir)
+                .filter(name => name.endsWith('.json'))
+                .forEach(name => fs.unlinkSync(path.join(persistDir, name)));
+        }
+    }
+
+    return {
+        getOrLoad,
+        secondsLeft,
+        stats,
+        clear
+    };
+}
+
+module.exports = {
+    createResponseCache,
+    DEFAULT_TTLS
+};
@@ -0,0 +1,61 @@
+/**
+ * Purdue.io OData Client
+ * Single entry point for every request the server makes to api.purdue.io.
+ * Responses are served from the response cache when fresh. When a catalog
+ * snapshot is supplied, requests are answered from it and never hit the network.
+ */
+
+const PURDUE_API_BASE = 'https://api.purdue.io/odata';
+
+/**
+ * Create a client that reads through `cache`
+ * @param {{ cache: Object, baseUrl?: string, snapshot?: Object }} options
+ */
+function createPurdueClient({ cache, baseUrl = PURDUE_API_BASE, snapshot = null }) {
+    /**
+     * Fetch a resource path ("Subjects", "Classes?$filter=...") from Purdue.io
+     */
+    async function fetchFromApi(resourcePath) {
+        // Use dynamic import for node-fetch
+        const fetch = (await import('node-fetch')).default;
+        const response = await fetch(`${baseUrl}/${resourcePath}`);
+
+        if (!response.ok) {
+            throw new Error(`Purdue.io API returned ${response.status}`);
+        }
+
+        return response.json();
+    }
+
+    /**
+     * Cached response for a resource path. Resolves to { entry, hit }.
+     */
+    function request(resourcePath) {
+        const load = snapshot
+            ? () => snapshot.query(resourcePath)
+            : () => fetchFromApi(resourcePath);
+
+        return cache.getOrLoad(resourcePath, load);
+    }
+
+    /**
+     * Response body for a resource path
+     */
+    async function odata(resourcePath) {
+        const { entry } = await request(resourcePath);
+        return entry.value;
+    }
+
+    return {
+        source: snapshot ? 'snapshot' : 'live',
+        request,
+        odata,
+        cached: cache.getOrLoad,
+        cache
+    };
+}
+
+module.exports = {
+    createPurdueClient,
+    PURDUE_API_BASE
+};
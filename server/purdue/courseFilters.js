@@ -0,0 +1,191 @@
+/**
+ * Course and Section Filters
+ * Parses filter query parameters and tests courses / enriched sections
+ * (the /api/course-sections shape) against them.
+ *
+ * Course filters:
+ *   credits=3          exact credit hours
+ *   minCredits, maxCredits
+ *   level=100[,200]    course level; 5-digit numbers map 18000 -> 100, 59000 -> 500, 6xxxx+ -> 600
+ *
+ * Section filters (a course matches if at least one section matches):
+ *   days=MWF           every meeting falls on these days (M T W R F S U)
+ *   earliest=09:00     no meeting starts before this time
+ *   latest=17:00       no meeting ends after this time
+ *   openSeats=true     at least one seat remaining
+ *   type=Lecture,Lab   schedule type (prefix match, so "Lab" matches "Laboratory")
+ *   campus=West        campus name or code contains this text
+ *   building=LWSN      some meeting is in a building whose short code or name contains this text
+ *   instructor=smith   some meeting is taught by an instructor whose name contains this text
+ *
+ * Meetings without days or times (TBA, online) never fail the day/time filters.
+ */
+
+const { parseDays, parseClock, meetingMinutes } = require('./meetingTimes');
+
+const LEVELS = [100, 200, 300, 400, 500, 600];
+
+function splitList(value) {
+    return String(value || '')
+        .split(',')
+        .map(item => item.trim())
+        .filter(Boolean);
+}
+
+function parseBoolean(value) {
+    return value === true || value === 'true' || value === '1' || value === 'on';
+}
+
+function parseNumber(value) {
+    const number = parseFloat(value);
+    return isNaN(number) ? null : number;
+}
+
+/**
+ * Course level (100-600) for a course number
+ */
+function courseLevel(number) {
+    const digits = String(number || '').replace(/\D/g, '');
+    if (!digits) return null;
+
+    const level = parseInt(digits.padEnd(5, '0')[0]) * 100;
+    return Math.min(Math.max(level, 100), 600);
+}
+
+/**
+ * Course-level filters from query params, or null if none are set
+ */
+function parseCourseFilters(query) {
+    const filters = {};
+
+    if (query.credits !== undefined && query.credits !== '') {
+        filters.credits = parseNumber(query.credits);
+    }
+    if (query.minCredits !== undefined && query.minCredits !== '') {
+        filters.minCredits = parseNumber(query.minCredits);
+    }
+    if (query.maxCredits !== undefined && query.maxCredits !== '') {
+        filters.maxCredits = parseNumber(query.maxCredits);
+    }
+    if (query.level) {
+        filters.levels = splitList(query.level)
+            .map(level => parseInt(level))
+            .filter(level => LEVELS.includes(level));
+    }
+
+    Object.keys(filters).forEach(key => {
+        if (filters[key] === null || (Array.isArray(filters[key]) && filters[key].length === 0)) {
+            delete filters[key];
+        }
+    });
+
+    return Object.keys(filters).length > 0 ? filters : null;
+}
+
+/**
+ * Does a course pass the course-level filters?
+ */
+function courseMatches(course, filters) {
+    if (!filters) return true;
+
+    const credits = course.CreditHours || 0;
+    if (filters.credits !== undefined && credits !== filters.credits) return false;
+    if (filters.minCredits !== undefined && credits < filters.minCredits) return false;
+    if (filters.maxCredits !== undefined && credits > filters.maxCredits) return false;
+    if (filters.levels && !filters.levels.includes(courseLevel(course.Number))) return false;
+
+    return true;
+}
+
+/**
+ * Section-level filters from query params, or null if none are set
+ */
+function parseSectionFilters(query) {
+    const filters = {};
+
+    if (query.days) {
+        const days = parseDays(query.days);
+        if (days.length > 0) filters.days = days;
+    }
+
+    const earliest = parseClock(query.earliest);
+    if (earliest !== null) filters.earliest = earliest;
+
+    const latest = parseClock(query.latest);
+    if (latest !== null) filters.latest = latest;
+
+    if (parseBoolean(query.openSeats)) filters.openSeats = true;
+
+    const types = splitList(query.type).map(type => type.toLowerCase());
+    if (types.length > 0) filters.types = types;
+
+    ['campus', 'building', 'instructor'].forEach(key => {
+        const text = String(query[key] || '').trim().toLowerCase();
+        if (text) filters[key] = text;
+    });
+
+    return Object.keys(filters).length > 0 ? filters : null;
+}
+
+function contains(value, text) {
+    return String(value || '').toLowerCase().includes(text);
+}
+
+/**
+ * Does an enriched section pass the section-level filters?
+ */
+function sectionMatches(section, filters) {
+    if (!filters) return true;
+
+    const meetings = section.Meetings || [];
+
+    if (filters.openSeats && !(section.RemainingSpace > 0)) return false;
+
+    if (filters.types) {
+        const type = String(section.Type || '').toLowerCase();
+        if (!filters.types.some(wanted => type.startsWith(wanted))) return false;
+    }
+
+    if (filters.campus) {
+        const campus = section.Campus;
+        if (!campus || !(contains(campus.Name, filters.campus) || contains(campus.Code, filters.campus))) {
+            return false;
+        }
+    }
+
+    if (filters.building) {
+        const inBuilding = meetings.some(meeting => {
+            const building = meeting.Room?.Building;
+            return building && (contains(building.ShortCode, filters.building) || contains(building.Name, filters.building));
+        });
+        if (!inBuilding) return false;
+    }
+
+    if (filters.instructor) {
+        const taughtBy = meetings.some(meeting => contains(meeting.Instructor?.Name, filters.instructor));
+        if (!taughtBy) return false;
+    }
+
+    for (const meeting of meetings) {
+        if (filters.days) {
+            const days = parseDays(meeting.DaysOfWeek);
+            if (days.some(day => !filters.days.includes(day))) return false;
+        }
+
+        const times = meetingMinutes(meeting);
+        if (times) {
+            if (filters.earliest !== undefined && times.start < filters.earliest) return false;
+            if (filters.latest !== undefined && times.end > filters.latest) return false;
+        }
+    }
+
+    return true;
+}
+
+module.exports = {
+    parseCourseFilters,
+    courseMatches,
+    parseSectionFilters,
+    sectionMatches,
+    courseLevel
+};
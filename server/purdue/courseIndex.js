@@ -0,0 +1,409 @@
+/**
+ * Course Search Index
+ * Full-text index over course titles, descriptions, subject names and numbers,
+ * built from the cached Courses/Subjects responses and rebuilt whenever either
+ * of them changes.
+ *
+ * Query forms:
+ *   "CS 18" / "CS18000" - subject + course number prefix (CS 18000, CS 18200, ...)
+ *   "18000"             - course number prefix in any subject
+ *   anything else       - ranked keyword search; the last word also matches as a
+ *                         prefix, and misspelled words fall back to close matches
+ */
+
+const { courseMatches } = require('./courseFilters');
+
+// Relative weight of a token match per field
+const FIELD_WEIGHTS = {
+    abbreviation: 6,
+    number: 6,
+    title: 4,
+    subject: 2,
+    description: 1
+};
+
+// Score multipliers for inexact token matches
+const PREFIX_MATCH_FACTOR = 0.8;
+const TYPO_MATCH_FACTOR = 0.6;
+
+const STOP_WORDS = new Set(['a', 'an', 'and', 'as', 'at', 'by', 'for', 'in', 'of', 'on', 'or', 'the', 'to', 'with']);
+
+const MAX_PAGE_SIZE = 50;
+
+// Section filters need every candidate's sections; cap how many courses one
+// search may load, and how many load at once
+const DEFAULT_SCAN_LIMIT = 40;
+const MAX_SCAN_LIMIT = 100;
+const SCAN_CONCURRENCY = 4;
+
+/**
+ * Lowercase word tokens of a string, stop words removed
+ */
+function tokenize(text) {
+    if (!text) return [];
+
+    return String(text)
+        .toLowerCase()
+        .split(/[^a-z0-9]+/)
+        .filter(token => token && !STOP_WORDS.has(token));
+}
+
+/**
+ * Edit distance (with adjacent transpositions), giving up above `max`
+ */
+function editDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+
+    let prevPrev = null;
+    let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            let value = Math.min(prev[j] + 1, current[j - 1] + 1, prev[j - 1] + cost);
+
+            if (prevPrev && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                value = Math.min(value, prevPrev[j - 2] + 1);
+            }
+
+            current.push(value);
+            rowMin = Math.min(rowMin, value);
+        }
+
+        if (rowMin > max) return max + 1;
+        prevPrev = prev;
+        prev = current;
+    }
+
+    return prev[b.length];
+}
+
+/**
+ * Typos tolerated for a word of this length
+ */
+function allowedTypos(token) {
+    if (token.length >= 8) return 2;
+    if (token.length >= 4) return 1;
+    return 0;
+}
+
+/**
+ * First index in a sorted array whose value is >= `value`
+ */
+function lowerBound(sorted, value) {
+    let lo = 0;
+    let hi = sorted.length;
+    while (lo < hi) {
+        const mid = (lo + hi) >> 1;
+        if (sorted[mid] < value) lo = mid + 1;
+        else hi = mid;
+    }
+    return lo;
+}
+
+/**
+ * Build an index over `courses`, resolving SubjectId through `subjects`
+ */
+function buildIndex(courses, subjects) {
+    const subjectsById = new Map(subjects.map(subject => [subject.Id, subject]));
+    const abbreviations = new Set(subjects.map(subject => String(subject.Abbreviation || '').toLowerCase()));
+    const postings = new Map(); // token -> Map(docIndex -> weight)
+
+    const docs = courses.map((course, docIndex) => {
+        const subject = subjectsById.get(course.SubjectId) || null;
+        const doc = {
+            course: {
+                ...course,
+                Subject: subject ? { Id: subject.Id, Name: subject.Name, Abbreviation: subject.Abbreviation } : null
+            },
+            abbreviation: String(subject?.Abbreviation || '').toLowerCase(),
+            number: String(course.Number || ''),
+            title: String(course.Title || '').toLowerCase()
+        };
+
+        const fields = {
+            abbreviation: [doc.abbreviation],
+            number: [doc.number, doc.number.replace(/^0+/, '')],
+            title: tokenize(course.Title),
+            subject: tokenize(subject?.Name),
+            description: tokenize(course.Description)
+        };
+
+        // Each token counts once per field, at that field's weight
+        Object.entries(fields).forEach(([field, tokens]) => {
+            new Set(tokens.filter(Boolean)).forEach(token => {
+                if (!postings.has(token)) postings.set(token, new Map());
+                const docWeights = postings.get(token);
+                docWeights.set(docIndex, (docWeights.get(docIndex) || 0) + FIELD_WEIGHTS[field]);
+            });
+        });
+
+        return doc;
+    });
+
+    return {
+        docs,
+        postings,
+        vocabulary: [...postings.keys()].sort(),
+        abbreviations
+    };
+}
+
+/**
+ * Inverse document frequency of a token
+ */
+function idf(index, token) {
+    const df = index.postings.get(token)?.size || 0;
+    return Math.log(1 + index.docs.length / (df + 1));
+}
+
+/**
+ * Vocabulary matches for one query word: [{ token, factor }]
+ */
+function expandToken(index, token, allowPrefix) {
+    const matches = [];
+
+    if (index.postings.has(token)) {
+        matches.push({ token, factor: 1 });
+    }
+
+    if (allowPrefix && token.length >= 2) {
+        for (let i = lowerBound(index.vocabulary, token); i < index.vocabulary.length; i++) {
+            const candidate = index.vocabulary[i];
+            if (!candidate.startsWith(token)) break;
+            if (candidate !== token) matches.push({ token: candidate, factor: PREFIX_MATCH_FACTOR });
+        }
+    }
+
+    if (matches.length === 0) {
+        const maxTypos = allowedTypos(token);
+        if (maxTypos > 0) {
+            index.vocabulary.forEach(candidate => {
+                const distance = editDistance(token, candidate, maxTypos);
+                if (distance <= maxTypos) {
+                    matches.push({ token: candidate, factor: TYPO_MATCH_FACTOR / distance });
+                }
+            });
+        }
+    }
+
+    return matches;
+}
+
+/**
+ * Parse "CS 18", "cs18000" or "18000" into { subject, numberPrefix }, or null
+ */
+function parseCourseCode(query, index) {
+    const codeMatch = query.match(/^([A-Za-z]{2,5})\s*(\d{0,5})$/);
+    if (codeMatch && index.abbreviations.has(codeMatch[1].toLowerCase())) {
+        return { subject: codeMatch[1].toLowerCase(), numberPrefix: codeMatch[2] };
+    }
+
+    const numberMatch = query.match(/^\d{2,5}$/);
+    if (numberMatch) {
+        return { subject: null, numberPrefix: query };
+    }
+
+    return null;
+}
+
+function compareByCode(a, b) {
+    if (a.abbreviation !== b.abbreviation) return a.abbreviation.localeCompare(b.abbreviation);
+    return (parseInt(a.number) || 0) - (parseInt(b.number) || 0);
+}
+
+/**
+ * Course-code query: exact subject, number prefix, ordered by number
+ */
+function searchByCode(index, { subject, numberPrefix }) {
+    return index.docs
+        .filter(doc =>
+            (!subject || doc.abbreviation === subject) &&
+            (!numberPrefix || doc.number.startsWith(numberPrefix))
+        )
+        .sort(compareByCode)
+        .map(doc => ({ doc, score: numberPrefix && doc.number === numberPrefix.padEnd(5, '0') ? 2 : 1 }));
+}
+
+/**
+ * Keyword query: tf-idf style scoring with prefix and typo expansion.
+ * Courses matching every word rank first; if none do, partial matches are returned.
+ */
+function searchByText(index, query) {
+    const words = tokenize(query);
+    if (words.length === 0) return [];
+
+    const scores = new Map();   // docIndex -> score
+    const coverage = new Map(); // docIndex -> number of words matched
+
+    words.forEach((word, position) => {
+        const isLast = position === words.length - 1;
+        const wordScores = new Map();
+
+        expandToken(index, word, isLast).forEach(({ token, factor }) => {
+            const weight = idf(index, token) * factor;
+            index.postings.get(token).forEach((fieldWeight, docIndex) => {
+                const score = fieldWeight * weight;
+                if (score > (wordScores.get(docIndex) || 0)) wordScores.set(docIndex, score);
+            });
+        });
+
+        wordScores.forEach((score, docIndex) => {
+            scores.set(docIndex, (scores.get(docIndex) || 0) + score);
+            coverage.set(docIndex, (coverage.get(docIndex) || 0) + 1);
+        });
+    });
+
+    const phrase = words.join(' ');
+    let results = [...scores.entries()].map(([docIndex, score]) => {
+        const doc = index.docs[docIndex];
+        // Bonus when the title contains the query as a phrase
+        const bonus = doc.title.includes(phrase) ? (doc.title.startsWith(phrase) ? 3 : 1.5) : 1;
+        return { doc, score: score * bonus, matched: coverage.get(docIndex) };
+    });
+
+    const complete = results.filter(result => result.matched === words.length);
+    if (complete.length > 0) results = complete;
+
+    return results.sort((a, b) =>
+        b.matched - a.matched || b.score - a.score || compareByCode(a.doc, b.doc)
+    );
+}
+
+/**
+ * Run `fn` over `items` with at most `limit` calls in flight; results keep input order
+ */
+async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    async function worker() {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await fn(items[index]);
+        }
+    }
+
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+    return results;
+}
+
+/**
+ * Create the search service on top of a Purdue.io client
+ */
+function createCourseSearch(purdue) {
+    let index = null;
+    let indexVersion = null;
+    const termCourses = new Map(); // termId -> { etag, courseIds }
+
+    /**
+     * Current index, rebuilt if the cached Courses or Subjects changed
+     */
+    async function getIndex() {
+        const [courses, subjects] = await Promise.all([
+            purdue.request('Courses'),
+            purdue.request('Subjects')
+        ]);
+
+        const version = `${courses.entry.etag}:${subjects.entry.etag}`;
+        if (index && indexVersion === version) return index;
+
+        const startTime = Date.now();
+        index = buildIndex(courses.entry.value.value, subjects.entry.value.value);
+        indexVersion = version;
+
+        const loadTime = ((Date.now() - startTime) / 1000).toFixed(2);
+        console.log(`📇 Indexed ${index.docs.length} courses (${index.vocabulary.length} terms) in ${loadTime}s`);
+
+        return index;
+    }
+
+    /**
+     * Ids of courses with at least one class in a term
+     */
+    async function coursesOfferedIn(termId) {
+        const { entry } = await purdue.request(`Classes?$filter=TermId eq ${termId}`);
+        const known = termCourses.get(termId);
+        if (known && known.etag === entry.etag) return known.courseIds;
+
+        const courseIds = new Set(entry.value.value.map(c => c.CourseId));
+        termCourses.set(termId, { etag: entry.etag, courseIds });
+        return courseIds;
+    }
+
+    /**
+     * Ranked, paginated search
+     * @param {Object} params
+     * @param {string} params.q - Search text
+     * @param {string} [params.termId] - Only courses offered in this term
+     * @param {number} [params.page]
+     * @param {number} [params.pageSize]
+     * @param {Object} [params.courseFilters] - From parseCourseFilters()
+     * @param {Function} [params.sectionFilter] - async course => boolean; only the
+     *   first `scanLimit` candidates are checked, and `sectionScan.partial` says so
+     * @param {number} [params.scanLimit]
+     */
+    async function search({ q, termId = null, page = 1, pageSize = 10, courseFilters = null, sectionFilter = null, scanLimit = DEFAULT_SCAN_LIMIT }) {
+        const query = String(q || '').trim();
+        const currentIndex = await getIndex();
+
+        const code = parseCourseCode(query, currentIndex);
+        let results = code ? searchByCode(currentIndex, code) : searchByText(currentIndex, query);
+
+        if (courseFilters) {
+            results = results.filter(result => courseMatches(result.doc.course, courseFilters));
+        }
+
+        if (termId) {
+            const offered = await coursesOfferedIn(termId);
+            results = results.filter(result => offered.has(result.doc.course.Id));
+        }
+
+        let sectionScan = null;
+        if (sectionFilter) {
+            const limit = Math.min(Math.max(parseInt(scanLimit) || DEFAULT_SCAN_LIMIT, 1), MAX_SCAN_LIMIT);
+            const candidates = results.slice(0, limit);
+            const keep = await mapWithConcurrency(candidates, SCAN_CONCURRENCY, result => sectionFilter(result.doc.course));
+
+            sectionScan = {
+                candidates: results.length,
+                scanned: candidates.length,
+                partial: results.length > candidates.length
+            };
+            results = candidates.filter((result, i) => keep[i]);
+        }
+
+        const size = Math.min(Math.max(parseInt(pageSize) || 10, 1), MAX_PAGE_SIZE);
+        const totalPages = Math.max(1, Math.ceil(results.length / size));
+        const currentPage = Math.min(Math.max(parseInt(page) || 1, 1), totalPages);
+        const start = (currentPage - 1) * size;
+
+        return {
+            query,
+            mode: code ? 'code' : 'text',
+            termId,
+            total: results.length,
+            page: currentPage,
+            pageSize: size,
+            totalPages,
+            sectionScan,
+            data: results.slice(start, start + size).map(result => ({
+                ...result.doc.course,
+                score: Number(result.score.toFixed(3))
+            }))
+        };
+    }
+
+    return {
+        search
+    };
+}
+
+module.exports = {
+    createCourseSearch,
+    tokenize,
+    editDistance
+};
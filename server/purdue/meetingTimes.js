@@ -0,0 +1,133 @@
+/**
+ * Meeting Time Helpers
+ * Parse the day and time fields of Purdue.io Meetings.
+ *
+ * DaysOfWeek arrives as "Monday, Wednesday, Friday", "MoWeFr" or "MWF";
+ * days are normalized to the registrar letters M T W R F S U.
+ * Dates are compared as "YYYY-MM-DD" strings, so time zones never shift a day.
+ */
+
+const DAY_LETTERS = ['M', 'T', 'W', 'R', 'F', 'S', 'U'];
+
+const DAY_NAMES = {
+    monday: 'M',
+    tuesday: 'T',
+    wednesday: 'W',
+    thursday: 'R',
+    friday: 'F',
+    saturday: 'S',
+    sunday: 'U'
+};
+
+const TWO_LETTER_DAYS = {
+    mo: 'M',
+    tu: 'T',
+    we: 'W',
+    th: 'R',
+    fr: 'F',
+    sa: 'S',
+    su: 'U'
+};
+
+const DEFAULT_DURATION_MINUTES = 50;
+
+/**
+ * Day letters for a DaysOfWeek string, in week order
+ */
+function parseDays(daysString) {
+    if (!daysString) return [];
+
+    const text = String(daysString).trim();
+    const found = new Set();
+
+    if (/[a-z]{3,}/i.test(text) && /day/i.test(text)) {
+        // Full names: "Monday, Wednesday, Friday"
+        text.toLowerCase().split(/[^a-z]+/).forEach(word => {
+            if (DAY_NAMES[word]) found.add(DAY_NAMES[word]);
+        });
+    } else if (/^([A-Z][a-z])+$/.test(text)) {
+        // Two-letter codes: "MoWeFr"
+        text.match(/[A-Z][a-z]/g).forEach(code => {
+            const letter = TWO_LETTER_DAYS[code.toLowerCase()];
+            if (letter) found.add(letter);
+        });
+    } else if (/^[MTWRFSU\s]+$/i.test(text)) {
+        // Registrar letters: "MWF", "TR" (not "TBA")
+        text.toUpperCase().split('').forEach(letter => {
+            if (DAY_LETTERS.includes(letter)) found.add(letter);
+        });
+    }
+
+    return DAY_LETTERS.filter(letter => found.has(letter));
+}
+
+/**
+ * Minutes after midnight for "14:30:00.0000000" / "14:30", or null
+ */
+function parseClock(time) {
+    const match = String(time || '').match(/^(\d{1,2}):(\d{2})/);
+    if (!match) return null;
+    return parseInt(match[1]) * 60 + parseInt(match[2]);
+}
+
+/**
+ * Minutes in an ISO-8601 duration such as "PT50M" or "PT1H30M", or null
+ */
+function parseDuration(duration) {
+    const match = String(duration || '').match(/PT(?:(\d+)H)?(?:(\d+)M)?/);
+    if (!match || (!match[1] && !match[2])) return null;
+    return parseInt(match[1] || 0) * 60 + parseInt(match[2] || 0);
+}
+
+/**
+ * { start, end } in minutes after midnight for a meeting, or null if TBA
+ */
+function meetingMinutes(meeting) {
+    const start = parseClock(meeting.StartTime);
+    if (start === null) return null;
+
+    const end = parseClock(meeting.EndTime);
+    if (end !== null && end > start) {
+        return { start, end };
+    }
+
+    return { start, end: start + (parseDuration(meeting.Duration) ?? DEFAULT_DURATION_MINUTES) };
+}
+
+/**
+ * "YYYY-MM-DD" for an ISO date/datetime string, or null
+ */
+function toDateKey(value) {
+    const match = String(value || '').match(/^\d{4}-\d{2}-\d{2}/);
+    return match ? match[0] : null;
+}
+
+/**
+ * First and last day a meeting runs ({ startDate, endDate }); the section's dates
+ * fill in for a meeting without its own. Either may be null when unknown.
+ */
+function meetingDates(meeting, section = {}) {
+    return {
+        startDate: toDateKey(meeting.StartDate) || toDateKey(section.StartDate),
+        endDate: toDateKey(meeting.EndDate) || toDateKey(section.EndDate)
+    };
+}
+
+/**
+ * Do two date ranges share a day? Unknown ends are treated as open.
+ */
+function datesOverlap(a, b) {
+    return (!a.startDate || !b.endDate || a.startDate <= b.endDate) &&
+        (!b.startDate || !a.endDate || b.startDate <= a.endDate);
+}
+
+module.exports = {
+    DAY_LETTERS,
+    parseDays,
+    parseClock,
+    parseDuration,
+    meetingMinutes,
+    toDateKey,
+    meetingDates,
+    datesOverlap
+};
@@ -0,0 +1,157 @@
+/**
+ * Building & Room Timetables
+ * Every scheduled meeting in a building's rooms for a term, and which rooms are
+ * empty at a given moment (for finding study space).
+ *
+ * Meetings carry no term, so a building's Meetings (by RoomId) are narrowed to
+ * the ones running during the term's dates before their Sections and Classes are
+ * fetched, and then to the term's own classes.
+ */
+
+const { fetchInBatches, fetchByIds, loadCoursesWithSubjects } = require('./sections');
+const { DAY_LETTERS, parseDays, meetingMinutes, meetingDates, datesOverlap, toDateKey } = require('./meetingTimes');
+
+// Purdue's West Lafayette campus clock
+const CAMPUS_TIME_ZONE = 'America/Indiana/Indianapolis';
+
+/**
+ * A building's rooms and every timed meeting held in them during a term.
+ * Resolves to null when the building or term doesn't exist, otherwise to
+ * { building, term, rooms, meetings: [{ roomId, sectionId, crn, type, course, title, days, start, end, startDate, endDate }] }
+ */
+async function loadBuildingTimetable(purdue, buildingId, termId) {
+    const [[building], termsData] = await Promise.all([
+        fetchByIds(purdue, 'Buildings', [buildingId]),
+        purdue.odata('Terms')
+    ]);
+    const term = termsData.value.find(t => String(t.Id).toLowerCase() === String(termId).toLowerCase());
+    if (!building || !term) return null;
+
+    const roomsData = await purdue.odata(`Rooms?$filter=BuildingId eq ${buildingId}`);
+    const rooms = roomsData.value
+        .map(room => ({ Id: room.Id, Number: room.Number }))
+        .sort((a, b) => String(a.Number).localeCompare(String(b.Number), undefined, { numeric: true }));
+
+    const summary = {
+        building: { Id: building.Id, Name: building.Name, ShortCode: building.ShortCode },
+        term: { Id: term.Id, Name: term.Name, StartDate: toDateKey(term.StartDate), EndDate: toDateKey(term.EndDate) },
+        rooms,
+        meetings: []
+    };
+
+    if (rooms.length === 0) return summary;
+
+    // Meetings in these rooms that run during the term (and have a day and time)
+    const termDates = { startDate: summary.term.StartDate, endDate: summary.term.EndDate };
+    const allMeetings = await fetchInBatches(purdue, 'Meetings', 'RoomId', rooms.map(room => room.Id));
+    const candidates = allMeetings.filter(meeting =>
+        datesOverlap(meetingDates(meeting), termDates) &&
+        parseDays(meeting.DaysOfWeek).length > 0 &&
+        meetingMinutes(meeting) !== null);
+    console.log(`   Found ${candidates.length} of ${allMeetings.length} meetings in ${building.ShortCode} during ${term.Name}`);
+
+    if (candidates.length === 0) return summary;
+
+    // Sections -> Classes, keeping this term's classes only
+    const sections = await fetchInBatches(purdue, 'Sections', 'Id', [...new Set(candidates.map(m => m.SectionId))]);
+    const classes = await fetchInBatches(purdue, 'Classes', 'Id', [...new Set(sections.map(s => s.ClassId).filter(id => id))]);
+    const termClasses = new Map(classes
+        .filter(c => String(c.TermId).toLowerCase() === String(term.Id).toLowerCase())
+        .map(c => [c.Id, c]));
+    const sectionById = new Map(sections.filter(s => termClasses.has(s.ClassId)).map(s => [s.Id, s]));
+
+    const courses = await loadCoursesWithSubjects(purdue, [...new Set([...termClasses.values()].map(c => c.CourseId))]);
+    const courseById = new Map(courses.map(course => [course.Id, course]));
+
+    summary.meetings = candidates
+        .filter(meeting => sectionById.has(meeting.SectionId))
+        .map(meeting => {
+            const section = sectionById.get(meeting.SectionId);
+            const course = courseById.get(termClasses.get(section.ClassId).CourseId);
+            const { start, end } = meetingMinutes(meeting);
+            const { startDate, endDate } = meetingDates(meeting, section);
+
+            return {
+                roomId: meeting.RoomId,
+                sectionId: section.Id,
+                crn: section.Crn || null,
+                type: meeting.Type || section.Type || null,
+                course: course ? `${course.Subject?.Abbreviation || ''} ${course.Number || ''}`.trim() : null,
+                title: course?.Title || null,
+                days: parseDays(meeting.DaysOfWeek),
+                start,
+                end,
+                startDate,
+                endDate
+            };
+        })
+        .sort((a, b) => a.start - b.start);
+
+    return summary;
+}
+
+/**
+ * { date, day, minutes } on the campus clock for a Date
+ */
+function campusMoment(date = new Date()) {
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+        timeZone: CAMPUS_TIME_ZONE,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        weekday: 'short',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+    }).formatToParts(date).map(part => [part.type, part.value]));
+
+    const weekdays = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+    return {
+        date: `${parts.year}-${parts.month}-${parts.day}`,
+        day: DAY_LETTERS[weekdays.indexOf(parts.weekday)],
+        minutes: parseInt(parts.hour) * 60 + parseInt(parts.minute)
+    };
+}
+
+/**
+ * Rooms of a timetable that are empty at `moment` ({ date, day, minutes }).
+ * Resolves to { empty: [{ room, freeUntil }], busy: [{ room, until, course, type }] };
+ * freeUntil is the next meeting's start that day (null when free for the rest of it).
+ * Empty rooms come longest-free first.
+ */
+function findEmptyRooms(timetable, moment) {
+    const today = timetable.meetings.filter(meeting =>
+        meeting.days.includes(moment.day) &&
+        (!meeting.startDate || meeting.startDate <= moment.date) &&
+        (!meeting.endDate || moment.date <= meeting.endDate));
+
+    const empty = [];
+    const busy = [];
+
+    timetable.rooms.forEach(room => {
+        const roomMeetings = today.filter(meeting => meeting.roomId === room.Id);
+        const current = roomMeetings.find(meeting => meeting.start <= moment.minutes && moment.minutes < meeting.end);
+
+        if (current) {
+            busy.push({ room, until: current.end, course: current.course, type: current.type });
+            return;
+        }
+
+        const next = roomMeetings
+            .filter(meeting => meeting.start > moment.minutes)
+            .reduce((earliest, meeting) => Math.min(earliest, meeting.start), Infinity);
+        empty.push({ room, freeUntil: next === Infinity ? null : next });
+    });
+
+    empty.sort((a, b) => (b.freeUntil ?? Infinity) - (a.freeUntil ?? Infinity) ||
+        String(a.room.Number).localeCompare(String(b.room.Number), undefined, { numeric: true }));
+
+    return { empty, busy };
+}
+
+module.exports = {
+    loadBuildingTimetable,
+    campusMoment,
+    findEmptyRooms
+};
@@ -0,0 +1,330 @@
+/**
+ * Seat Watcher
+ * Polls the seat counts of watched sections, keeps a history of every change,
+ * and raises a notification when a full section opens a seat.
+ *
+ * Watches belong to a client token (a random id each browser keeps), so a
+ * client only sees, removes and is alerted about its own watches.
+ *
+ * Layout: <file> holds { watches, notifications } as JSON; it is rewritten
+ * (temp file + rename) after every change. Without a `file` everything stays
+ * in memory (for tests).
+ *
+ * Sections come through the Purdue.io client, so counts are at most as old as
+ * the Sections cache TTL (10 minutes).
+ */
+
+const fs = require('fs');
+const { fetchInBatches, isPurdueId } = require('./sections');
+
+const MINUTE = 60 * 1000;
+
+const DEFAULT_INTERVAL = 10 * MINUTE;
+const MIN_INTERVAL = MINUTE;    // shorter intervals would hammer Purdue.io
+const MAX_WATCHES = 50;         // per client
+const MAX_TOTAL_WATCHES = 2000; // across all clients
+const HISTORY_LIMIT = 200;      // changes kept per watched section
+const NOTIFICATION_LIMIT = 500; // newest notifications kept (all clients)
+const CLIENT_PATTERN = /^[A-Za-z0-9-]{16,64}$/;
+
+/**
+ * Seat and waitlist counts of a Purdue.io section
+ */
+function seatCounts(section) {
+    return {
+        capacity: section.Capacity ?? null,
+        enrolled: section.Enrolled ?? null,
+        remaining: section.RemainingSpace ?? null,
+        waitListCapacity: section.WaitListCapacity ?? null,
+        waitListCount: section.WaitListCount ?? null,
+        waitListSpace: section.WaitListSpace ?? null
+    };
+}
+
+function sameCounts(a, b) {
+    return Object.keys(a).every(key => a[key] === b[key]);
+}
+
+/**
+ * The client token, or null when it's missing or malformed
+ */
+function parseClientToken(value) {
+    return typeof value === 'string' && CLIENT_PATTERN.test(value) ? value : null;
+}
+
+/**
+ * Validate a watch request body. Returns { watch } or { error }.
+ */
+function parseWatchRequest(body) {
+    const { sectionId, crn, termId, label } = body || {};
+
+    // The id goes into an OData filter
+    if (!isPurdueId(sectionId)) {
+        return { error: 'A valid sectionId is required' };
+    }
+
+    return {
+        watch: {
+            sectionId,
+            crn: crn ? String(crn).slice(0, 10) : null,
+            termId: isPurdueId(termId) ? termId : null,
+            label: typeof label === 'string' ? label.trim().slice(0, 60) || null : null
+        }
+    };
+}
+
+/**
+ * Poll interval from an option: the default unless it's a positive number,
+ * and never below MIN_INTERVAL
+ */
+function pollInterval(intervalMs) {
+    if (!(Number.isFinite(intervalMs) && intervalMs > 0)) return DEFAULT_INTERVAL;
+    return Math.max(intervalMs, MIN_INTERVAL);
+}
+
+/**
+ * Create a seat watcher reading sections through `purdue`
+ * @param {{ purdue: Object, file?: string, intervalMs?: number }} options
+ */
+function createSeatWatcher({ purdue, file = null, intervalMs: requestedInterval }) {
+    const intervalMs = pollInterval(requestedInterval);
+    const state = { watches: [], notifications: [] };
+    let timer = null;
+    let polling = null;
+    let saving = Promise.resolve();
+
+    async function init() {
+        if (!file) return;
+
+        try {
+            const saved = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+            // A malformed id would break the filter of every poll; watches
+            // without a client token can't be shown to anyone
+            state.watches = (saved.watches || []).filter(watch =>
+                isPurdueId(watch?.sectionId) && parseClientToken(watch.client)
+            );
+            state.notifications = (saved.notifications || []).filter(notification =>
+                parseClientToken(notification?.client)
+            );
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+    }
+
+    /**
+     * Persist state; writes are queued so they never interleave
+     */
+    function save() {
+        if (!file) return Promise.resolve();
+
+        const snapshot = JSON.stringify(state);
+        saving = saving.then(async () => {
+            const temp = `${file}.tmp`;
+            await fs.promises.writeFile(temp, snapshot);
+            await fs.promises.rename(temp, file);
+        }).catch(error => {
+            console.error('❌ Error saving seat watches:', error);
+        });
+
+        return saving;
+    }
+
+    function describe(watch) {
+        return watch.label || (watch.crn ? `CRN ${watch.crn}` : 'Section');
+    }
+
+    /**
+     * Record new counts for a watch; returns a notification when a seat opened
+     */
+    function record(watch, counts, at) {
+        const previous = watch.counts;
+        watch.checkedAt = at;
+
+        if (previous && sameCounts(previous, counts)) return null;
+
+        watch.counts = counts;
+        watch.history.push({ at, ...counts });
+        if (watch.history.length > HISTORY_LIMIT) {
+            watch.history.splice(0, watch.history.length - HISTORY_LIMIT);
+        }
+
+        const opened = previous && previous.remaining !== null && previous.remaining <= 0 && counts.remaining > 0;
+        if (!opened) return null;
+
+        return {
+            id: `${watch.sectionId}-${Date.parse(at)}`,
+            client: watch.client,
+            sectionId: watch.sectionId,
+            crn: watch.crn,
+            termId: watch.termId,
+            label: watch.label,
+            remaining: counts.remaining,
+            message: `${describe(watch)} has ${counts.remaining} open seat${counts.remaining !== 1 ? 's' : ''}`,
+            at
+        };
+    }
+
+    /**
+     * Fetch current counts for the given watches (all of them by default)
+     */
+    async function poll(watches = state.watches) {
+        if (watches.length === 0) return [];
+
+        // Several clients can watch the same section
+        const sectionIds = [...new Set(watches.map(watch => watch.sectionId))];
+        const sections = await fetchInBatches(purdue, 'Sections', 'Id', sectionIds);
+        const byId = new Map(sections.map(section => [section.Id, section]));
+        const at = new Date().toISOString();
+        const raised = [];
+
+        watches.forEach(watch => {
+            const section = byId.get(watch.sectionId);
+            if (!section) return;
+
+            const notification = record(watch, seatCounts(section), at);
+            if (notification) raised.push(notification);
+        });
+
+        if (raised.length > 0) {
+            state.notifications.push(...raised);
+            state.notifications.splice(0, Math.max(0, state.notifications.length - NOTIFICATION_LIMIT));
+            raised.forEach(notification => console.log(`🔔 ${notification.message}`));
+        }
+
+        await save();
+        return raised;
+    }
+
+    /**
+     * Poll on the interval; overlapping polls are skipped
+     */
+    function start() {
+        if (timer) return;
+
+        timer = setInterval(() => {
+            if (polling || state.watches.length === 0) return;
+
+            polling = poll()
+                .catch(error => console.error('❌ Seat watch poll failed:', error.message))
+                .finally(() => { polling = null; });
+        }, intervalMs);
+
+        // Don't keep the process alive just for polling
+        timer.unref?.();
+    }
+
+    function stop() {
+        clearInterval(timer);
+        timer = null;
+    }
+
+    function find(client, sectionId) {
+        return state.watches.find(w => w.client === client && w.sectionId === sectionId);
+    }
+
+    function clientWatches(client) {
+        return state.watches.filter(w => w.client === client);
+    }
+
+    function limitError(message) {
+        const error = new Error(message);
+        error.status = 400;
+        return error;
+    }
+
+    /**
+     * Watch a section for `client` (no-op if already watched); resolves to the watch with
+     * current counts. Sections the first check can't find (or can't reach) aren't kept.
+     */
+    async function watch(client, { sectionId, crn, termId, label }) {
+        const existing = find(client, sectionId);
+        if (existing) return existing;
+
+        if (clientWatches(client).length >= MAX_WATCHES) {
+            throw limitError(`At most ${MAX_WATCHES} sections can be watched`);
+        }
+        if (state.watches.length >= MAX_TOTAL_WATCHES) {
+            throw limitError('The server is watching too many sections; try again later');
+        }
+
+        const added = {
+            client,
+            sectionId,
+            crn,
+            termId,
+            label,
+            addedAt: new Date().toISOString(),
+            checkedAt: null,
+            counts: null,
+            history: []
+        };
+
+        // First reading is the baseline; a later opening raises a notification
+        await poll([added]);
+
+        if (!added.counts) {
+            const error = new Error('Section not found');
+            error.status = 404;
+            throw error;
+        }
+
+        // Another request may have added it while this one was polling
+        const raced = find(client, sectionId);
+        if (raced) return raced;
+
+        state.watches.push(added);
+        await save();
+        return added;
+    }
+
+    async function unwatch(client, sectionId) {
+        const watched = find(client, sectionId);
+        if (!watched) return false;
+
+        state.watches = state.watches.filter(w => w !== watched);
+        await save();
+        return true;
+    }
+
+    /**
+     * A client's watches without their history
+     */
+    function list(client) {
+        return clientWatches(client).map(({ history, client: owner, ...watch }) => watch);
+    }
+
+    function history(client, sectionId) {
+        return find(client, sectionId)?.history || null;
+    }
+
+    /**
+     * A client's notifications raised after `since` (ISO timestamp), oldest first
+     */
+    function notifications(client, since = null) {
+        return state.notifications
+            .filter(notification => notification.client === client && (!since || notification.at > since))
+            .map(({ client: owner, ...notification }) => notification);
+    }
+
+    return {
+        name: file ? 'file' : 'memory',
+        intervalMs,
+        init,
+        start,
+        stop,
+        poll,
+        watch,
+        unwatch,
+        list,
+        history,
+        notifications
+    };
+}
+
+module.exports = {
+    createSeatWatcher,
+    parseWatchRequest,
+    parseClientToken,
+    seatCounts,
+    MAX_WATCHES
+};
@@ -0,0 +1,288 @@
+/**
+ * Course Sections Assembly
+ * Builds the enriched section list behind /api/course-sections:
+ * Classes -> Sections -> Meetings, with Instructor and Room/Building attached
+ * to meetings and the class's Campus attached to each section.
+ */
+
+// Fetch 10 ids at a time to avoid URL length issues
+const BATCH_SIZE = 10;
+
+// Purdue.io ids are GUIDs; anything else breaks the OData filters they go into
+const PURDUE_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Whether a request value is a Purdue.io id (course, term, section, instructor, building...)
+ */
+function isPurdueId(value) {
+    return typeof value === 'string' && PURDUE_ID_PATTERN.test(value);
+}
+
+/**
+ * Fetch `entity` rows whose `field` matches any of `ids`, in batches
+ */
+async function fetchInBatches(purdue, entity, field, ids) {
+    const rows = [];
+
+    for (let i = 0; i < ids.length; i += BATCH_SIZE) {
+        const batch = ids.slice(i, i + BATCH_SIZE);
+        const filter = batch.map(id => `${field} eq ${id}`).join(' or ');
+
+        try {
+            const data = await purdue.odata(`${entity}?$filter=${filter}`);
+            rows.push(...data.value);
+        } catch (error) {
+            console.error(`   ❌ Failed to fetch ${entity.toLowerCase()} batch ${i / BATCH_SIZE + 1}: ${error.message}`);
+            throw new Error(`Failed to fetch ${entity.toLowerCase()}: ${error.message}`);
+        }
+    }
+
+    return rows;
+}
+
+/**
+ * Fetch rows of `entity` by primary key (single request)
+ */
+async function fetchByIds(purdue, entity, ids) {
+    if (ids.length === 0) return [];
+
+    const filter = ids.map(id => `Id eq ${id}`).join(' or ');
+    const data = await purdue.odata(`${entity}?$filter=${filter}`);
+    return data.value;
+}
+
+/**
+ * Attach meetings (with instructor and room/building) to each section
+ */
+function enrichSections(sections, meetings, instructors, rooms, buildings) {
+    return sections.map(section => {
+        const sectionMeetings = meetings.filter(m => m.SectionId === section.Id);
+
+        const enrichedMeetings = sectionMeetings.map(meeting => {
+            let enriched = { ...meeting };
+
+            // Attach instructor
+            if (meeting.InstructorId) {
+                const instructor = instructors.find(i => i.Id === meeting.InstructorId);
+                if (instructor) {
+                    enriched.Instructor = instructor;
+                }
+            }
+
+            // Attach room with building info
+            if (meeting.RoomId) {
+                const room = rooms.find(r => r.Id === meeting.RoomId);
+                if (room) {
+                    const building = buildings.find(b => b.Id === room.BuildingId);
+                    enriched.Room = {
+                        ...room,
+                        Building: building
+                    };
+                }
+            }
+
+            return enriched;
+        });
+
+        return {
+            ...section,
+            Meetings: enrichedMeetings
+        };
+    });
+}
+
+/**
+ * Fetch the meetings of `sections` with their instructors, rooms and buildings,
+ * and attach them (see enrichSections)
+ */
+async function attachMeetingDetails(purdue, sections) {
+    const allMeetings = await fetchInBatches(purdue, 'Meetings', 'SectionId', sections.map(s => s.Id));
+    console.log(`   Found ${allMeetings.length} meetings`);
+
+    const instructorIds = [...new Set(allMeetings.map(m => m.InstructorId).filter(id => id))];
+    const roomIds = [...new Set(allMeetings.map(m => m.RoomId).filter(id => id))];
+
+    // Fetch instructors and rooms in parallel
+    const [instructors, rooms] = await Promise.all([
+        fetchByIds(purdue, 'Instructors', instructorIds),
+        fetchByIds(purdue, 'Rooms', roomIds)
+    ]);
+
+    // Get buildings for the rooms
+    const buildingIds = [...new Set(rooms.map(r => r.BuildingId).filter(id => id))];
+    const buildings = await fetchByIds(purdue, 'Buildings', buildingIds);
+
+    return enrichSections(sections, allMeetings, instructors, rooms, buildings);
+}
+
+/**
+ * Load every section of a course in a term, enriched with meeting details.
+ * Resolves to { sections, classCount }.
+ */
+async function loadCourseSections(purdue, courseId, termId) {
+    // Step 1: Get classes for this course and term
+    const classesData = await purdue.odata(`Classes?$filter=CourseId eq ${courseId} and TermId eq ${termId}`);
+    const matchingClasses = classesData.value;
+    console.log(`   Found ${matchingClasses.length} classes`);
+
+    if (matchingClasses.length === 0) {
+        return { sections: [], classCount: 0 };
+    }
+
+    // Step 2: Get sections for these classes
+    const allSections = await fetchInBatches(purdue, 'Sections', 'ClassId', matchingClasses.map(c => c.Id));
+    console.log(`   Found ${allSections.length} sections`);
+
+    if (allSections.length === 0) {
+        return { sections: [], classCount: matchingClasses.length };
+    }
+
+    // Steps 3-5: Meetings with their instructors, rooms and buildings
+    const sections = await attachMeetingDetails(purdue, allSections);
+
+    // Step 6: Attach the campus each class is taught on
+    const campusesData = await purdue.odata('Campuses');
+    const campusByClassId = new Map(matchingClasses.map(c => [
+        c.Id,
+        campusesData.value.find(campus => campus.Id === c.CampusId)
+    ]));
+
+    sections.forEach(section => {
+        const campus = campusByClassId.get(section.ClassId);
+        if (campus) {
+            section.Campus = campus;
+        }
+    });
+
+    return {
+        sections,
+        classCount: matchingClasses.length
+    };
+}
+
+/**
+ * Linked sections of a course, grouped by class. Purdue links a class's sections:
+ * students register for one section of every component (Lecture, Laboratory,
+ * Recitation, ...) of the same class. Resolves to
+ * [{ classId, components: [{ type, sectionIds }] }]
+ */
+function groupLinkedSections(sections) {
+    const byClass = new Map();
+
+    sections.forEach(section => {
+        const classId = section.ClassId || section.Id;
+        const type = section.Type || 'Lecture';
+
+        if (!byClass.has(classId)) byClass.set(classId, new Map());
+        const byType = byClass.get(classId);
+        if (!byType.has(type)) byType.set(type, []);
+
+        byType.get(type).push(section.Id);
+    });
+
+    return [...byClass.entries()].map(([classId, byType]) => ({
+        classId,
+        components: [...byType.entries()].map(([type, sectionIds]) => ({ type, sectionIds }))
+    }));
+}
+
+/**
+ * Find which course each CRN belongs to in a term.
+ * Resolves to a Map of crn -> courseId; CRNs not offered in the term are left out.
+ */
+async function findCoursesByCrn(purdue, termId, crns) {
+    if (crns.length === 0) return new Map();
+
+    const sections = await fetchInBatches(purdue, 'Sections', 'Crn', crns.map(crn => `'${crn}'`));
+    if (sections.length === 0) return new Map();
+
+    // The same CRN is reused across terms, so keep only this term's classes
+    const classIds = [...new Set(sections.map(s => s.ClassId).filter(id => id))];
+    const classes = await fetchInBatches(purdue, 'Classes', 'Id', classIds);
+    const termClasses = new Map(classes
+        .filter(c => String(c.TermId).toLowerCase() === String(termId).toLowerCase())
+        .map(c => [c.Id, c]));
+
+    const courseByCrn = new Map();
+    sections.forEach(section => {
+        const classInTerm = termClasses.get(section.ClassId);
+        if (classInTerm) {
+            courseByCrn.set(String(section.Crn), classInTerm.CourseId);
+        }
+    });
+
+    return courseByCrn;
+}
+
+/**
+ * Courses by id with their Subject attached (the shape course search returns)
+ */
+async function loadCoursesWithSubjects(purdue, courseIds) {
+    if (courseIds.length === 0) return [];
+
+    const [courses, subjectsData] = await Promise.all([
+        fetchInBatches(purdue, 'Courses', 'Id', courseIds),
+        purdue.odata('Subjects')
+    ]);
+
+    return courses.map(course => ({
+        ...course,
+        Subject: subjectsData.value.find(subject => subject.Id === course.SubjectId) || null
+    }));
+}
+
+/**
+ * Everything an instructor teaches in a term, from their Meetings.
+ * Resolves to null for an unknown instructor, otherwise to
+ * { instructor, courses: [{ course, sections }] } with sections enriched like
+ * /api/course-sections (every meeting, including co-instructors').
+ */
+async function loadInstructorSections(purdue, instructorId, termId) {
+    const [instructor] = await fetchByIds(purdue, 'Instructors', [instructorId]);
+    if (!instructor) return null;
+
+    // Meetings -> Sections -> Classes, keeping this term's classes only
+    const meetingsData = await purdue.odata(`Meetings?$filter=InstructorId eq ${instructorId}`);
+    const sectionIds = [...new Set(meetingsData.value.map(m => m.SectionId).filter(id => id))];
+    console.log(`   Found ${meetingsData.value.length} meetings in ${sectionIds.length} sections`);
+
+    const allSections = await fetchInBatches(purdue, 'Sections', 'Id', sectionIds);
+    const classIds = [...new Set(allSections.map(s => s.ClassId).filter(id => id))];
+    const classes = await fetchInBatches(purdue, 'Classes', 'Id', classIds);
+    const termClasses = new Map(classes
+        .filter(c => String(c.TermId).toLowerCase() === String(termId).toLowerCase())
+        .map(c => [c.Id, c]));
+
+    const termSections = allSections.filter(section => termClasses.has(section.ClassId));
+    if (termSections.length === 0) {
+        return { instructor, courses: [] };
+    }
+
+    const courseIds = [...new Set([...termClasses.values()].map(c => c.CourseId))];
+    const [sections, courses] = await Promise.all([
+        attachMeetingDetails(purdue, termSections),
+        loadCoursesWithSubjects(purdue, courseIds)
+    ]);
+
+    const byCourse = courses.map(course => ({
+        course,
+        sections: sections.filter(section => termClasses.get(section.ClassId).CourseId === course.Id)
+    }));
+
+    byCourse.sort((a, b) =>
+        `${a.course.Subject?.Abbreviation} ${a.course.Number}`.localeCompare(`${b.course.Subject?.Abbreviation} ${b.course.Number}`));
+
+    return { instructor, courses: byCourse.filter(({ sections }) => sections.length > 0) };
+}
+
+module.exports = {
+    isPurdueId,
+    loadCourseSections,
+    loadInstructorSections,
+    findCoursesByCrn,
+    loadCoursesWithSubjects,
+    groupLinkedSections,
+    enrichSections,
+    fetchInBatches,
+    fetchByIds
+};
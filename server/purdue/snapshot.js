@@ -0,0 +1,130 @@
+/**
+ * Offline Catalog Snapshot
+ * Reads a snapshot written by scripts/snapshot.js and answers the same
+ * OData resource paths the server sends to Purdue.io.
+ *
+ * Layout: <dir>/manifest.json plus one <Entity>.json file ({ value: [...] }) per entity.
+ *
+ * Supported query syntax is the subset the app uses:
+ *   Entity
+ *   Entity?$filter=Field eq value [and|or Field eq value ...]
+ * `and` binds tighter than `or`; values may be bare (GUIDs, numbers) or 'quoted'.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SNAPSHOT_ENTITIES = [
+    'Terms',
+    'Subjects',
+    'Courses',
+    'Classes',
+    'Sections',
+    'Meetings',
+    'Instructors',
+    'Rooms',
+    'Buildings',
+    'Campuses'
+];
+
+/**
+ * Parse a $filter expression into OR-groups of AND-ed { field, value } clauses
+ */
+function parseFilter(filter) {
+    return filter.split(/\s+or\s+/i).map(group =>
+        group.split(/\s+and\s+/i).map(clause => {
+            const match = clause.trim().replace(/^\(|\)$/g, '').match(/^(\w+)\s+eq\s+(?:'((?:[^']|'')*)'|(\S+))$/i);
+            if (!match) {
+                throw new Error(`Unsupported $filter clause in snapshot mode: "${clause.trim()}"`);
+            }
+
+            const value = match[2] !== undefined ? match[2].replace(/''/g, "'") : match[3];
+            return { field: match[1], value: value.toLowerCase() };
+        })
+    );
+}
+
+function rowMatches(row, groups) {
+    return groups.some(clauses =>
+        clauses.every(({ field, value }) =>
+            row[field] !== undefined && row[field] !== null && String(row[field]).toLowerCase() === value
+        )
+    );
+}
+
+/**
+ * Load a snapshot directory into memory
+ */
+function loadSnapshot(dir) {
+    const manifestFile = path.join(dir, 'manifest.json');
+    if (!fs.existsSync(manifestFile)) {
+        throw new Error(`No catalog snapshot found in ${dir}. Run "npm run snapshot" first.`);
+    }
+
+    const manifest = JSON.parse(fs.readFileSync(manifestFile, 'utf8'));
+    const tables = {};
+
+    SNAPSHOT_ENTITIES.forEach(entity => {
+        const file = path.join(dir, `${entity}.json`);
+        tables[entity] = fs.existsSync(file)
+            ? JSON.parse(fs.readFileSync(file, 'utf8')).value
+            : [];
+    });
+
+    return { manifest, tables };
+}
+
+/**
+ * Create a query source backed by the snapshot in `dir`
+ */
+function createSnapshotSource(dir) {
+    const { manifest, tables } = loadSnapshot(dir);
+
+    // Primary-key index per entity for the common "Id eq a or Id eq b" lookups
+    const byId = {};
+    Object.entries(tables).forEach(([entity, rows]) => {
+        byId[entity] = new Map(rows.map(row => [String(row.Id).toLowerCase(), row]));
+    });
+
+    /**
+     * Answer a resource path ("Classes?$filter=...") from the snapshot
+     */
+    async function query(resourcePath) {
+        const [entity, queryString = ''] = resourcePath.split('?');
+        const rows = tables[entity];
+
+        if (!rows) {
+            throw new Error(`Entity "${entity}" is not available in snapshot mode`);
+        }
+
+        const params = new URLSearchParams(queryString);
+        const filter = params.get('$filter');
+
+        if (!filter) {
+            return { value: rows };
+        }
+
+        const groups = parseFilter(filter);
+
+        // Fast path: every clause is an Id lookup
+        if (groups.every(clauses => clauses.length === 1 && clauses[0].field === 'Id')) {
+            return {
+                value: groups.map(([clause]) => byId[entity].get(clause.value)).filter(Boolean)
+            };
+        }
+
+        return { value: rows.filter(row => rowMatches(row, groups)) };
+    }
+
+    return {
+        query,
+        manifest,
+        tables
+    };
+}
+
+module.exports = {
+    createSnapshotSource,
+    SNAPSHOT_ENTITIES,
+    parseFilter
+};
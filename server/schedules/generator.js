@@ -0,0 +1,338 @@
+/**
+ * Schedule Generator
+ * Enumerates conflict-free section combinations for a set of courses and
+ * ranks them against the student's constraints.
+ *
+ * Each course contributes one "option": a class (Purdue.io groups the linked
+ * lecture/lab/recitation sections of a course under one Class) with exactly
+ * one section of every schedule type that class offers.
+ *
+ * Constraints:
+ *   earliest=09:00          hard: no meeting starts before this time
+ *   latest=17:00            hard: no meeting ends after this time
+ *   freeDays=F              hard: no meetings on these days
+ *   maxGap=90               hard: no gap longer than this many minutes between classes on a day
+ *   openSeats=true          hard: only sections with seats remaining
+ *   preferredInstructors    soft: ranks schedules taught by these instructors higher
+ */
+
+const { parseDays, parseClock, meetingMinutes, meetingDates, datesOverlap } = require('../purdue/meetingTimes');
+
+// Enumeration stops (and reports `truncated`) after this many complete schedules,
+// this many search steps (every option tried counts, dead ends too) or this much time
+const MAX_SCHEDULES_CHECKED = 20000;
+const MAX_SEARCH_STEPS = 200000;
+const SEARCH_TIME_BUDGET_MS = 3000;
+// Lecture/lab/recitation combinations tried per course, shared out across its classes
+const MAX_COMBINATIONS_PER_COURSE = 5000;
+const DEADLINE_CHECK_STEPS = 100; // steps between clock reads
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+// Ranking weights
+const PREFERRED_INSTRUCTOR_BONUS = 10;
+const DAY_ON_CAMPUS_PENALTY = 4;
+const GAP_PENALTY_PER_HOUR = 2;
+
+function splitList(value) {
+    if (Array.isArray(value)) return value.map(item => String(item).trim()).filter(Boolean);
+    return String(value || '')
+        .split(',')
+        .map(item => item.trim())
+        .filter(Boolean);
+}
+
+/**
+ * Normalize constraints from a request body
+ */
+function parseConstraints(input = {}) {
+    const constraints = {};
+
+    const earliest = parseClock(input.earliest);
+    if (earliest !== null) constraints.earliest = earliest;
+
+    const latest = parseClock(input.latest);
+    if (latest !== null) constraints.latest = latest;
+
+    const freeDays = parseDays(splitList(input.freeDays).join(''));
+    if (freeDays.length > 0) constraints.freeDays = freeDays;
+
+    const maxGap = parseInt(input.maxGap);
+    if (!isNaN(maxGap) && maxGap >= 0) constraints.maxGap = maxGap;
+
+    if (input.openSeats === true || input.openSeats === 'true') constraints.openSeats = true;
+
+    const instructors = splitList(input.preferredInstructors).map(name => name.toLowerCase());
+    if (instructors.length > 0) constraints.preferredInstructors = instructors;
+
+    return constraints;
+}
+
+/**
+ * Timed meeting blocks ({ day, start, end, startDate, endDate }) for a section
+ */
+function sectionBlocks(section) {
+    const blocks = [];
+
+    (section.Meetings || []).forEach(meeting => {
+        const times = meetingMinutes(meeting);
+        if (!times) return;
+
+        const dates = meetingDates(meeting, section);
+
+        parseDays(meeting.DaysOfWeek).forEach(day => {
+            blocks.push({ day, start: times.start, end: times.end, ...dates });
+        });
+    });
+
+    return blocks;
+}
+
+/**
+ * Does a section satisfy the per-section hard constraints?
+ */
+function sectionAllowed(section, blocks, constraints) {
+    if (constraints.openSeats && !(section.RemainingSpace > 0)) return false;
+
+    return blocks.every(block =>
+        !(constraints.freeDays && constraints.freeDays.includes(block.day)) &&
+        !(constraints.earliest !== undefined && block.start < constraints.earliest) &&
+        !(constraints.latest !== undefined && block.end > constraints.latest)
+    );
+}
+
+/**
+ * Same day, overlapping times and overlapping dates (8-week modules in
+ * different halves of the term can share a weekly slot)
+ */
+function blocksOverlap(a, b) {
+    return a.some(x => b.some(y =>
+        x.day === y.day && x.start < y.end && y.start < x.end && datesOverlap(x, y)
+    ));
+}
+
+/**
+ * One item from each list, every combination in turn (generated lazily)
+ */
+function* cartesian(lists, prefix = []) {
+    if (prefix.length === lists.length) {
+        yield prefix;
+        return;
+    }
+
+    for (const item of lists[prefix.length]) {
+        yield* cartesian(lists, [...prefix, item]);
+    }
+}
+
+/**
+ * Every valid way to take one course: per class, one allowed section of each type.
+ * Returns { options, capped }. Each class gets an even share of
+ * MAX_COMBINATIONS_PER_COURSE (plus whatever earlier classes left unused), so a
+ * large first class can't crowd out the rest; capped when any class ran out.
+ */
+function courseOptions(sections, constraints) {
+    const byClass = new Map();
+
+    sections.forEach(section => {
+        const blocks = sectionBlocks(section);
+        const classId = section.ClassId || section.Id;
+        const type = section.Type || 'Lecture';
+
+        if (!byClass.has(classId)) byClass.set(classId, new Map());
+        const byType = byClass.get(classId);
+        if (!byType.has(type)) byType.set(type, []);
+
+        byType.get(type).push({ section, blocks, allowed: sectionAllowed(section, blocks, constraints) });
+    });
+
+    const classChoices = [...byClass.values()]
+        .map(byType => [...byType.values()].map(entries => entries.filter(entry => entry.allowed)))
+        .filter(choices => choices.every(list => list.length > 0));
+
+    const options = [];
+    let remaining = MAX_COMBINATIONS_PER_COURSE;
+    let capped = false;
+
+    classChoices.forEach((choices, classIndex) => {
+        const allowance = Math.floor(remaining / (classChoices.length - classIndex));
+        let tried = 0;
+
+        for (const picks of cartesian(choices)) {
+            if (tried >= allowance) {
+                capped = true;
+                break;
+            }
+            tried++;
+
+            // Components of one course can't overlap each other either
+            const internalConflict = picks.some((pick, i) =>
+                picks.slice(i + 1).some(other => blocksOverlap(pick.blocks, other.blocks))
+            );
+            if (internalConflict) continue;
+
+            options.push({
+                sections: picks.map(pick => pick.section),
+                blocks: picks.flatMap(pick => pick.blocks)
+            });
+        }
+
+        remaining -= tried;
+    });
+
+    return { options, capped };
+}
+
+/**
+ * Days on campus, gaps and time span of a complete schedule
+ */
+function scheduleStats(blocks) {
+    const byDay = new Map();
+    blocks.forEach(block => {
+        if (!byDay.has(block.day)) byDay.set(block.day, []);
+        byDay.get(block.day).push(block);
+    });
+
+    let totalGapMinutes = 0;
+    let longestGapMinutes = 0;
+
+    byDay.forEach(dayBlocks => {
+        dayBlocks.sort((a, b) => a.start - b.start);
+        for (let i = 1; i < dayBlocks.length; i++) {
+            const gap = dayBlocks[i].start - dayBlocks[i - 1].end;
+            totalGapMinutes += gap;
+            longestGapMinutes = Math.max(longestGapMinutes, gap);
+        }
+    });
+
+    return {
+        days: [...byDay.keys()].sort((a, b) => 'MTWRFSU'.indexOf(a) - 'MTWRFSU'.indexOf(b)),
+        totalGapMinutes,
+        longestGapMinutes,
+        earliestStart: blocks.length > 0 ? Math.min(...blocks.map(block => block.start)) : null,
+        latestEnd: blocks.length > 0 ? Math.max(...blocks.map(block => block.end)) : null
+    };
+}
+
+function preferredMatches(sections, preferred) {
+    if (!preferred) return 0;
+
+    return sections.filter(section =>
+        (section.Meetings || []).some(meeting => {
+            const name = String(meeting.Instructor?.Name || '').toLowerCase();
+            return name && preferred.some(wanted => name.includes(wanted));
+        })
+    ).length;
+}
+
+function scoreSchedule(stats, preferredInstructorMatches) {
+    return preferredInstructorMatches * PREFERRED_INSTRUCTOR_BONUS
+        - stats.days.length * DAY_ON_CAMPUS_PENALTY
+        - (stats.totalGapMinutes / 60) * GAP_PENALTY_PER_HOUR;
+}
+
+/**
+ * Generate ranked, conflict-free schedules.
+ * `courses` is [{ courseId, sections }] with sections in the /api/course-sections shape.
+ * Returns { total, checked, steps, truncated, schedules, unschedulable }: `checked`
+ * counts complete schedules, `steps` every option the search tried.
+ */
+function generateSchedules(courses, constraints = {}, { limit = DEFAULT_LIMIT } = {}) {
+    const size = Math.min(Math.max(parseInt(limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+    const candidates = courses.map(({ courseId, sections }) => ({
+        courseId,
+        ...courseOptions(sections, constraints)
+    }));
+
+    const unschedulable = candidates
+        .filter(candidate => candidate.options.length === 0)
+        .map(candidate => ({
+            courseId: candidate.courseId,
+            reason: courses.find(c => c.courseId === candidate.courseId).sections.length === 0
+                ? 'Not offered in this term'
+                : 'No sections fit the constraints'
+        }));
+
+    if (unschedulable.length > 0) {
+        return { total: 0, checked: 0, steps: 0, truncated: false, schedules: [], unschedulable };
+    }
+
+    // Fewest options first prunes conflicts earliest
+    candidates.sort((a, b) => a.options.length - b.options.length);
+
+    const found = [];
+    const deadline = Date.now() + SEARCH_TIME_BUDGET_MS;
+    let checked = 0;
+    let steps = 0;
+    let truncated = false;
+
+    /**
+     * Count one step of work; false (and `truncated`) once the step or time budget is spent
+     */
+    function step() {
+        steps++;
+        if (steps > MAX_SEARCH_STEPS || (steps % DEADLINE_CHECK_STEPS === 0 && Date.now() > deadline)) {
+            truncated = true;
+        }
+        return !truncated;
+    }
+
+    function search(index, chosen, blocks) {
+        if (truncated) return;
+
+        if (index === candidates.length) {
+            checked++;
+            if (checked > MAX_SCHEDULES_CHECKED) {
+                truncated = true;
+                return;
+            }
+
+            const stats = scheduleStats(blocks);
+            if (constraints.maxGap !== undefined && stats.longestGapMinutes > constraints.maxGap) return;
+
+            const sections = chosen.flatMap(option => option.sections);
+            const preferredInstructorMatches = preferredMatches(sections, constraints.preferredInstructors);
+
+            found.push({
+                score: scoreSchedule(stats, preferredInstructorMatches),
+                sectionIds: sections.map(section => section.Id),
+                stats: { ...stats, preferredInstructorMatches }
+            });
+            return;
+        }
+
+        for (const option of candidates[index].options) {
+            // Paths that die on a conflict never reach a complete schedule, so every
+            // option tried is a step, not just every partial schedule
+            if (!step()) return;
+            if (blocksOverlap(option.blocks, blocks)) continue;
+            search(index + 1, [...chosen, option], [...blocks, ...option.blocks]);
+            if (truncated) return;
+        }
+    }
+
+    search(0, [], []);
+
+    found.sort((a, b) => b.score - a.score || a.stats.totalGapMinutes - b.stats.totalGapMinutes);
+
+    return {
+        total: found.length,
+        checked: Math.min(checked, MAX_SCHEDULES_CHECKED),
+        steps: Math.min(steps, MAX_SEARCH_STEPS),
+        truncated: truncated || candidates.some(candidate => candidate.capped),
+        schedules: found.slice(0, size).map((schedule, i) => ({
+            rank: i + 1,
+            ...schedule,
+            score: Number(schedule.score.toFixed(2))
+        })),
+        unschedulable: []
+    };
+}
+
+module.exports = {
+    generateSchedules,
+    parseConstraints,
+    sectionBlocks,
+    blocksOverlap
+};
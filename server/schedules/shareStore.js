@@ -0,0 +1,211 @@
+/**
+ * Shared Schedule Store
+ * Short-link storage for schedules shared from the planner.
+ *
+ * Layout: <dir>/<id>.json (one file per shared schedule, never rewritten)
+ *
+ * Ids are random 8-character URL-safe strings; files are created with the
+ * exclusive `wx` flag, so a colliding id is retried instead of overwritten.
+ *
+ * Only section and course ids are taken from the request: the stored copy is
+ * rebuilt from Purdue.io data (see buildSharedSchedule), so a share link can't
+ * carry made-up titles, rooms or types to the people who open it.
+ * Without a `dir` the store keeps schedules in memory only (for tests).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { isPurdueId } = require('../purdue/sections');
+
+const ID_BYTES = 6; // 6 bytes -> 8 base64url characters
+const ID_PATTERN = /^[A-Za-z0-9_-]{8}$/;
+const MAX_ID_ATTEMPTS = 5;
+
+// Shared schedules are snapshots; only the fields the grid needs are kept
+const SECTION_FIELDS = ['Id', 'Crn', 'Type', 'StartDate', 'EndDate', 'Meetings'];
+const COURSE_FIELDS = ['Id', 'Number', 'Title', 'CreditHours'];
+const SUBJECT_FIELDS = ['Id', 'Name', 'Abbreviation'];
+const MAX_SHARED_SECTIONS = 40;
+const MAX_NAME_LENGTH = 60;
+
+function newShareId() {
+    return crypto.randomBytes(ID_BYTES).toString('base64url');
+}
+
+function isShareId(id) {
+    return typeof id === 'string' && ID_PATTERN.test(id);
+}
+
+function pick(source, fields) {
+    const picked = {};
+    fields.forEach(field => {
+        if (source[field] !== undefined) {
+            picked[field] = source[field];
+        }
+    });
+    return picked;
+}
+
+/**
+ * Validate a share request body. Returns { request: { termId, name, sections:
+ * [{ sectionId, courseId }] } } or { error }; everything else in the body is ignored.
+ */
+function parseSharedSchedule(body) {
+    const { termId, name, sections } = body || {};
+
+    if (!isPurdueId(termId)) {
+        return { error: 'A valid termId is required' };
+    }
+
+    if (!Array.isArray(sections) || sections.length === 0) {
+        return { error: 'sections must be a non-empty array' };
+    }
+
+    if (sections.length > MAX_SHARED_SECTIONS) {
+        return { error: `At most ${MAX_SHARED_SECTIONS} sections can be shared` };
+    }
+
+    if (sections.some(s => !s || !isPurdueId(s.Id) || !s._course || !isPurdueId(s._course.Id))) {
+        return { error: 'Every section needs a valid Id and _course.Id' };
+    }
+
+    return {
+        request: {
+            termId,
+            // Shown as text only; control characters and extra length are dropped
+            name: typeof name === 'string'
+                ? name.replace(/[\u0000-\u001f\u007f]/g, '').trim().slice(0, MAX_NAME_LENGTH) || null
+                : null,
+            sections: sections.map(section => ({ sectionId: section.Id, courseId: section._course.Id }))
+        }
+    };
+}
+
+/**
+ * The stored copy of a share request, built from Purdue.io data:
+ * `term` from Terms, `courses` with their Subject, `sectionsByCourse` from
+ * /api/course-sections for the term. Returns { schedule } or { error } when the
+ * term or a section can't be found.
+ */
+function buildSharedSchedule(request, { term, courses, sectionsByCourse }) {
+    if (!term) {
+        return { error: 'Unknown term' };
+    }
+
+    const missing = [];
+    const sections = [];
+
+    request.sections.forEach(({ sectionId, courseId }) => {
+        const course = courses.find(c => c.Id === courseId);
+        const section = (sectionsByCourse.get(courseId) || []).find(s => s.Id === sectionId);
+
+        if (!course || !section) {
+            missing.push(sectionId);
+            return;
+        }
+
+        sections.push({
+            ...pick(section, SECTION_FIELDS),
+            _course: {
+                ...pick(course, COURSE_FIELDS),
+                Subject: course.Subject ? pick(course.Subject, SUBJECT_FIELDS) : null
+            }
+        });
+    });
+
+    if (missing.length > 0) {
+        return { error: `Sections not offered in this term: ${missing.join(', ')}` };
+    }
+
+    return {
+        schedule: {
+            termId: term.Id,
+            termName: term.Name || null,
+            name: request.name,
+            sections
+        }
+    };
+}
+
+/**
+ * Create a share store rooted at `dir` (or in memory when `dir` is null)
+ */
+function createShareStore({ dir = null } = {}) {
+    const memory = new Map();
+
+    function fileFor(id) {
+        return path.join(dir, `${id}.json`);
+    }
+
+    async function init() {
+        if (dir) {
+            await fs.promises.mkdir(dir, { recursive: true });
+        }
+    }
+
+    async function writeNew(id, record) {
+        if (!dir) {
+            if (memory.has(id)) return false;
+            memory.set(id, record);
+            return true;
+        }
+
+        try {
+            await fs.promises.writeFile(fileFor(id), JSON.stringify(record), { flag: 'wx' });
+            return true;
+        } catch (error) {
+            if (error.code === 'EEXIST') return false;
+            throw error;
+        }
+    }
+
+    /**
+     * Store a schedule; resolves to its new id
+     */
+    async function create(schedule) {
+        const record = { ...schedule, createdAt: new Date().toISOString() };
+
+        for (let attempt = 0; attempt < MAX_ID_ATTEMPTS; attempt++) {
+            const id = newShareId();
+            if (await writeNew(id, { id, ...record })) {
+                return id;
+            }
+        }
+
+        throw new Error('Could not allocate a share id');
+    }
+
+    /**
+     * Shared schedule for an id, or null
+     */
+    async function get(id) {
+        if (!isShareId(id)) return null;
+
+        if (!dir) {
+            return memory.get(id) || null;
+        }
+
+        try {
+            return JSON.parse(await fs.promises.readFile(fileFor(id), 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    return {
+        name: dir ? 'file' : 'memory',
+        init,
+        create,
+        get
+    };
+}
+
+module.exports = {
+    createShareStore,
+    parseSharedSchedule,
+    buildSharedSchedule,
+    isShareId,
+    MAX_SHARED_SECTIONS
+};
@@ -0,0 +1,192 @@
+/**
+ * Catalog Snapshot Command
+ * Downloads Terms, Subjects, Courses, Classes, Sections, Meetings, Instructors,
+ * Rooms, Buildings and Campuses for the chosen terms into local JSON files, so
+ * the server can run with CATALOG_SOURCE=snapshot and no network.
+ *
+ * Usage:
+ *   npm run snapshot -- [--term <code|name|id>]... [--subjects CS,MA] [--out <dir>]
+ *
+ * Examples:
+ *   npm run snapshot                                   # most recent term
+ *   npm run snapshot -- --term 202610 --term 202620    # two terms by code
+ *   npm run snapshot -- --term "Fall 2025" --subjects CS,MA,STAT
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createResponseCache } = require('../purdue/cache');
+const { createPurdueClient } = require('../purdue/client');
+const { fetchInBatches, fetchByIds } = require('../purdue/sections');
+const { SNAPSHOT_ENTITIES } = require('../purdue/snapshot');
+
+const DEFAULT_OUT_DIR = path.join(__dirname, '..', 'data', 'snapshot');
+
+// Id lookups are chunked like the batch fetches to keep URLs short
+const ID_CHUNK_SIZE = 10;
+
+/**
+ * Parse command-line flags
+ */
+function parseArgs(argv) {
+    const options = { terms: [], subjects: null, out: DEFAULT_OUT_DIR };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const next = () => {
+            if (i + 1 >= argv.length) throw new Error(`Missing value for ${arg}`);
+            return argv[++i];
+        };
+
+        if (arg === '--term') {
+            options.terms.push(next());
+        } else if (arg === '--subjects') {
+            options.subjects = next().split(',').map(s => s.trim().toUpperCase()).filter(Boolean);
+        } else if (arg === '--out') {
+            options.out = path.resolve(next());
+        } else if (arg === '--help' || arg === '-h') {
+            options.help = true;
+        } else {
+            throw new Error(`Unknown argument: ${arg}`);
+        }
+    }
+
+    return options;
+}
+
+/**
+ * Resolve --term values (code, name or id) against the term list
+ */
+function selectTerms(allTerms, requested) {
+    if (requested.length === 0) {
+        const dated = allTerms.filter(term => term.StartDate);
+        dated.sort((a, b) => new Date(b.StartDate) - new Date(a.StartDate));
+        return dated.slice(0, 1);
+    }
+
+    return requested.map(value => {
+        const needle = value.toLowerCase();
+        const term = allTerms.find(t =>
+            String(t.Id).toLowerCase() === needle ||
+            String(t.Code || '').toLowerCase() === needle ||
+            String(t.Name || '').toLowerCase() === needle
+        );
+
+        if (!term) throw new Error(`Term not found: ${value}`);
+        return term;
+    });
+}
+
+/**
+ * fetchByIds in chunks (the plain version sends every id in one URL)
+ */
+async function fetchAllByIds(purdue, entity, ids) {
+    const rows = [];
+    for (let i = 0; i < ids.length; i += ID_CHUNK_SIZE) {
+        rows.push(...await fetchByIds(purdue, entity, ids.slice(i, i + ID_CHUNK_SIZE)));
+    }
+    return rows;
+}
+
+function uniqueIds(rows, field) {
+    return [...new Set(rows.map(row => row[field]).filter(id => id))];
+}
+
+function writeEntity(outDir, entity, rows) {
+    fs.writeFileSync(path.join(outDir, `${entity}.json`), JSON.stringify({ value: rows }));
+    console.log(`   💾 ${entity}.json (${rows.length})`);
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+
+    if (options.help) {
+        console.log(fs.readFileSync(__filename, 'utf8').split('*/')[0]);
+        return;
+    }
+
+    const purdue = createPurdueClient({
+        cache: createResponseCache({ maxEntries: 50 }),
+        baseUrl: process.env.PURDUE_API_BASE || undefined
+    });
+
+    const startTime = Date.now();
+    console.log('📦 Creating catalog snapshot...');
+
+    const [termsData, subjectsData, campusesData] = await Promise.all([
+        purdue.odata('Terms'),
+        purdue.odata('Subjects'),
+        purdue.odata('Campuses')
+    ]);
+
+    const terms = selectTerms(termsData.value, options.terms);
+    if (terms.length === 0) throw new Error('No terms to snapshot');
+    console.log(`   Terms: ${terms.map(t => t.Name).join(', ')}`);
+
+    let subjects = subjectsData.value;
+    if (options.subjects) {
+        subjects = subjects.filter(s => options.subjects.includes(String(s.Abbreviation).toUpperCase()));
+        console.log(`   Subjects: ${subjects.map(s => s.Abbreviation).join(', ')}`);
+    }
+    const subjectIds = new Set(subjects.map(s => s.Id));
+
+    // Courses (whole catalog is one request), limited to the chosen subjects
+    const coursesData = await purdue.odata('Courses');
+    let courses = coursesData.value.filter(c => subjectIds.has(c.SubjectId));
+
+    // Classes offered in the chosen terms for those courses
+    const courseIds = new Set(courses.map(c => c.Id));
+    const classes = [];
+    for (const term of terms) {
+        const classesData = await purdue.odata(`Classes?$filter=TermId eq ${term.Id}`);
+        classes.push(...classesData.value.filter(c => courseIds.has(c.CourseId)));
+    }
+    console.log(`   Found ${classes.length} classes`);
+
+    // Only keep courses that are actually offered
+    const offeredCourseIds = new Set(classes.map(c => c.CourseId));
+    courses = courses.filter(c => offeredCourseIds.has(c.Id));
+
+    const sections = await fetchInBatches(purdue, 'Sections', 'ClassId', classes.map(c => c.Id));
+    console.log(`   Found ${sections.length} sections`);
+
+    const meetings = await fetchInBatches(purdue, 'Meetings', 'SectionId', sections.map(s => s.Id));
+    console.log(`   Found ${meetings.length} meetings`);
+
+    const instructors = await fetchAllByIds(purdue, 'Instructors', uniqueIds(meetings, 'InstructorId'));
+    const rooms = await fetchAllByIds(purdue, 'Rooms', uniqueIds(meetings, 'RoomId'));
+    const buildings = await fetchAllByIds(purdue, 'Buildings', uniqueIds(rooms, 'BuildingId'));
+
+    const tables = {
+        Terms: terms,
+        Subjects: subjects,
+        Courses: courses,
+        Classes: classes,
+        Sections: sections,
+        Meetings: meetings,
+        Instructors: instructors,
+        Rooms: rooms,
+        Buildings: buildings,
+        Campuses: campusesData.value
+    };
+
+    fs.mkdirSync(options.out, { recursive: true });
+    SNAPSHOT_ENTITIES.forEach(entity => writeEntity(options.out, entity, tables[entity]));
+
+    const manifest = {
+        createdAt: new Date().toISOString(),
+        terms: terms.map(t => ({ Id: t.Id, Code: t.Code, Name: t.Name })),
+        subjects: options.subjects,
+        counts: Object.fromEntries(SNAPSHOT_ENTITIES.map(entity => [entity, tables[entity].length]))
+    };
+    fs.writeFileSync(path.join(options.out, 'manifest.json'), JSON.stringify(manifest, null, 2));
+
+    const loadTime = ((Date.now() - startTime) / 1000).toFixed(2);
+    console.log(`✅ Snapshot written to ${options.out} in ${loadTime}s`);
+    console.log('   Start the server with CATALOG_SOURCE=snapshot to use it');
+}
+
+main().catch(error => {
+    console.error('❌ Snapshot failed:', error.message);
+    process.exit(1);
+});
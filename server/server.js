@@ -7,6 +7,17 @@ const express = require('express');
 const cors = require('cors');
 const fs = require('fs');
 const path = require('path');
+const { createStorage } = require('./storage');
+const { createResponseCache } = require('./purdue/cache');
+const { createPurdueClient } = require('./purdue/client');
+const { isPurdueId, loadCourseSections, loadInstructorSections, findCoursesByCrn, loadCoursesWithSubjects, groupLinkedSections } = require('./purdue/sections');
+const { createSnapshotSource } = require('./purdue/snapshot');
+const { createCourseSearch } = require('./purdue/courseIndex');
+const { parseCourseFilters, parseSectionFilters, sectionMatches } = require('./purdue/courseFilters');
+const { generateSchedules, parseConstraints } = require('./schedules/generator');
+const { createShareStore, parseSharedSchedule, buildSharedSchedule } = require('./schedules/shareStore');
+const { createSeatWatcher, parseWatchRequest, parseClientToken } = require('./purdue/seatWatcher');
+const { loadBuildingTimetable, campusMoment, findEmptyRooms } = require('./purdue/rooms');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -28,332 +39,797 @@ app.use((req, res, next) => {
 // Data Storage Configuration
 // ==========================================
 const DATA_DIR = path.join(__dirname, 'data');
-const USAGE_LOG_FILE = path.join(DATA_DIR, 'usage-log.json');
-const STATS_FILE = path.join(DATA_DIR, 'stats.json');
+const STORAGE_BACKEND = process.env.STORAGE_BACKEND || 'file';
+// Shared schedules and seat watches are always written to DATA_DIR unless
+// PLANNER_STORAGE=memory (STORAGE_BACKEND only covers usage analytics)
+const PLANNER_IN_MEMORY = process.env.PLANNER_STORAGE === 'memory';
 
 // Ensure data directory exists
 if (!fs.existsSync(DATA_DIR)) {
     fs.mkdirSync(DATA_DIR, { recursive: true });
 }
 
-// Initialize files if they don't exist
-if (!fs.existsSync(USAGE_LOG_FILE)) {
-    fs.writeFileSync(USAGE_LOG_FILE, JSON.stringify([], null, 2));
+// Usage storage backend (file, memory or sqlite - see storage/index.js)
+const storage = createStorage({
+    backend: STORAGE_BACKEND,
+    dataDir: DATA_DIR,
+    sqliteFile: process.env.SQLITE_FILE
+});
+
+// Shared schedule links (data/shares/; memory only with PLANNER_STORAGE=memory)
+const shareStore = createShareStore({
+    dir: PLANNER_IN_MEMORY ? null : path.join(DATA_DIR, 'shares')
+});
+
+// ==========================================
+// Purdue.io Cache Configuration
+// ==========================================
+// Set PURDUE_CACHE_DIR to keep cached responses on disk across restarts
+const purdueCache = createResponseCache({
+    maxEntries: parseInt(process.env.PURDUE_CACHE_MAX_ENTRIES) || 200,
+    persistDir: process.env.PURDUE_CACHE_DIR || null
+});
+
+// Set CATALOG_SOURCE=snapshot to answer every catalog route from a local
+// snapshot (written by `npm run snapshot`) instead of api.purdue.io
+const CATALOG_SOURCE = process.env.CATALOG_SOURCE || 'live';
+const SNAPSHOT_DIR = process.env.CATALOG_SNAPSHOT_DIR || path.join(DATA_DIR, 'snapshot');
+
+const purdue = createPurdueClient({
+    cache: purdueCache,
+    baseUrl: process.env.PURDUE_API_BASE || undefined,
+    snapshot: CATALOG_SOURCE === 'snapshot' ? createSnapshotSource(SNAPSHOT_DIR) : null
+});
+
+const courseSearch = createCourseSearch(purdue);
+
+// Seat watches (data/seat-watches.json; memory only with PLANNER_STORAGE=memory)
+const seatWatcher = createSeatWatcher({
+    purdue,
+    file: PLANNER_IN_MEMORY ? null : path.join(DATA_DIR, 'seat-watches.json'),
+    // Unset, zero, negative or non-numeric values use the default (10 minutes)
+    intervalMs: parseFloat(process.env.SEAT_WATCH_INTERVAL_MINUTES) * 60 * 1000
+});
+
+/**
+ * Cached /api/course-sections payload for a course and term.
+ * Resolves to { entry, hit }; entry.value is the response body (without a load
+ * time, which would be stale on every cache hit).
+ */
+function getCourseSections(courseId, termId) {
+    return purdue.cached(`course-sections/${courseId}/${termId}`, async () => {
+        const startTime = Date.now();
+        const { sections, classCount } = await loadCourseSections(purdue, courseId, termId);
+
+        const loadTime = ((Date.now() - startTime) / 1000).toFixed(2);
+        console.log(`   ✅ Sections for ${courseId} loaded in ${loadTime}s`);
+
+        return {
+            success: true,
+            data: sections,
+            classes: groupLinkedSections(sections),
+            classCount,
+            sectionCount: sections.length
+        };
+    });
 }
 
-if (!fs.existsSync(STATS_FILE)) {
-    fs.writeFileSync(STATS_FILE, JSON.stringify({}, null, 2));
+/**
+ * Send a cached entry with ETag/Cache-Control headers.
+ * Express answers 304 itself when If-None-Match matches the ETag.
+ */
+function sendCachedEntry(res, entry, hit) {
+    res.set({
+        'ETag': entry.etag,
+        'Cache-Control': `public, max-age=${purdueCache.secondsLeft(entry)}`,
+        'X-Cache': hit ? 'HIT' : 'MISS'
+    });
+    res.json(entry.value);
 }
 
 // ==========================================
-// Helper Functions
+// Purdue.io API Proxy
 // ==========================================
 
 /**
- * Read usage log from file
+ * GET /api/purdue/*
+ * Proxy requests to Purdue.io API to avoid CORS issues (cached per entity)
  */
-function readUsageLog() {
+app.get('/api/purdue/*', async (req, res) => {
     try {
-        const data = fs.readFileSync(USAGE_LOG_FILE, 'utf8');
-        return JSON.parse(data);
+        // Extract the path after /api/purdue/
+        const purduePath = req.path.replace('/api/purdue/', '');
+
+        // Reconstruct query string
+        const queryString = Object.keys(req.query)
+            .map(key => `${key}=${encodeURIComponent(req.query[key])}`)
+            .join('&');
+
+        const resourcePath = `${purduePath}${queryString ? '?' + queryString : ''}`;
+
+        const { entry, hit } = await purdue.request(resourcePath);
+        console.log(`${hit ? 'Cache hit' : 'Proxied to Purdue.io'}: ${resourcePath}`);
+
+        sendCachedEntry(res, entry, hit);
     } catch (error) {
-        console.error('Error reading usage log:', error);
-        return [];
+        console.error('Error proxying to Purdue.io:', error);
+        res.status(500).json({
+            error: 'Failed to fetch data from Purdue.io',
+            message: error.message
+        });
     }
-}
+});
+
+// ==========================================
+// Course Sections Endpoint (Backend Filtering)
+// ==========================================
 
 /**
- * Write usage log to file
+ * GET /api/course-sections/:courseId/:termId
+ * Get sections for a specific course and term (cached, fetched from Purdue.io on miss)
+ * Optional section filters (see purdue/courseFilters.js):
+ *   days, earliest, latest, openSeats, type, campus, building, instructor
+ * `classes` groups the linked sections (lecture + lab + recitation) of each class;
+ * it always covers every section, so filters can't hide a required component.
  */
-function writeUsageLog(log) {
+app.get('/api/course-sections/:courseId/:termId', async (req, res) => {
     try {
-        fs.writeFileSync(USAGE_LOG_FILE, JSON.stringify(log, null, 2));
+        const { courseId, termId } = req.params;
+
+        // Course and term ids go into OData filters
+        if (!isPurdueId(courseId) || !isPurdueId(termId)) {
+            return res.status(400).json({
+                success: false,
+                error: 'courseId and termId must be valid Purdue ids'
+            });
+        }
+
+        console.log(`\n🔍 Fetching sections for course ${courseId} in term ${termId}`);
+
+        const { entry, hit } = await getCourseSections(courseId, termId);
+
+        if (hit) {
+            console.log('   ⚡ Served from cache\n');
+        }
+
+        const filters = parseSectionFilters(req.query);
+        if (!filters) {
+            return sendCachedEntry(res, entry, hit);
+        }
+
+        const matching = entry.value.data.filter(section => sectionMatches(section, filters));
+
+        res.json({
+            ...entry.value,
+            data: matching,
+            sectionCount: matching.length,
+            unfilteredSectionCount: entry.value.data.length,
+            filters
+        });
     } catch (error) {
-        console.error('Error writing usage log:', error);
+        console.error('❌ Error fetching course sections:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch course sections',
+            message: error.message
+        });
     }
-}
+});
+
+// ==========================================
+// Section Lookup by CRN
+// ==========================================
+
+// Upper bound on CRNs per lookup (each batch of 10 is one Purdue.io request)
+const MAX_LOOKUP_CRNS = 40;
 
 /**
- * Read stats from file
+ * GET /api/sections/lookup?termId=<term>&crns=12345,67890
+ * Resolve CRNs in a term to enriched sections (same shape as /api/course-sections)
+ * plus their course; CRNs that aren't offered in the term are listed in notFound
  */
-function readStats() {
+app.get('/api/sections/lookup', async (req, res) => {
     try {
-        const data = fs.readFileSync(STATS_FILE, 'utf8');
-        return JSON.parse(data);
+        const { termId } = req.query;
+        const crns = [...new Set(String(req.query.crns || '')
+            .split(/[\s,]+/)
+            .map(crn => crn.trim())
+            .filter(crn => /^\d{5}$/.test(crn)))];
+
+        // The term id goes into an OData filter
+        if (!isPurdueId(termId) || crns.length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'termId and at least one 5-digit CRN are required'
+            });
+        }
+
+        if (crns.length > MAX_LOOKUP_CRNS) {
+            return res.status(400).json({
+                success: false,
+                error: `At most ${MAX_LOOKUP_CRNS} CRNs can be looked up at once`
+            });
+        }
+
+        console.log(`\n🔎 Looking up ${crns.length} CRNs in term ${termId}`);
+
+        const courseByCrn = await findCoursesByCrn(purdue, termId, crns);
+        const courseIds = [...new Set(courseByCrn.values())];
+
+        const [courses, sectionLists] = await Promise.all([
+            loadCoursesWithSubjects(purdue, courseIds),
+            Promise.all(courseIds.map(async courseId => {
+                const { entry } = await getCourseSections(courseId, termId);
+                return [courseId, entry.value.data];
+            }))
+        ]);
+        const sectionsByCourse = new Map(sectionLists);
+
+        const data = [];
+        const notFound = [];
+
+        crns.forEach(crn => {
+            const courseId = courseByCrn.get(crn);
+            const section = courseId && (sectionsByCourse.get(courseId) || []).find(s => String(s.Crn) === crn);
+            const course = courses.find(c => c.Id === courseId);
+
+            if (section && course) {
+                data.push({ crn, course, section });
+            } else {
+                notFound.push(crn);
+            }
+        });
+
+        res.json({ success: true, termId, data, notFound });
     } catch (error) {
-        console.error('Error reading stats:', error);
-        return {};
+        console.error('❌ Error looking up CRNs:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to look up sections',
+            message: error.message
+        });
     }
-}
+});
+
+// ==========================================
+// Instructor View
+// ==========================================
 
 /**
- * Write stats to file
+ * GET /api/instructors/:instructorId/sections?termId=<term>
+ * Every course and section an instructor teaches in a term (from Meetings by
+ * InstructorId), grouped by course; sections have the /api/course-sections shape
  */
-function writeStats(stats) {
+app.get('/api/instructors/:instructorId/sections', async (req, res) => {
     try {
-        fs.writeFileSync(STATS_FILE, JSON.stringify(stats, null, 2));
+        const { instructorId } = req.params;
+        const { termId } = req.query;
+
+        if (!isPurdueId(instructorId) || !isPurdueId(termId)) {
+            return res.status(400).json({
+                success: false,
+                error: 'A valid instructorId and termId are required'
+            });
+        }
+
+        console.log(`\n👩‍🏫 Fetching sections taught by ${instructorId} in term ${termId}`);
+
+        const { entry, hit } = await purdue.cached(`instructor-sections/${instructorId}/${termId}`, async () => {
+            const result = await loadInstructorSections(purdue, instructorId, termId);
+            return result ? { success: true, termId, ...result } : null;
+        });
+
+        if (!entry.value) {
+            return res.status(404).json({ success: false, error: 'Instructor not found' });
+        }
+
+        sendCachedEntry(res, entry, hit);
     } catch (error) {
-        console.error('Error writing stats:', error);
+        console.error('❌ Error fetching instructor sections:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch instructor sections',
+            message: error.message
+        });
     }
-}
+});
+
+// ==========================================
+// Building & Room Explorer
+// ==========================================
 
 /**
- * Filter usage log by date range
+ * Cached timetable of a building's rooms for a term (see purdue/rooms.js).
+ * Resolves to { entry, hit }; entry.value is null for an unknown building or term.
  */
-function filterByDateRange(log, days) {
-    const now = new Date();
-    const cutoffDate = new Date(now.getTime() - days * 24 * 60 * 60 * 1000);
-
-    return log.filter(entry => {
-        const entryDate = new Date(entry.timestamp);
-        return entryDate >= cutoffDate;
+function getBuildingTimetable(buildingId, termId) {
+    return purdue.cached(`building-timetable/${buildingId}/${termId}`, async () => {
+        const timetable = await loadBuildingTimetable(purdue, buildingId, termId);
+        return timetable ? { success: true, ...timetable } : null;
     });
 }
 
+function validBuildingRequest(req) {
+    // Building and term ids go into OData filters
+    return isPurdueId(req.params.buildingId) && isPurdueId(req.query.termId);
+}
+
 /**
- * Aggregate usage counts by linkId
+ * GET /api/buildings/:buildingId/timetable?termId=<term>
+ * A building's rooms and every scheduled meeting in them during a term
  */
-function aggregateUsage(log) {
-    const counts = {};
-
-    log.forEach(entry => {
-        if (!counts[entry.linkId]) {
-            counts[entry.linkId] = {
-                linkId: entry.linkId,
-                name: entry.name || entry.linkId,
-                count: 0
-            };
+app.get('/api/buildings/:buildingId/timetable', async (req, res) => {
+    try {
+        if (!validBuildingRequest(req)) {
+            return res.status(400).json({
+                success: false,
+                error: 'A valid buildingId and termId are required'
+            });
         }
-        counts[entry.linkId].count++;
-    });
 
-    return Object.values(counts);
-}
+        const { buildingId } = req.params;
+        console.log(`\n🏛️ Fetching room timetable for building ${buildingId} in term ${req.query.termId}`);
+
+        const { entry, hit } = await getBuildingTimetable(buildingId, req.query.termId);
+
+        if (!entry.value) {
+            return res.status(404).json({ success: false, error: 'Building or term not found' });
+        }
+
+        sendCachedEntry(res, entry, hit);
+    } catch (error) {
+        console.error('❌ Error fetching room timetable:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch room timetable',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/buildings/:buildingId/empty-rooms?termId=<term>&at=<ISO timestamp>
+ * Rooms with no class right now (or at `at`), on the campus clock, and how long
+ * they stay free; rooms in use are listed with the class holding them
+ */
+app.get('/api/buildings/:buildingId/empty-rooms', async (req, res) => {
+    try {
+        if (!validBuildingRequest(req)) {
+            return res.status(400).json({
+                success: false,
+                error: 'A valid buildingId and termId are required'
+            });
+        }
+
+        const at = req.query.at ? new Date(req.query.at) : new Date();
+        if (isNaN(at.getTime())) {
+            return res.status(400).json({ success: false, error: 'at must be an ISO timestamp' });
+        }
+
+        const { entry } = await getBuildingTimetable(req.params.buildingId, req.query.termId);
+
+        if (!entry.value) {
+            return res.status(404).json({ success: false, error: 'Building or term not found' });
+        }
+
+        const moment = campusMoment(at);
+        const { empty, busy } = findEmptyRooms(entry.value, moment);
+
+        res.json({
+            success: true,
+            building: entry.value.building,
+            term: entry.value.term,
+            at: moment,
+            empty,
+            busy
+        });
+    } catch (error) {
+        console.error('❌ Error finding empty rooms:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to find empty rooms',
+            message: error.message
+        });
+    }
+});
 
 // ==========================================
-// Purdue.io API Proxy
+// Course Search Endpoint
 // ==========================================
 
 /**
- * GET /api/purdue/*
- * Proxy requests to Purdue.io API to avoid CORS issues
+ * GET /api/courses/search
+ * Ranked course search over titles, descriptions, subject names and numbers
+ * Query params:
+ *   - q: Course code ("CS 18", "CS18000", "18000") or keywords (required)
+ *   - termId: Only return courses offered in this term
+ *   - page: Page number (default: 1)
+ *   - pageSize: Results per page (default: 10, max: 50)
+ *   - credits, minCredits, maxCredits, level: Course filters
+ *   - days, earliest, latest, openSeats, type, campus, building, instructor:
+ *     Section filters (require termId; a course matches if any section does)
+ *   - scanLimit: Max courses whose sections are checked (default: 40, max: 100)
  */
-app.get('/api/purdue/*', async (req, res) => {
+app.get('/api/courses/search', async (req, res) => {
     try {
-        // Extract the path after /api/purdue/
-        const purduePath = req.path.replace('/api/purdue/', '');
+        const { q, termId, page, pageSize, scanLimit } = req.query;
 
-        // Reconstruct query string
-        const queryString = Object.keys(req.query)
-            .map(key => `${key}=${encodeURIComponent(req.query[key])}`)
-            .join('&');
-
-        const purdueUrl = `https://api.purdue.io/odata/${purduePath}${queryString ? '?' + queryString : ''}`;
+        if (typeof q !== 'string' || !q.trim()) {
+            return res.status(400).json({ success: false, error: 'q is required' });
+        }
 
-        console.log('Proxying to Purdue.io:', purdueUrl);
+        // termId goes into the OData filter of the term's classes
+        if (termId !== undefined && !isPurdueId(termId)) {
+            return res.status(400).json({ success: false, error: 'termId must be a valid term id' });
+        }
 
-        // Use dynamic import for node-fetch
-        const fetch = (await import('node-fetch')).default;
-        const response = await fetch(purdueUrl);
+        const courseFilters = parseCourseFilters(req.query);
+        const sectionFilters = parseSectionFilters(req.query);
 
-        if (!response.ok) {
-            throw new Error(`Purdue.io API returned ${response.status}`);
+        if (sectionFilters && !termId) {
+            return res.status(400).json({ success: false, error: 'termId is required for section filters' });
         }
 
-        const data = await response.json();
-        res.json(data);
+        const sectionFilter = sectionFilters
+            ? async course => {
+                const { entry } = await getCourseSections(course.Id, termId);
+                return entry.value.data.some(section => sectionMatches(section, sectionFilters));
+            }
+            : null;
+
+        const result = await courseSearch.search({ q, termId, page, pageSize, courseFilters, sectionFilter, scanLimit });
+
+        res.json({
+            success: true,
+            ...result,
+            filters: { course: courseFilters, section: sectionFilters }
+        });
     } catch (error) {
-        console.error('Error proxying to Purdue.io:', error);
+        console.error('Error searching courses:', error);
         res.status(500).json({
-            error: 'Failed to fetch data from Purdue.io',
+            success: false,
+            error: 'Failed to search courses',
             message: error.message
         });
     }
 });
 
 // ==========================================
-// On-Demand Data Loading (No upfront caching)
+// Schedule Generator Endpoint
 // ==========================================
-// All data is fetched from Purdue.io API on-demand when needed
 
-// ==========================================
-// Course Sections Endpoint (Backend Filtering)
-// ==========================================
+// Upper bound on courses per request (enumeration grows with every course)
+const MAX_GENERATOR_COURSES = 10;
 
 /**
- * GET /api/course-sections/:courseId/:termId
- * Get sections for a specific course and term (on-demand from Purdue.io API)
+ * POST /api/schedules/generate
+ * Enumerate and rank conflict-free section combinations
+ * Body: {
+ *   termId, courseIds: [...], limit,
+ *   constraints: { earliest, latest, freeDays, maxGap, openSeats, preferredInstructors }
+ * }
+ * Response includes every section used by the returned schedules in `sections`
  */
-app.get('/api/course-sections/:courseId/:termId', async (req, res) => {
+app.post('/api/schedules/generate', async (req, res) => {
     try {
-        const { courseId, termId } = req.params;
-        console.log(`\n🔍 Fetching sections for course ${courseId} in term ${termId}`);
+        const { termId, courseIds, limit } = req.body || {};
+
+        if (!termId || !Array.isArray(courseIds) || courseIds.length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'termId and a non-empty courseIds array are required'
+            });
+        }
+
+        // Term and course ids go into OData filters
+        if (!isPurdueId(termId) || !courseIds.every(isPurdueId)) {
+            return res.status(400).json({
+                success: false,
+                error: 'termId and courseIds must be valid Purdue ids'
+            });
+        }
+
+        const uniqueCourseIds = [...new Set(courseIds)];
+        if (uniqueCourseIds.length > MAX_GENERATOR_COURSES) {
+            return res.status(400).json({
+                success: false,
+                error: `At most ${MAX_GENERATOR_COURSES} courses can be scheduled at once`
+            });
+        }
 
-        const fetch = (await import('node-fetch')).default;
         const startTime = Date.now();
+        const constraints = parseConstraints(req.body.constraints);
+
+        const courses = await Promise.all(uniqueCourseIds.map(async courseId => {
+            const { entry } = await getCourseSections(courseId, termId);
+            return { courseId, sections: entry.value.data };
+        }));
+
+        const { schedules, ...summary } = generateSchedules(courses, constraints, { limit });
+
+        // Only ship the sections the returned schedules reference
+        const usedIds = new Set(schedules.flatMap(schedule => schedule.sectionIds));
+        const sections = {};
+        courses.forEach(({ courseId, sections: courseSections }) => {
+            courseSections
+                .filter(section => usedIds.has(section.Id))
+                .forEach(section => {
+                    sections[section.Id] = { ...section, CourseId: courseId };
+                });
+        });
 
-        // Step 1: Get classes for this course and term
-        const classesUrl = `https://api.purdue.io/odata/Classes?$filter=CourseId eq ${courseId} and TermId eq ${termId}`;
-        const classesResponse = await fetch(classesUrl);
-        if (!classesResponse.ok) throw new Error('Failed to fetch classes');
+        const loadTime = ((Date.now() - startTime) / 1000).toFixed(2);
+        console.log(`🗓️  Generated ${summary.total} schedules for ${uniqueCourseIds.length} courses in ${loadTime}s`);
 
-        const classesData = await classesResponse.json();
-        const matchingClasses = classesData.value;
-        console.log(`   Found ${matchingClasses.length} classes`);
+        res.json({
+            success: true,
+            termId,
+            constraints,
+            ...summary,
+            data: schedules,
+            sections,
+            loadTime
+        });
+    } catch (error) {
+        console.error('❌ Error generating schedules:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to generate schedules',
+            message: error.message
+        });
+    }
+});
 
-        if (matchingClasses.length === 0) {
-            return res.json({ success: true, data: [] });
-        }
+// ==========================================
+// Shared Schedules
+// ==========================================
 
-        // Step 2: Get sections for these classes (in batches to avoid URL length limit)
-        const classIds = matchingClasses.map(c => c.Id);
-        const batchSize = 10; // Fetch 10 classes at a time to avoid URL length issues
-        let allSections = [];
+/**
+ * Rebuild a parsed share request from Purdue.io data (the term, the courses and
+ * their cached sections). Resolves to { schedule } or { error }.
+ */
+async function resolveSharedSchedule(request) {
+    const courseIds = [...new Set(request.sections.map(section => section.courseId))];
 
-        for (let i = 0; i < classIds.length; i += batchSize) {
-            const batch = classIds.slice(i, i + batchSize);
-            const classIdFilter = batch.map(id => `ClassId eq ${id}`).join(' or ');
-            const sectionsUrl = `https://api.purdue.io/odata/Sections?$filter=${classIdFilter}`;
+    const [termsData, courses, sectionLists] = await Promise.all([
+        purdue.odata('Terms'),
+        loadCoursesWithSubjects(purdue, courseIds),
+        Promise.all(courseIds.map(async courseId => {
+            const { entry } = await getCourseSections(courseId, request.termId);
+            return [courseId, entry.value.data];
+        }))
+    ]);
 
-            const sectionsResponse = await fetch(sectionsUrl);
-            if (!sectionsResponse.ok) {
-                console.error(`   ❌ Failed to fetch sections batch ${i / batchSize + 1}: ${sectionsResponse.status}`);
-                throw new Error(`Failed to fetch sections: ${sectionsResponse.status}`);
-            }
+    const term = termsData.value.find(t => String(t.Id).toLowerCase() === request.termId.toLowerCase());
 
-            const sectionsData = await sectionsResponse.json();
-            allSections.push(...sectionsData.value);
+    return buildSharedSchedule(request, { term, courses, sectionsByCourse: new Map(sectionLists) });
+}
+
+/**
+ * POST /api/schedules/share
+ * Store a read-only copy of a schedule and return its short link
+ * Body: { termId, name, sections: [{ Id, _course: { Id } }] }
+ * Only the ids are used; sections and courses are looked up again on Purdue.io
+ */
+app.post('/api/schedules/share', async (req, res) => {
+    try {
+        const { request, error: requestError } = parseSharedSchedule(req.body);
+
+        if (requestError) {
+            return res.status(400).json({ success: false, error: requestError });
         }
 
-        console.log(`   Found ${allSections.length} sections`);
+        const { schedule, error } = await resolveSharedSchedule(request);
 
-        if (allSections.length === 0) {
-            return res.json({ success: true, data: [] });
+        if (error) {
+            return res.status(400).json({ success: false, error });
         }
 
-        // Step 3: Get meetings for these sections (in batches)
-        const sectionIds = allSections.map(s => s.Id);
-        let allMeetings = [];
+        const id = await shareStore.create(schedule);
+        console.log(`🔗 Shared schedule ${id} (${schedule.sections.length} sections)`);
 
-        for (let i = 0; i < sectionIds.length; i += batchSize) {
-            const batch = sectionIds.slice(i, i + batchSize);
-            const sectionIdFilter = batch.map(id => `SectionId eq ${id}`).join(' or ');
-            const meetingsUrl = `https://api.purdue.io/odata/Meetings?$filter=${sectionIdFilter}`;
+        res.status(201).json({
+            success: true,
+            id,
+            url: `${req.protocol}://${req.get('host')}/s/${id}`
+        });
+    } catch (error) {
+        console.error('❌ Error sharing schedule:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to share schedule',
+            message: error.message
+        });
+    }
+});
 
-            const meetingsResponse = await fetch(meetingsUrl);
-            if (!meetingsResponse.ok) {
-                console.error(`   ❌ Failed to fetch meetings batch ${i / batchSize + 1}: ${meetingsResponse.status}`);
-                throw new Error(`Failed to fetch meetings: ${meetingsResponse.status}`);
-            }
+/**
+ * GET /api/schedules/share/:id
+ * A shared schedule: { id, termId, termName, name, sections, createdAt }
+ */
+app.get('/api/schedules/share/:id', async (req, res) => {
+    try {
+        const schedule = await shareStore.get(req.params.id);
 
-            const meetingsData = await meetingsResponse.json();
-            allMeetings.push(...meetingsData.value);
+        if (!schedule) {
+            return res.status(404).json({ success: false, error: 'Shared schedule not found' });
         }
 
-        console.log(`   Found ${allMeetings.length} meetings`);
+        res.json({ success: true, data: schedule });
+    } catch (error) {
+        console.error('❌ Error loading shared schedule:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to load shared schedule',
+            message: error.message
+        });
+    }
+});
 
-        // Step 4: Get instructors, rooms, and buildings
-        const instructorIds = [...new Set(allMeetings.map(m => m.InstructorId).filter(id => id))];
-        const roomIds = [...new Set(allMeetings.map(m => m.RoomId).filter(id => id))];
+/**
+ * GET /s/:id
+ * Short link; opens the planner with the shared schedule
+ */
+app.get('/s/:id', (req, res) => {
+    res.redirect(`/?share=${encodeURIComponent(req.params.id)}`);
+});
 
-        let instructors = [];
-        let rooms = [];
-        let buildings = [];
+// ==========================================
+// Seat Watches
+// ==========================================
 
-        // Fetch instructors and rooms in parallel
-        if (instructorIds.length > 0 || roomIds.length > 0) {
-            const promises = [];
+/**
+ * The X-Seat-Client token every seat route is scoped to; responds 400 and
+ * returns null when it's missing
+ */
+function seatClient(req, res) {
+    const client = parseClientToken(req.get('X-Seat-Client'));
 
-            if (instructorIds.length > 0) {
-                const instructorFilter = instructorIds.map(id => `Id eq ${id}`).join(' or ');
-                const instructorsUrl = `https://api.purdue.io/odata/Instructors?$filter=${instructorFilter}`;
-                promises.push(fetch(instructorsUrl).then(r => r.json()));
-            } else {
-                promises.push(Promise.resolve({ value: [] }));
-            }
+    if (!client) {
+        res.status(400).json({ success: false, error: 'A valid X-Seat-Client header is required' });
+    }
 
-            if (roomIds.length > 0) {
-                const roomFilter = roomIds.map(id => `Id eq ${id}`).join(' or ');
-                const roomsUrl = `https://api.purdue.io/odata/Rooms?$filter=${roomFilter}`;
-                promises.push(fetch(roomsUrl).then(r => r.json()));
-            } else {
-                promises.push(Promise.resolve({ value: [] }));
-            }
+    return client;
+}
 
-            const [instructorsData, roomsData] = await Promise.all(promises);
-            instructors = instructorsData.value;
-            rooms = roomsData.value;
-
-            // Get buildings for the rooms
-            if (rooms.length > 0) {
-                const buildingIds = [...new Set(rooms.map(r => r.BuildingId).filter(id => id))];
-                if (buildingIds.length > 0) {
-                    const buildingFilter = buildingIds.map(id => `Id eq ${id}`).join(' or ');
-                    const buildingsUrl = `https://api.purdue.io/odata/Buildings?$filter=${buildingFilter}`;
-                    const buildingsResponse = await fetch(buildingsUrl);
-                    const buildingsData = await buildingsResponse.json();
-                    buildings = buildingsData.value;
-                }
-            }
+/**
+ * GET /api/seats/watch
+ * The client's watched sections with their latest seat and waitlist counts
+ */
+app.get('/api/seats/watch', (req, res) => {
+    const client = seatClient(req, res);
+    if (!client) return;
+
+    res.json({ success: true, data: seatWatcher.list(client) });
+});
+
+/**
+ * POST /api/seats/watch
+ * Start watching a section's seats
+ * Body: { sectionId, crn, termId, label }
+ */
+app.post('/api/seats/watch', async (req, res) => {
+    const client = seatClient(req, res);
+    if (!client) return;
+
+    try {
+        const { watch, error } = parseWatchRequest(req.body);
+
+        if (error) {
+            return res.status(400).json({ success: false, error });
         }
 
-        // Step 5: Enrich sections with meetings, instructors, and rooms
-        const enrichedSections = allSections.map(section => {
-            const sectionMeetings = allMeetings.filter(m => m.SectionId === section.Id);
-
-            const enrichedMeetings = sectionMeetings.map(meeting => {
-                let enriched = { ...meeting };
-
-                // Attach instructor
-                if (meeting.InstructorId) {
-                    const instructor = instructors.find(i => i.Id === meeting.InstructorId);
-                    if (instructor) {
-                        enriched.Instructor = instructor;
-                    }
-                }
-
-                // Attach room with building info
-                if (meeting.RoomId) {
-                    const room = rooms.find(r => r.Id === meeting.RoomId);
-                    if (room) {
-                        const building = buildings.find(b => b.Id === room.BuildingId);
-                        enriched.Room = {
-                            ...room,
-                            Building: building
-                        };
-                    }
-                }
-
-                return enriched;
-            });
+        const { history, client: owner, ...watched } = await seatWatcher.watch(client, watch);
+        console.log(`👀 Watching seats for ${watched.label || watched.sectionId}`);
+
+        res.status(201).json({ success: true, data: watched });
+    } catch (error) {
+        if (error.status === 400 || error.status === 404) {
+            return res.status(error.status).json({ success: false, error: error.message });
+        }
 
-            return {
-                ...section,
-                Meetings: enrichedMeetings
-            };
+        console.error('❌ Error watching section:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to watch section',
+            message: error.message
         });
+    }
+});
 
-        const loadTime = ((Date.now() - startTime) / 1000).toFixed(2);
-        console.log(`   ✅ Completed in ${loadTime}s\n`);
+/**
+ * DELETE /api/seats/watch/:sectionId
+ * Stop watching a section
+ */
+app.delete('/api/seats/watch/:sectionId', async (req, res) => {
+    const client = seatClient(req, res);
+    if (!client) return;
 
-        res.json({
-            success: true,
-            data: enrichedSections,
-            classCount: matchingClasses.length,
-            sectionCount: enrichedSections.length,
-            loadTime: loadTime
-        });
+    try {
+        if (!await seatWatcher.unwatch(client, req.params.sectionId)) {
+            return res.status(404).json({ success: false, error: 'Section is not watched' });
+        }
 
+        res.json({ success: true });
     } catch (error) {
-        console.error('❌ Error fetching course sections:', error);
+        console.error('❌ Error removing seat watch:', error);
         res.status(500).json({
             success: false,
-            error: 'Failed to fetch course sections',
+            error: 'Failed to remove seat watch',
             message: error.message
         });
     }
 });
 
+/**
+ * GET /api/seats/history/:sectionId
+ * Every recorded change in a watched section's counts, oldest first
+ */
+app.get('/api/seats/history/:sectionId', (req, res) => {
+    const client = seatClient(req, res);
+    if (!client) return;
+
+    const history = seatWatcher.history(client, req.params.sectionId);
+
+    if (!history) {
+        return res.status(404).json({ success: false, error: 'Section is not watched' });
+    }
+
+    res.json({ success: true, data: history });
+});
+
+/**
+ * GET /api/seats/notifications?since=<ISO timestamp>
+ * Seat openings in the client's watched sections (all kept ones without `since`)
+ */
+app.get('/api/seats/notifications', (req, res) => {
+    const client = seatClient(req, res);
+    if (!client) return;
+
+    const since = typeof req.query.since === 'string' ? req.query.since : null;
+
+    res.json({
+        success: true,
+        data: seatWatcher.notifications(client, since),
+        serverTime: new Date().toISOString()
+    });
+});
+
+// ==========================================
+// Cache Statistics
+// ==========================================
+
+/**
+ * GET /api/cache/stats
+ * Hit/miss counters and per-entity entry counts for the Purdue.io cache
+ */
+app.get('/api/cache/stats', (req, res) => {
+    res.json({
+        success: true,
+        data: purdueCache.stats()
+    });
+});
+
+/**
+ * DELETE /api/cache/clear
+ * Drop every cached Purdue.io response
+ */
+app.delete('/api/cache/clear', (req, res) => {
+    try {
+        purdueCache.clear();
+
+        console.log('Purdue.io cache cleared');
+
+        res.json({
+            success: true,
+            message: 'Cache cleared'
+        });
+    } catch (error) {
+        console.error('Error clearing cache:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
 // ==========================================
 // API Routes
 // ==========================================
@@ -362,35 +838,26 @@ app.get('/api/course-sections/:courseId/:termId', async (req, res) => {
  * POST /api/usage
  * Log a link click event
  */
-app.post('/api/usage', (req, res) => {
+app.post('/api/usage', async (req, res) => {
     try {
-        const { linkId, name, category } = req.body;
+        const { linkId, name, category } = req.body || {};
 
         // Validation
-        if (!linkId) {
+        if (typeof linkId !== 'string' || !linkId.trim()) {
             return res.status(400).json({ error: 'linkId is required' });
         }
 
         // Create usage entry
         const entry = {
             linkId,
-            name: name || linkId,
-            category: category || 'Unknown',
+            name: typeof name === 'string' && name ? name : linkId,
+            category: typeof category === 'string' && category ? category : 'Unknown',
             timestamp: new Date().toISOString(),
             userAgent: req.headers['user-agent'] || 'Unknown'
         };
 
-        // Read current log
-        const log = readUsageLog();
-
-        // Add new entry
-        log.push(entry);
-
-        // Write back to file
-        writeUsageLog(log);
-
-        // Update aggregated stats
-        updateStats(entry);
+        // Record the click
+        await storage.logUsage(entry);
 
         console.log(`Usage logged: ${linkId} (${name})`);
 
@@ -412,36 +879,27 @@ app.post('/api/usage', (req, res) => {
  *   - range: Time range in format like "7d", "30d", "all" (default: "7d")
  *   - limit: Maximum number of results (default: 10)
  */
-app.get('/api/popular', (req, res) => {
+app.get('/api/popular', async (req, res) => {
     try {
         const range = req.query.range || '7d';
         const limit = parseInt(req.query.limit) || 10;
 
-        // Read usage log
-        let log = readUsageLog();
-
-        // Filter by date range
+        // Parse date range
+        let days = null;
         if (range !== 'all') {
-            const days = parseInt(range.replace('d', ''));
+            days = parseInt(range.replace('d', ''));
             if (isNaN(days)) {
                 return res.status(400).json({ error: 'Invalid range format. Use "7d", "30d", or "all"' });
             }
-            log = filterByDateRange(log, days);
         }
 
-        // Aggregate counts
-        const aggregated = aggregateUsage(log);
-
-        // Sort by count (descending)
-        aggregated.sort((a, b) => b.count - a.count);
-
-        // Limit results
-        const topLinks = aggregated.slice(0, limit);
+        // Read pre-aggregated counts
+        const { total, data: topLinks } = await storage.getPopular(days, limit);
 
         res.json({
             success: true,
             range,
-            total: log.length,
+            total,
             results: topLinks.length,
             data: topLinks
         });
@@ -455,21 +913,11 @@ app.get('/api/popular', (req, res) => {
  * GET /api/stats
  * Get overall statistics
  */
-app.get('/api/stats', (req, res) => {
+app.get('/api/stats', async (req, res) => {
     try {
-        const stats = readStats();
-        const log = readUsageLog();
-
         const response = {
             success: true,
-            data: {
-                totalClicks: log.length,
-                uniqueLinks: Object.keys(stats).length,
-                last24h: filterByDateRange(log, 1).length,
-                last7d: filterByDateRange(log, 7).length,
-                last30d: filterByDateRange(log, 30).length,
-                topLinks: stats
-            }
+            data: await storage.getStats()
         };
 
         res.json(response);
@@ -483,10 +931,9 @@ app.get('/api/stats', (req, res) => {
  * DELETE /api/usage/clear
  * Clear all usage data (for testing/reset)
  */
-app.delete('/api/usage/clear', (req, res) => {
+app.delete('/api/usage/clear', async (req, res) => {
     try {
-        writeUsageLog([]);
-        writeStats({});
+        await storage.clear();
 
         console.log('Usage data cleared');
 
@@ -500,29 +947,6 @@ app.delete('/api/usage/clear', (req, res) => {
     }
 });
 
-/**
- * Update aggregated stats (for quick access)
- */
-function updateStats(entry) {
-    const stats = readStats();
-
-    if (!stats[entry.linkId]) {
-        stats[entry.linkId] = {
-            linkId: entry.linkId,
-            name: entry.name,
-            category: entry.category,
-            count: 0,
-            firstSeen: entry.timestamp,
-            lastSeen: entry.timestamp
-        };
-    }
-
-    stats[entry.linkId].count++;
-    stats[entry.linkId].lastSeen = entry.timestamp;
-
-    writeStats(stats);
-}
-
 // ==========================================
 // Health Check
 // ==========================================
@@ -530,7 +954,8 @@ app.get('/health', (req, res) => {
     res.json({
         status: 'ok',
         timestamp: new Date().toISOString(),
-        uptime: process.uptime()
+        uptime: process.uptime(),
+        catalogSource: purdue.source
     });
 });
 
@@ -549,16 +974,36 @@ app.use((err, req, res, next) => {
 // ==========================================
 // Start Server
 // ==========================================
-app.listen(PORT, () => {
-    console.log('===========================================');
-    console.log('🚀 Boiler Link Hub Server');
-    console.log('===========================================');
-    console.log(`Server running on http://localhost:${PORT}`);
-    console.log(`API Endpoints:`);
-    console.log(`  POST   /api/usage       - Log link click`);
-    console.log(`  GET    /api/popular     - Get trending links`);
-    console.log(`  GET    /api/stats       - Get statistics`);
-    console.log(`  DELETE s/api/usage/clear - Clear all data`);
-    console.log(`  GET    /health          - Health check`);
-    console.log('===========================================');
+Promise.all([storage.init(), shareStore.init(), seatWatcher.init()]).then(() => {
+    seatWatcher.start();
+
+    app.listen(PORT, () => {
+        console.log('===========================================');
+        console.log('🚀 Boiler Link Hub Server');
+        console.log('===========================================');
+        console.log(`Server running on http://localhost:${PORT}`);
+        console.log(`Usage storage: ${storage.name}`);
+        console.log(`Course catalog: ${purdue.source === 'snapshot' ? `snapshot (${SNAPSHOT_DIR})` : 'live (api.purdue.io)'}`);
+        console.log(`API Endpoints:`);
+        console.log(`  POST   /api/usage       - Log link click`);
+        console.log(`  GET    /api/popular     - Get trending links`);
+        console.log(`  GET    /api/stats       - Get statistics`);
+        console.log(`  DELETE s/api/usage/clear - Clear all data`);
+        console.log(`  GET    /api/courses/search - Search courses`);
+        console.log(`  POST   /api/schedules/generate - Generate schedules`);
+        console.log(`  GET    /api/sections/lookup - Look up sections by CRN`);
+        console.log(`  GET    /api/instructors/:id/sections - Sections an instructor teaches`);
+        console.log(`  GET    /api/buildings/:id/timetable - Room timetable for a building`);
+        console.log(`  GET    /api/buildings/:id/empty-rooms - Rooms with no class right now`);
+        console.log(`  POST   /api/schedules/share - Create a shared schedule link`);
+        console.log(`  GET    /api/schedules/share/:id - Get a shared schedule`);
+        console.log(`  POST   /api/seats/watch - Watch a section's seats`);
+        console.log(`  GET    /api/seats/notifications - Seat openings`);
+        console.log(`  GET    /api/cache/stats - Purdue.io cache statistics`);
+        console.log(`  GET    /health          - Health check`);
+        console.log('===========================================');
+    });
+}).catch(error => {
+    console.error('Failed to initialize storage:', error);
+    process.exit(1);
 });
@@ -0,0 +1,202 @@
+/**
+ * Usage Event Store
+ * Append-only, newline-delimited JSON log of link clicks with daily rotation.
+ *
+ * Layout: <dir>/usage-YYYY-MM-DD.ndjson (one file per UTC day, one event per line)
+ *
+ * Writes are appends to a single open stream, so concurrent requests can never
+ * overwrite each other. Aggregates live in memory and are rebuilt from the log
+ * files on startup.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { createUsageAggregates } = require('./usageAggregates');
+
+const FILE_PREFIX = 'usage-';
+const FILE_SUFFIX = '.ndjson';
+const SKIPPED_LINES_SHOWN = 5; // malformed line numbers named in the replay warning
+
+/**
+ * UTC day key ("2025-11-19") for a timestamp
+ */
+function toDayKey(timestamp) {
+    return new Date(timestamp).toISOString().slice(0, 10);
+}
+
+/**
+ * Create an event store rooted at `dir`.
+ * `legacyLogFile` (optional) is a JSON-array usage log that gets imported once.
+ */
+function createEventStore({ dir, legacyLogFile }) {
+    const aggregates = createUsageAggregates();
+
+    let stream = null;
+    let streamDay = null;
+    let pendingClear = null;
+
+    function fileForDay(dayKey) {
+        return path.join(dir, `${FILE_PREFIX}${dayKey}${FILE_SUFFIX}`);
+    }
+
+    /**
+     * Event files on disk, oldest first
+     */
+    function listEventFiles() {
+        if (!fs.existsSync(dir)) return [];
+
+        return fs.readdirSync(dir)
+            .filter(name => name.startsWith(FILE_PREFIX) && name.endsWith(FILE_SUFFIX))
+            .sort()
+            .map(name => path.join(dir, name));
+    }
+
+    /**
+     * Get the write stream for a day, rotating to a new file when the day changes
+     */
+    function streamForDay(dayKey) {
+        if (stream && streamDay === dayKey) return stream;
+
+        if (stream) {
+            stream.end();
+        }
+
+        stream = fs.createWriteStream(fileForDay(dayKey), { flags: 'a' });
+        stream.on('error', error => {
+            console.error('Error writing usage events:', error);
+        });
+        streamDay = dayKey;
+
+        return stream;
+    }
+
+    function closeStream() {
+        if (!stream) return Promise.resolve();
+
+        const closing = stream;
+        stream = null;
+        streamDay = null;
+
+        return new Promise(resolve => closing.end(resolve));
+    }
+
+    /**
+     * Import the old usage-log.json (a single JSON array) into daily files
+     */
+    function migrateLegacyLog() {
+        if (!legacyLogFile || !fs.existsSync(legacyLogFile)) return;
+
+        try {
+            const entries = JSON.parse(fs.readFileSync(legacyLogFile, 'utf8'));
+            const byDay = {};
+
+            entries.forEach(entry => {
+                if (!entry || !entry.linkId || !entry.timestamp) return;
+                const dayKey = toDayKey(entry.timestamp);
+                (byDay[dayKey] = byDay[dayKey] || []).push(JSON.stringify(entry));
+            });
+
+            Object.entries(byDay).forEach(([dayKey, lines]) => {
+                fs.appendFileSync(fileForDay(dayKey), lines.join('\n') + '\n');
+            });
+
+            fs.renameSync(legacyLogFile, `${legacyLogFile}.migrated`);
+            console.log(`Migrated ${entries.length} usage entries from ${path.basename(legacyLogFile)}`);
+        } catch (error) {
+            console.error('Error migrating legacy usage log:', error);
+        }
+    }
+
+    /**
+     * Stream one event file into the aggregates
+     */
+    async function replayFile(file) {
+        const input = fs.createReadStream(file, { encoding: 'utf8' });
+        const lines = readline.createInterface({ input, crlfDelay: Infinity });
+        const skippedLines = [];
+        let skipped = 0;
+        let lineNumber = 0;
+
+        for await (const line of lines) {
+            lineNumber++;
+            if (!line.trim()) continue;
+
+            try {
+                aggregates.add(JSON.parse(line));
+            } catch (error) {
+                // Usually a torn last line after a crash; the first few are named below
+                skipped++;
+                if (skippedLines.length < SKIPPED_LINES_SHOWN) skippedLines.push(lineNumber);
+            }
+        }
+
+        if (skipped > 0) {
+            const more = skipped > skippedLines.length ? ', ...' : '';
+            console.warn(`Skipped ${skipped} malformed line(s) in ${path.basename(file)}: line${skipped !== 1 ? 's' : ''} ${skippedLines.join(', ')}${more}`);
+        }
+    }
+
+    /**
+     * Prepare the directory, import legacy data and rebuild aggregates
+     */
+    async function init() {
+        fs.mkdirSync(dir, { recursive: true });
+        migrateLegacyLog();
+
+        const startTime = Date.now();
+        const files = listEventFiles();
+
+        for (const file of files) {
+            await replayFile(file);
+        }
+
+        const loadTime = ((Date.now() - startTime) / 1000).toFixed(2);
+        console.log(`Rebuilt usage aggregates from ${files.length} file(s) in ${loadTime}s`);
+    }
+
+    /**
+     * Append one usage entry; resolves once the line is handed to the OS
+     */
+    async function append(entry) {
+        if (pendingClear) await pendingClear;
+
+        const target = streamForDay(toDayKey(entry.timestamp));
+        aggregates.add(entry);
+
+        await new Promise((resolve, reject) => {
+            target.write(JSON.stringify(entry) + '\n', error => (error ? reject(error) : resolve()));
+        });
+    }
+
+    /**
+     * Delete every event file and reset the aggregates
+     */
+    async function clear() {
+        pendingClear = (async () => {
+            await closeStream();
+            listEventFiles().forEach(file => fs.unlinkSync(file));
+            aggregates.reset();
+        })();
+
+        try {
+            await pendingClear;
+        } finally {
+            pendingClear = null;
+        }
+    }
+
+    return {
+        name: 'file',
+        init,
+        logUsage: append,
+        getPopular: async (days, limit) => aggregates.popular(days, limit),
+        getStats: async () => aggregates.stats(),
+        clear,
+        close: closeStream
+    };
+}
+
+module.exports = {
+    createEventStore
+};
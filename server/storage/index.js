@@ -0,0 +1,54 @@
+/**
+ * Usage Storage Backends
+ * Every backend implements the same promise-based interface, so the API
+ * routes in server.js run unchanged against any of them:
+ *
+ *   init()                  - prepare storage (create files/tables, rebuild caches)
+ *   logUsage(entry)         - record one click { linkId, name, category, timestamp, userAgent }
+ *   getPopular(days, limit) - { total, data: [{ linkId, name, count }] } for the last
+ *                             `days` days (null = all time), sorted by count
+ *   getStats()              - { totalClicks, uniqueLinks, last24h, last7d, last30d, topLinks }
+ *   clear()                 - delete all usage data
+ *   close()                 - release files/connections
+ *
+ * Backends:
+ *   file   - append-only daily NDJSON files (default)
+ *   memory - process memory only, for tests
+ *   sqlite - single SQLite database (requires better-sqlite3)
+ */
+
+const path = require('path');
+const { createEventStore } = require('./eventStore');
+const { createMemoryStore } = require('./memoryStore');
+const { createSqliteStore } = require('./sqliteStore');
+
+const BACKENDS = {
+    file: config => createEventStore({
+        dir: path.join(config.dataDir, 'events'),
+        legacyLogFile: path.join(config.dataDir, 'usage-log.json')
+    }),
+    memory: () => createMemoryStore(),
+    sqlite: config => createSqliteStore({
+        file: config.sqliteFile || path.join(config.dataDir, 'usage.sqlite')
+    })
+};
+
+/**
+ * Create the storage backend named by `config.backend`
+ * @param {{ backend?: string, dataDir: string, sqliteFile?: string }} config
+ */
+function createStorage(config) {
+    const backend = config.backend || 'file';
+    const factory = BACKENDS[backend];
+
+    if (!factory) {
+        throw new Error(`Unknown storage backend "${backend}". Use one of: ${Object.keys(BACKENDS).join(', ')}`);
+    }
+
+    return factory(config);
+}
+
+module.exports = {
+    createStorage,
+    BACKENDS: Object.keys(BACKENDS)
+};
@@ -0,0 +1,52 @@
+/**
+ * In-Memory Usage Store
+ * Keeps every event in process memory. Nothing survives a restart,
+ * which makes it the backend of choice for tests and throwaway demos.
+ */
+
+const { createUsageAggregates } = require('./usageAggregates');
+
+/**
+ * Create an empty in-memory store
+ */
+function createMemoryStore() {
+    const aggregates = createUsageAggregates();
+    let events = [];
+
+    return {
+        name: 'memory',
+
+        async init() {},
+
+        async logUsage(entry) {
+            events.push(entry);
+            aggregates.add(entry);
+        },
+
+        async getPopular(days, limit) {
+            return aggregates.popular(days, limit);
+        },
+
+        async getStats() {
+            return aggregates.stats();
+        },
+
+        async clear() {
+            events = [];
+            aggregates.reset();
+        },
+
+        async close() {},
+
+        /**
+         * Raw events in insertion order (for test assertions)
+         */
+        events() {
+            return events.slice();
+        }
+    };
+}
+
+module.exports = {
+    createMemoryStore
+};
@@ -0,0 +1,172 @@
+/**
+ * SQLite Usage Store
+ * Persists events in a single SQLite database via better-sqlite3
+ * (an optional dependency - install it to use this backend).
+ *
+ * Tables:
+ *   usage_events - one row per click
+ *   usage_links  - running per-link totals (the old stats.json)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * ISO timestamp `days` days ago (ISO strings sort chronologically)
+ */
+function cutoffTimestamp(days) {
+    return new Date(Date.now() - days * DAY_MS).toISOString();
+}
+
+/**
+ * Create a store backed by the database at `file`
+ */
+function createSqliteStore({ file }) {
+    let db = null;
+    let statements = null;
+
+    function openDatabase() {
+        let Database;
+        try {
+            Database = require('better-sqlite3');
+        } catch (error) {
+            throw new Error('The sqlite backend requires better-sqlite3. Run "npm install better-sqlite3" in server/.');
+        }
+
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+
+        db = new Database(file);
+        db.pragma('journal_mode = WAL');
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS usage_events (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                link_id TEXT NOT NULL,
+                name TEXT,
+                category TEXT,
+                timestamp TEXT NOT NULL,
+                user_agent TEXT
+            );
+            CREATE INDEX IF NOT EXISTS idx_usage_events_timestamp ON usage_events (timestamp);
+
+            CREATE TABLE IF NOT EXISTS usage_links (
+                link_id TEXT PRIMARY KEY,
+                name TEXT,
+                category TEXT,
+                count INTEGER NOT NULL DEFAULT 0,
+                first_seen TEXT,
+                last_seen TEXT
+            );
+        `);
+
+        statements = {
+            insertEvent: db.prepare(`
+                INSERT INTO usage_events (link_id, name, category, timestamp, user_agent)
+                VALUES (@linkId, @name, @category, @timestamp, @userAgent)
+            `),
+            upsertLink: db.prepare(`
+                INSERT INTO usage_links (link_id, name, category, count, first_seen, last_seen)
+                VALUES (@linkId, @name, @category, 1, @timestamp, @timestamp)
+                ON CONFLICT (link_id) DO UPDATE SET
+                    count = count + 1,
+                    last_seen = excluded.last_seen
+            `),
+            popularAll: db.prepare(`
+                SELECT link_id AS linkId, COALESCE(name, link_id) AS name, count
+                FROM usage_links
+                ORDER BY count DESC
+                LIMIT ?
+            `),
+            popularSince: db.prepare(`
+                SELECT e.link_id AS linkId, COALESCE(l.name, e.link_id) AS name, COUNT(*) AS count
+                FROM usage_events e
+                LEFT JOIN usage_links l ON l.link_id = e.link_id
+                WHERE e.timestamp >= ?
+                GROUP BY e.link_id
+                ORDER BY count DESC
+                LIMIT ?
+            `),
+            countAll: db.prepare('SELECT COUNT(*) AS total FROM usage_events'),
+            countSince: db.prepare('SELECT COUNT(*) AS total FROM usage_events WHERE timestamp >= ?'),
+            allLinks: db.prepare('SELECT * FROM usage_links')
+        };
+
+        // Event row and link totals are written together or not at all
+        statements.logEvent = db.transaction(row => {
+            statements.insertEvent.run(row);
+            statements.upsertLink.run(row);
+        });
+    }
+
+    function countSince(days) {
+        if (days === null) return statements.countAll.get().total;
+        return statements.countSince.get(cutoffTimestamp(days)).total;
+    }
+
+    return {
+        name: 'sqlite',
+
+        async init() {
+            openDatabase();
+            console.log(`Opened SQLite usage database at ${file}`);
+        },
+
+        async logUsage(entry) {
+            statements.logEvent({
+                linkId: entry.linkId,
+                name: entry.name || null,
+                category: entry.category || null,
+                timestamp: entry.timestamp,
+                userAgent: entry.userAgent || null
+            });
+        },
+
+        async getPopular(days, limit) {
+            const data = days === null
+                ? statements.popularAll.all(limit)
+                : statements.popularSince.all(cutoffTimestamp(days), limit);
+
+            return {
+                total: countSince(days),
+                data
+            };
+        },
+
+        async getStats() {
+            // fromEntries keeps a "__proto__" link id as a plain key
+            const topLinks = Object.fromEntries(statements.allLinks.all().map(row => [row.link_id, {
+                linkId: row.link_id,
+                name: row.name,
+                category: row.category,
+                count: row.count,
+                firstSeen: row.first_seen,
+                lastSeen: row.last_seen
+            }]));
+
+            return {
+                totalClicks: countSince(null),
+                uniqueLinks: Object.keys(topLinks).length,
+                last24h: countSince(1),
+                last7d: countSince(7),
+                last30d: countSince(30),
+                topLinks
+            };
+        },
+
+        async clear() {
+            db.exec('DELETE FROM usage_events; DELETE FROM usage_links;');
+        },
+
+        async close() {
+            if (db) {
+                db.close();
+                db = null;
+            }
+        }
+    };
+}
+
+module.exports = {
+    createSqliteStore
+};
@@ -0,0 +1,161 @@
+/**
+ * Usage Aggregates
+ * In-memory counters behind /api/popular and /api/stats.
+ * Events are bucketed per link and per hour, so trailing-window queries
+ * never have to rescan the raw event log.
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Convert a timestamp to its hour bucket key (hours since epoch)
+ */
+function toHourKey(timestamp) {
+    return Math.floor(new Date(timestamp).getTime() / HOUR_MS);
+}
+
+/**
+ * Create an empty set of usage aggregates
+ */
+function createUsageAggregates() {
+    let totalClicks = 0;
+    let links = new Map();     // linkId -> { linkId, name, category, count, firstSeen, lastSeen }
+    let hourly = new Map();    // hourKey -> Map(linkId -> count)
+
+    /**
+     * Fold one usage entry into the counters
+     */
+    function add(entry) {
+        // Link ids become keys; anything else (e.g. a replayed object id) is malformed
+        if (typeof entry?.linkId !== 'string' || !entry.linkId) {
+            throw new TypeError('Usage entry needs a string linkId');
+        }
+
+        totalClicks++;
+
+        if (!links.has(entry.linkId)) {
+            links.set(entry.linkId, {
+                linkId: entry.linkId,
+                name: entry.name,
+                category: entry.category,
+                count: 0,
+                firstSeen: entry.timestamp,
+                lastSeen: entry.timestamp
+            });
+        }
+
+        const link = links.get(entry.linkId);
+        link.count++;
+        if (entry.timestamp < link.firstSeen) link.firstSeen = entry.timestamp;
+        if (entry.timestamp > link.lastSeen) link.lastSeen = entry.timestamp;
+
+        const hourKey = toHourKey(entry.timestamp);
+        if (!hourly.has(hourKey)) {
+            hourly.set(hourKey, new Map());
+        }
+        const bucket = hourly.get(hourKey);
+        bucket.set(entry.linkId, (bucket.get(entry.linkId) || 0) + 1);
+    }
+
+    /**
+     * Per-link counts for the last `days` days (null = all time).
+     * The window starts at the hour boundary containing the cutoff.
+     */
+    function countsByLink(days) {
+        if (days === null) {
+            return Array.from(links.values(), link => ({
+                linkId: link.linkId,
+                name: link.name || link.linkId,
+                count: link.count
+            }));
+        }
+
+        const cutoffKey = toHourKey(Date.now() - days * 24 * HOUR_MS);
+        const counts = new Map();
+
+        hourly.forEach((bucket, hourKey) => {
+            if (hourKey < cutoffKey) return;
+
+            bucket.forEach((count, linkId) => {
+                if (!counts.has(linkId)) {
+                    counts.set(linkId, {
+                        linkId,
+                        name: links.get(linkId)?.name || linkId,
+                        count: 0
+                    });
+                }
+                counts.get(linkId).count += count;
+            });
+        });
+
+        return [...counts.values()];
+    }
+
+    /**
+     * Total number of clicks in the last `days` days (null = all time)
+     */
+    function countSince(days) {
+        if (days === null) return totalClicks;
+
+        const cutoffKey = toHourKey(Date.now() - days * 24 * HOUR_MS);
+        let total = 0;
+
+        hourly.forEach((bucket, hourKey) => {
+            if (hourKey < cutoffKey) return;
+            bucket.forEach(count => {
+                total += count;
+            });
+        });
+
+        return total;
+    }
+
+    /**
+     * Most popular links in a time window, sorted by count
+     */
+    function popular(days, limit) {
+        const aggregated = countsByLink(days);
+        aggregated.sort((a, b) => b.count - a.count);
+
+        return {
+            total: countSince(days),
+            data: aggregated.slice(0, limit)
+        };
+    }
+
+    /**
+     * Overall statistics in the /api/stats response shape
+     */
+    function stats() {
+        return {
+            totalClicks,
+            uniqueLinks: links.size,
+            last24h: countSince(1),
+            last7d: countSince(7),
+            last30d: countSince(30),
+            // fromEntries defines own properties, so a "__proto__" id stays a plain key
+            topLinks: Object.fromEntries(links)
+        };
+    }
+
+    /**
+     * Drop every counter
+     */
+    function reset() {
+        totalClicks = 0;
+        links = new Map();
+        hourly = new Map();
+    }
+
+    return {
+        add,
+        popular,
+        countSince,
+        stats,
+        reset
+    };
+}
+
+module.exports = {
+    createUsageAggregates
+};
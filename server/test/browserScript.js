@@ -0,0 +1,38 @@
+/**
+ * Loads the site's browser scripts (js/*.js, plain globals, no modules)
+ * into one VM context, the way index.html loads them into a page.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const SCRIPT_DIR = path.join(__dirname, '..', '..', 'js');
+
+/**
+ * Run `files` in order in a fresh context; returns a lookup for their top-level names
+ */
+function loadBrowserScripts(files, globals = {}) {
+    const context = vm.createContext({ console, TextEncoder, Intl, ...globals });
+
+    files.forEach(file => {
+        const filename = path.join(SCRIPT_DIR, file);
+        vm.runInContext(fs.readFileSync(filename, 'utf8'), context, { filename });
+    });
+
+    // Top-level const/function names live in the context's global scope
+    return name => vm.runInContext(name, context);
+}
+
+/**
+ * Copy a value out of a script context (its arrays and objects have that
+ * context's prototypes, which strict deep equality would flag)
+ */
+function plain(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+module.exports = {
+    loadBrowserScripts,
+    plain
+};
@@ -0,0 +1,102 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadBrowserScripts, plain } = require('./browserScript');
+
+const lookup = loadBrowserScripts(['calendarExport.js']);
+const buildCalendar = lookup('buildCalendar');
+const icsByDay = lookup('icsByDay');
+
+const TERM = { Name: 'Fall 2025', StartDate: '2025-08-25T00:00:00', EndDate: '2025-12-13T00:00:00' };
+const THANKSGIVING = { type: 'Break', date: '2025-11-26', endDate: '2025-11-29' };
+
+function lecture(meeting = {}) {
+    return {
+        Id: 'section-1',
+        Crn: 12345,
+        Type: 'Lecture',
+        _course: { Subject: { Abbreviation: 'CS' }, Number: '18000', Title: 'Problem Solving, Objects' },
+        Meetings: [{
+            Id: 'meeting-1',
+            DaysOfWeek: 'Monday, Wednesday, Friday',
+            StartTime: '10:30:00.0000000',
+            Duration: 'PT50M',
+            Room: { Number: '1142', Building: { ShortCode: 'WTHR', Name: 'Wetherill Lab of Chemistry' } },
+            Instructor: { Name: 'Jane Smith' },
+            ...meeting
+        }]
+    };
+}
+
+/**
+ * Unfolded content lines of an .ics text
+ */
+function lines(ics) {
+    return ics.replace(/\r\n /g, '').split('\r\n');
+}
+
+describe('icsByDay', () => {
+    it('maps day names and registrar letters to BYDAY codes', () => {
+        assert.deepEqual(plain(icsByDay('Monday, Wednesday, Friday')), ['MO', 'WE', 'FR']);
+        assert.deepEqual(plain(icsByDay('TR')), ['TU', 'TH']);
+        assert.deepEqual(plain(icsByDay('M W')), ['MO', 'WE']);
+    });
+
+    it('finds no days in TBA or empty strings', () => {
+        assert.deepEqual(plain(icsByDay('TBA')), []);
+        assert.deepEqual(plain(icsByDay('')), []);
+        assert.deepEqual(plain(icsByDay(null)), []);
+    });
+});
+
+describe('buildCalendar', () => {
+    it('writes one weekly recurring event per meeting', () => {
+        const { ics, eventCount, skipped } = buildCalendar([lecture()], { term: TERM });
+        const content = lines(ics);
+
+        assert.equal(eventCount, 1);
+        assert.equal(skipped, 0);
+        assert.ok(ics.endsWith('\r\n'));
+        assert.equal(content[0], 'BEGIN:VCALENDAR');
+        assert.ok(content.includes('X-WR-CALNAME:Purdue Fall 2025'));
+        assert.ok(content.includes('DTSTART;TZID=America/Indiana/Indianapolis:20250825T103000'));
+        assert.ok(content.includes('DTEND;TZID=America/Indiana/Indianapolis:20250825T112000'));
+        assert.ok(content.includes('RRULE:FREQ=WEEKLY;BYDAY=MO,WE,FR;UNTIL=20251214T045900Z'));
+        assert.ok(content.includes('SUMMARY:CS 18000 Lecture'));
+        assert.ok(content.includes('LOCATION:WTHR 1142 (Wetherill Lab of Chemistry)'));
+    });
+
+    it('starts on the first class day and stops at the meeting end date', () => {
+        const { ics } = buildCalendar([lecture({ DaysOfWeek: 'TR', EndDate: '2025-10-17' })], { term: TERM });
+        const content = lines(ics);
+
+        assert.ok(content.includes('DTSTART;TZID=America/Indiana/Indianapolis:20250826T103000'));
+        assert.ok(content.includes('RRULE:FREQ=WEEKLY;BYDAY=TU,TH;UNTIL=20251018T035900Z'));
+    });
+
+    it('excludes class days that fall in a break', () => {
+        const { ics } = buildCalendar([lecture()], { term: TERM, deadlines: [THANKSGIVING, { type: 'Exam', date: '2025-12-01' }] });
+        const excluded = lines(ics).filter(line => line.startsWith('EXDATE'));
+
+        assert.deepEqual(excluded, [
+            'EXDATE;TZID=America/Indiana/Indianapolis:20251126T103000',
+            'EXDATE;TZID=America/Indiana/Indianapolis:20251128T103000'
+        ]);
+    });
+
+    it('skips TBA meetings and meetings without dates', () => {
+        const tba = lecture({ DaysOfWeek: 'TBA', StartTime: '10:30:00' });
+        const { eventCount, skipped } = buildCalendar([tba, lecture()], { term: null });
+
+        assert.equal(eventCount, 0);
+        assert.equal(skipped, 2);
+    });
+
+    it('escapes text values and folds long lines', () => {
+        const { ics } = buildCalendar([lecture()], { term: TERM });
+
+        assert.ok(lines(ics).some(line => line.startsWith('DESCRIPTION:Problem Solving\\, Objects\\nLecture · CRN 12345\\n')));
+        ics.split('\r\n').forEach(line => {
+            assert.ok(Buffer.byteLength(line) <= 75, `line longer than 75 octets: ${line}`);
+        });
+    });
+});
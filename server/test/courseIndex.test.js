@@ -0,0 +1,126 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createCourseSearch, tokenize, editDistance } = require('../purdue/courseIndex');
+
+const SUBJECTS = [
+    { Id: 'subject-cs', Abbreviation: 'CS', Name: 'Computer Science' },
+    { Id: 'subject-ma', Abbreviation: 'MA', Name: 'Mathematics' }
+];
+
+const COURSES = [
+    { Id: 'cs18000', SubjectId: 'subject-cs', Number: '18000', Title: 'Problem Solving And Object-Oriented Programming', CreditHours: 4, Description: 'Java programming.' },
+    { Id: 'cs18200', SubjectId: 'subject-cs', Number: '18200', Title: 'Foundations Of Computer Science', CreditHours: 3, Description: 'Logic, sets and proofs.' },
+    { Id: 'cs25100', SubjectId: 'subject-cs', Number: '25100', Title: 'Data Structures And Algorithms', CreditHours: 3, Description: 'Programming with lists and trees.' },
+    { Id: 'ma26100', SubjectId: 'subject-ma', Number: '26100', Title: 'Multivariate Calculus', CreditHours: 4, Description: 'Vectors and partial derivatives.' }
+];
+
+const CLASSES = [
+    { CourseId: 'cs18000' },
+    { CourseId: 'ma26100' }
+];
+
+/**
+ * Purdue.io client stand-in serving the fixtures with fixed etags
+ */
+function fakePurdue() {
+    const responses = {
+        Courses: COURSES,
+        Subjects: SUBJECTS
+    };
+
+    return {
+        async request(path) {
+            const value = path.startsWith('Classes') ? CLASSES : responses[path];
+            return { entry: { etag: `"${path}"`, value: { value } } };
+        }
+    };
+}
+
+function ids(result) {
+    return result.data.map(course => course.Id);
+}
+
+describe('tokenize and editDistance', () => {
+    it('drops stop words and punctuation', () => {
+        assert.deepEqual(tokenize('Problem Solving And Object-Oriented Programming'), ['problem', 'solving', 'object', 'oriented', 'programming']);
+        assert.deepEqual(tokenize(null), []);
+    });
+
+    it('counts transpositions as one edit and gives up above the limit', () => {
+        assert.equal(editDistance('calculus', 'calculus', 2), 0);
+        assert.equal(editDistance('calcluus', 'calculus', 2), 1);
+        assert.equal(editDistance('algebra', 'calculus', 2), 3);
+    });
+});
+
+describe('course search', () => {
+    const { search } = createCourseSearch(fakePurdue());
+
+    it('finds a subject and number prefix in code order', async () => {
+        const result = await search({ q: 'CS 18' });
+        assert.equal(result.mode, 'code');
+        assert.deepEqual(ids(result), ['cs18000', 'cs18200']);
+    });
+
+    it('finds a number prefix in any subject', async () => {
+        const result = await search({ q: '261' });
+        assert.equal(result.mode, 'code');
+        assert.deepEqual(ids(result), ['ma26100']);
+    });
+
+    it('ranks title matches above description matches', async () => {
+        const result = await search({ q: 'programming' });
+        assert.equal(result.mode, 'text');
+        assert.deepEqual(ids(result), ['cs18000', 'cs25100']);
+    });
+
+    it('requires every word when some course has them all', async () => {
+        const result = await search({ q: 'programming trees' });
+        assert.deepEqual(ids(result), ['cs25100']);
+    });
+
+    it('matches the last word as a prefix and tolerates typos', async () => {
+        assert.deepEqual(ids(await search({ q: 'data struct' })), ['cs25100']);
+        assert.deepEqual(ids(await search({ q: 'calclus' })), ['ma26100']);
+    });
+
+    it('matches subject names', async () => {
+        const result = await search({ q: 'mathematics' });
+        assert.deepEqual(ids(result), ['ma26100']);
+    });
+
+    it('applies course filters and the term', async () => {
+        assert.deepEqual(ids(await search({ q: 'CS', courseFilters: { credits: 3 } })), ['cs18200', 'cs25100']);
+        assert.deepEqual(ids(await search({ q: 'CS', termId: 'term-1' })), ['cs18000']);
+    });
+
+    it('scans only the first candidates for section filters', async () => {
+        const checked = [];
+        const result = await search({
+            q: 'CS',
+            scanLimit: 2,
+            sectionFilter: async course => {
+                checked.push(course.Id);
+                return course.Id !== 'cs18000';
+            }
+        });
+
+        assert.deepEqual(checked, ['cs18000', 'cs18200']);
+        assert.deepEqual(ids(result), ['cs18200']);
+        assert.deepEqual(result.sectionScan, { candidates: 3, scanned: 2, partial: true });
+    });
+
+    it('paginates', async () => {
+        const result = await search({ q: 'CS', page: 2, pageSize: 2 });
+        assert.equal(result.total, 3);
+        assert.equal(result.totalPages, 2);
+        assert.equal(result.page, 2);
+        assert.deepEqual(ids(result), ['cs25100']);
+    });
+
+    it('returns nothing for an empty query', async () => {
+        const result = await search({ q: '  ' });
+        assert.equal(result.total, 0);
+        assert.deepEqual(result.data, []);
+    });
+});
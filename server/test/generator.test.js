@@ -0,0 +1,195 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { generateSchedules, parseConstraints, sectionBlocks, blocksOverlap } = require('../schedules/generator');
+
+function section(id, days, start, { classId = `class-${id}`, type = 'Lecture', minutes = 50, seats = 10, instructor = null, dates = {} } = {}) {
+    return {
+        Id: id,
+        ClassId: classId,
+        Type: type,
+        RemainingSpace: seats,
+        ...dates,
+        Meetings: [{
+            DaysOfWeek: days,
+            StartTime: `${start}:00.0000000`,
+            Duration: `PT${minutes}M`,
+            Instructor: instructor ? { Name: instructor } : null
+        }]
+    };
+}
+
+describe('parseConstraints', () => {
+    it('normalizes times, days, gaps and instructors', () => {
+        assert.deepEqual(parseConstraints({
+            earliest: '09:00',
+            latest: '17:30',
+            freeDays: ['Friday'],
+            maxGap: '90',
+            openSeats: 'true',
+            preferredInstructors: 'Smith, Jones'
+        }), {
+            earliest: 540,
+            latest: 1050,
+            freeDays: ['F'],
+            maxGap: 90,
+            openSeats: true,
+            preferredInstructors: ['smith', 'jones']
+        });
+    });
+
+    it('drops values it cannot read', () => {
+        assert.deepEqual(parseConstraints({ earliest: 'noon', maxGap: '-5', openSeats: 'yes', freeDays: 'TBA' }), {});
+        assert.deepEqual(parseConstraints(), {});
+    });
+});
+
+describe('sectionBlocks and blocksOverlap', () => {
+    it('makes one block per meeting day', () => {
+        const blocks = sectionBlocks(section('a', 'MWF', '10:30'));
+        assert.deepEqual(blocks.map(block => [block.day, block.start, block.end]), [
+            ['M', 630, 680], ['W', 630, 680], ['F', 630, 680]
+        ]);
+    });
+
+    it('treats back-to-back meetings as free of conflict', () => {
+        const first = sectionBlocks(section('a', 'MWF', '10:30'));
+        const next = sectionBlocks(section('b', 'MWF', '11:20'));
+        const clash = sectionBlocks(section('c', 'M', '11:00'));
+
+        assert.equal(blocksOverlap(first, next), false);
+        assert.equal(blocksOverlap(first, clash), true);
+    });
+
+    it('keeps 8-week modules in different halves apart', () => {
+        const firstHalf = sectionBlocks(section('a', 'TR', '09:00', { dates: { StartDate: '2025-08-25', EndDate: '2025-10-17' } }));
+        const secondHalf = sectionBlocks(section('b', 'TR', '09:00', { dates: { StartDate: '2025-10-20', EndDate: '2025-12-12' } }));
+
+        assert.equal(blocksOverlap(firstHalf, secondHalf), false);
+    });
+});
+
+describe('generateSchedules', () => {
+    it('returns only conflict-free combinations', () => {
+        const result = generateSchedules([
+            { courseId: 'cs180', sections: [section('cs-1', 'MWF', '09:30'), section('cs-2', 'MWF', '10:30')] },
+            { courseId: 'ma261', sections: [section('ma-1', 'MWF', '09:30')] }
+        ]);
+
+        assert.equal(result.total, 1);
+        assert.equal(result.truncated, false);
+        assert.deepEqual(result.schedules[0].sectionIds.sort(), ['cs-2', 'ma-1']);
+        assert.equal(result.schedules[0].rank, 1);
+    });
+
+    it('takes one section of every type a class offers', () => {
+        const result = generateSchedules([{
+            courseId: 'chm115',
+            sections: [
+                section('lec', 'MWF', '08:30', { classId: 'chm', type: 'Lecture' }),
+                section('lab-1', 'T', '08:30', { classId: 'chm', type: 'Laboratory', minutes: 170 }),
+                section('lab-2', 'R', '13:30', { classId: 'chm', type: 'Laboratory', minutes: 170 })
+            ]
+        }]);
+
+        assert.equal(result.total, 2);
+        result.schedules.forEach(schedule => {
+            assert.equal(schedule.sectionIds.length, 2);
+            assert.ok(schedule.sectionIds.includes('lec'));
+        });
+    });
+
+    it('applies the hard constraints', () => {
+        const courses = [{
+            courseId: 'cs180',
+            sections: [
+                section('early', 'MWF', '07:30'),
+                section('friday', 'F', '12:30'),
+                section('full', 'TR', '12:00', { seats: 0 }),
+                section('fits', 'TR', '13:30')
+            ]
+        }];
+
+        const result = generateSchedules(courses, parseConstraints({ earliest: '08:00', freeDays: 'F', openSeats: true }));
+        assert.deepEqual(result.schedules.map(schedule => schedule.sectionIds), [['fits']]);
+    });
+
+    it('drops schedules with a longer gap than maxGap', () => {
+        const courses = [
+            { courseId: 'a', sections: [section('a-1', 'M', '08:30')] },
+            { courseId: 'b', sections: [section('b-near', 'M', '09:30'), section('b-far', 'M', '15:30')] }
+        ];
+
+        const result = generateSchedules(courses, parseConstraints({ maxGap: 60 }));
+        assert.deepEqual(result.schedules.map(schedule => schedule.sectionIds.sort()), [['a-1', 'b-near']]);
+    });
+
+    it('ranks preferred instructors and fewer days first', () => {
+        const result = generateSchedules([{
+            courseId: 'cs180',
+            sections: [
+                section('mwf', 'MWF', '10:30'),
+                section('tr', 'TR', '10:30'),
+                section('smith', 'MWF', '13:30', { instructor: 'Jane Smith' })
+            ]
+        }], parseConstraints({ preferredInstructors: 'smith' }));
+
+        assert.deepEqual(result.schedules.map(schedule => schedule.sectionIds[0]), ['smith', 'tr', 'mwf']);
+        assert.equal(result.schedules[0].stats.preferredInstructorMatches, 1);
+    });
+
+    it('reports courses that cannot be scheduled', () => {
+        const result = generateSchedules([
+            { courseId: 'offered', sections: [section('a', 'MWF', '10:30')] },
+            { courseId: 'not-offered', sections: [] },
+            { courseId: 'too-early', sections: [section('b', 'MWF', '07:30')] }
+        ], parseConstraints({ earliest: '08:00' }));
+
+        assert.equal(result.total, 0);
+        assert.deepEqual(result.unschedulable, [
+            { courseId: 'not-offered', reason: 'Not offered in this term' },
+            { courseId: 'too-early', reason: 'No sections fit the constraints' }
+        ]);
+    });
+
+    it('limits the schedules returned', () => {
+        const sections = ['08:30', '09:30', '10:30', '11:30'].map((start, i) => section(`s-${i}`, 'M', start));
+        const result = generateSchedules([{ courseId: 'a', sections }], {}, { limit: 2 });
+
+        assert.equal(result.total, 4);
+        assert.equal(result.schedules.length, 2);
+    });
+
+    it('stops a search that runs into dead ends on its step budget', () => {
+        // Four compatible courses, then one that clashes with all of them:
+        // no schedule exists, and every path dies at the last course
+        const slots = ['08:30', '09:30', '10:30', '11:30'];
+        const courses = slots.map((start, c) => ({
+            courseId: `course-${c}`,
+            sections: Array.from({ length: 30 }, (_, i) => section(`${c}-${i}`, 'MWF', start))
+        }));
+        courses.push({
+            courseId: 'clash',
+            sections: Array.from({ length: 31 }, (_, i) => section(`clash-${i}`, 'MWF', '08:00', { minutes: 240 }))
+        });
+
+        const started = Date.now();
+        const result = generateSchedules(courses);
+
+        assert.equal(result.total, 0);
+        assert.equal(result.truncated, true);
+        assert.equal(result.steps, 200000);
+        assert.ok(Date.now() - started < 5000);
+    });
+
+    it('shares the combination cap so a large class cannot crowd out later ones', () => {
+        const lectures = Array.from({ length: 80 }, (_, i) => section(`lec-${i}`, 'MWF', '08:30', { classId: 'big' }));
+        const labs = Array.from({ length: 80 }, (_, i) => section(`lab-${i}`, 'T', '10:30', { classId: 'big', type: 'Laboratory' }));
+        const small = section('small', 'M', '13:30', { classId: 'small' });
+
+        const result = generateSchedules([{ courseId: 'cs180', sections: [...lectures, ...labs, small] }]);
+
+        assert.equal(result.truncated, true);
+        assert.ok(result.total < lectures.length * labs.length);
+        assert.deepEqual(result.schedules[0].sectionIds, ['small']);
+    });
+});
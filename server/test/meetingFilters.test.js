@@ -0,0 +1,108 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseDays, parseClock, parseDuration, meetingMinutes, meetingDates, datesOverlap } = require('../purdue/meetingTimes');
+const { parseSectionFilters, sectionMatches } = require('../purdue/courseFilters');
+
+describe('meeting times', () => {
+    it('reads every DaysOfWeek format in week order', () => {
+        assert.deepEqual(parseDays('Monday, Wednesday, Friday'), ['M', 'W', 'F']);
+        assert.deepEqual(parseDays('Thursday, Tuesday'), ['T', 'R']);
+        assert.deepEqual(parseDays('MoWeFr'), ['M', 'W', 'F']);
+        assert.deepEqual(parseDays('TR'), ['T', 'R']);
+        assert.deepEqual(parseDays('SU'), ['S', 'U']);
+    });
+
+    it('finds no days in TBA or empty strings', () => {
+        assert.deepEqual(parseDays('TBA'), []);
+        assert.deepEqual(parseDays(''), []);
+        assert.deepEqual(parseDays(null), []);
+    });
+
+    it('parses clock times and durations', () => {
+        assert.equal(parseClock('14:30:00.0000000'), 870);
+        assert.equal(parseClock('9:05'), 545);
+        assert.equal(parseClock('TBA'), null);
+        assert.equal(parseDuration('PT1H15M'), 75);
+        assert.equal(parseDuration('PT50M'), 50);
+        assert.equal(parseDuration('P1D'), null);
+    });
+
+    it('prefers EndTime, then Duration, then the default length', () => {
+        assert.deepEqual(meetingMinutes({ StartTime: '10:30', EndTime: '11:45' }), { start: 630, end: 705 });
+        assert.deepEqual(meetingMinutes({ StartTime: '10:30', Duration: 'PT1H15M' }), { start: 630, end: 705 });
+        assert.deepEqual(meetingMinutes({ StartTime: '10:30' }), { start: 630, end: 680 });
+        assert.equal(meetingMinutes({ StartTime: null }), null);
+    });
+
+    it('falls back to the section dates and treats unknown ends as open', () => {
+        const dates = meetingDates({ StartDate: '2025-10-20T00:00:00-04:00' }, { StartDate: '2025-08-25', EndDate: '2025-12-12' });
+        assert.deepEqual(dates, { startDate: '2025-10-20', endDate: '2025-12-12' });
+
+        assert.equal(datesOverlap({ startDate: '2025-08-25', endDate: '2025-10-17' }, { startDate: '2025-10-20', endDate: '2025-12-12' }), false);
+        assert.equal(datesOverlap({ startDate: '2025-08-25', endDate: null }, { startDate: '2025-10-20', endDate: '2025-12-12' }), true);
+    });
+});
+
+describe('section filters', () => {
+    const lecture = {
+        Type: 'Lecture',
+        RemainingSpace: 5,
+        Campus: { Name: 'West Lafayette', Code: 'PWL' },
+        Meetings: [{
+            DaysOfWeek: 'Monday, Wednesday, Friday',
+            StartTime: '10:30:00.0000000',
+            Duration: 'PT50M',
+            Room: { Building: { ShortCode: 'LWSN', Name: 'Lawson Computer Science Bldg' } },
+            Instructor: { Name: 'Jane Smith' }
+        }]
+    };
+
+    it('returns null when no filter is set', () => {
+        assert.equal(parseSectionFilters({}), null);
+        assert.equal(parseSectionFilters({ days: 'TBA', earliest: 'noon' }), null);
+        assert.equal(sectionMatches(lecture, null), true);
+    });
+
+    it('parses every filter', () => {
+        assert.deepEqual(parseSectionFilters({
+            days: 'MWF',
+            earliest: '09:00',
+            latest: '17:00',
+            openSeats: 'true',
+            type: 'Lecture, Lab',
+            campus: 'West',
+            building: 'LWSN',
+            instructor: 'Smith'
+        }), {
+            days: ['M', 'W', 'F'],
+            earliest: 540,
+            latest: 1020,
+            openSeats: true,
+            types: ['lecture', 'lab'],
+            campus: 'west',
+            building: 'lwsn',
+            instructor: 'smith'
+        });
+    });
+
+    it('matches days and times', () => {
+        assert.equal(sectionMatches(lecture, parseSectionFilters({ days: 'MWF' })), true);
+        assert.equal(sectionMatches(lecture, parseSectionFilters({ days: 'MW' })), false);
+        assert.equal(sectionMatches(lecture, parseSectionFilters({ earliest: '10:30', latest: '11:20' })), true);
+        assert.equal(sectionMatches(lecture, parseSectionFilters({ earliest: '11:00' })), false);
+        assert.equal(sectionMatches(lecture, parseSectionFilters({ latest: '11:00' })), false);
+    });
+
+    it('matches seats, type, campus, building and instructor', () => {
+        assert.equal(sectionMatches(lecture, parseSectionFilters({ openSeats: 'true', type: 'Lec', campus: 'pwl', building: 'lawson', instructor: 'smith' })), true);
+        assert.equal(sectionMatches({ ...lecture, RemainingSpace: 0 }, parseSectionFilters({ openSeats: 'true' })), false);
+        assert.equal(sectionMatches(lecture, parseSectionFilters({ type: 'Lab' })), false);
+        assert.equal(sectionMatches(lecture, parseSectionFilters({ building: 'ARMS' })), false);
+        assert.equal(sectionMatches(lecture, parseSectionFilters({ instructor: 'jones' })), false);
+    });
+
+    it('never fails TBA meetings on days or times', () => {
+        const tba = { ...lecture, Meetings: [{ DaysOfWeek: 'TBA', StartTime: null }] };
+        assert.equal(sectionMatches(tba, parseSectionFilters({ days: 'MWF', earliest: '09:00', latest: '10:00' })), true);
+    });
+});
@@ -0,0 +1,108 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadBrowserScripts, plain } = require('./browserScript');
+
+const lookup = loadBrowserScripts(['schedule.js']);
+const meetingsOverlap = lookup('meetingsOverlap');
+const findCommonFreeBlocks = lookup('findCommonFreeBlocks');
+
+const MONDAY = 0;
+
+function meeting(days, start, duration, dates = {}) {
+    return { DaysOfWeek: days, StartTime: `${start}:00.0000000`, Duration: duration, ...dates };
+}
+
+function sectionWith(...meetings) {
+    return { Meetings: meetings };
+}
+
+describe('meetingsOverlap', () => {
+    it('returns the shared days and minutes', () => {
+        const overlap = meetingsOverlap(
+            meeting('Monday, Wednesday, Friday', '10:30', 'PT50M'),
+            meeting('MW', '11:00', 'PT1H15M')
+        );
+
+        assert.deepEqual(plain(overlap), {
+            days: [0, 2],
+            start: 660,
+            end: 680,
+            minutes: 20,
+            startDate: null,
+            endDate: null
+        });
+    });
+
+    it('lets back-to-back meetings and different days pass', () => {
+        assert.equal(meetingsOverlap(meeting('MWF', '10:30', 'PT50M'), meeting('MWF', '11:20', 'PT50M')), null);
+        assert.equal(meetingsOverlap(meeting('MWF', '10:30', 'PT50M'), meeting('TR', '10:30', 'PT50M')), null);
+    });
+
+    it('ignores TBA meetings', () => {
+        assert.equal(meetingsOverlap(meeting('TBA', '10:30', 'PT50M'), meeting('TR', '10:30', 'PT50M')), null);
+        assert.equal(meetingsOverlap({ DaysOfWeek: 'MWF' }, meeting('MWF', '10:30', 'PT50M')), null);
+    });
+
+    it('keeps meetings in different parts of the term apart', () => {
+        const firstHalf = { StartDate: '2025-08-25', EndDate: '2025-10-17' };
+        const secondHalf = { StartDate: '2025-10-20', EndDate: '2025-12-12' };
+
+        assert.equal(meetingsOverlap(meeting('MWF', '10:30', 'PT50M'), meeting('MWF', '10:30', 'PT50M'), firstHalf, secondHalf), null);
+    });
+
+    it('reports the dates both meetings run', () => {
+        const overlap = meetingsOverlap(
+            meeting('MWF', '10:30', 'PT50M'),
+            meeting('MWF', '10:30', 'PT50M', { StartDate: '2025-10-20T00:00:00' }),
+            { StartDate: '2025-08-25', EndDate: '2025-12-12' },
+            { EndDate: '2025-12-12' }
+        );
+
+        assert.equal(overlap.startDate, '2025-10-20');
+        assert.equal(overlap.endDate, '2025-12-12');
+    });
+});
+
+describe('findCommonFreeBlocks', () => {
+    it('finds the time nobody has class, longest first within a day', () => {
+        const mine = [sectionWith(meeting('M', '10:00', 'PT60M'))];
+        const friend = [sectionWith(meeting('M', '10:30', 'PT90M'))];
+
+        const blocks = plain(findCommonFreeBlocks([mine, friend]));
+        const monday = blocks.filter(block => block.day === MONDAY);
+
+        assert.deepEqual(monday, [
+            { day: MONDAY, start: 720, end: 1320, minutes: 600 },
+            { day: MONDAY, start: 420, end: 600, minutes: 180 }
+        ]);
+        assert.deepEqual(blocks.filter(block => block.day !== MONDAY).map(block => [block.day, block.minutes]), [
+            [1, 900], [2, 900], [3, 900], [4, 900]
+        ]);
+    });
+
+    it('leaves out gaps shorter than half an hour', () => {
+        const schedule = [sectionWith(meeting('M', '07:00', 'PT60M'), meeting('M', '08:20', 'PT820M'))];
+        const monday = plain(findCommonFreeBlocks([schedule])).filter(block => block.day === MONDAY);
+
+        assert.deepEqual(monday, []);
+    });
+
+    it('only counts meetings held in the chosen week', () => {
+        const secondHalf = { StartDate: '2025-10-20', EndDate: '2025-12-12', Meetings: [meeting('M', '07:00', 'PT15H')] };
+        const week = { startDate: '2025-09-01', endDate: '2025-09-07' };
+
+        const all = plain(findCommonFreeBlocks([[secondHalf]]));
+        const thatWeek = plain(findCommonFreeBlocks([[secondHalf]], week));
+
+        assert.equal(all.some(block => block.day === MONDAY), false);
+        assert.deepEqual(thatWeek.filter(block => block.day === MONDAY), [{ day: MONDAY, start: 420, end: 1320, minutes: 900 }]);
+    });
+
+    it('covers weekend days and hours the grid grows to', () => {
+        const saturday = [sectionWith(meeting('S', '06:00', 'PT60M'))];
+        const blocks = plain(findCommonFreeBlocks([saturday]));
+
+        assert.deepEqual(blocks.filter(block => block.day === 5), [{ day: 5, start: 420, end: 1320, minutes: 900 }]);
+        assert.deepEqual(blocks.filter(block => block.day === MONDAY), [{ day: MONDAY, start: 360, end: 1320, minutes: 960 }]);
+    });
+});
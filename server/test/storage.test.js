@@ -0,0 +1,167 @@
+/**
+ * Storage backend contract: the same cases run against every backend,
+ * so the API routes can rely on identical behavior from each of them.
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStorage, BACKENDS } = require('../storage');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function sqliteAvailable() {
+    try {
+        require('better-sqlite3');
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+function click(linkId, daysAgo = 0, extra = {}) {
+    return {
+        linkId,
+        name: `${linkId} name`,
+        category: 'test',
+        timestamp: new Date(Date.now() - daysAgo * DAY_MS).toISOString(),
+        userAgent: 'node-test',
+        ...extra
+    };
+}
+
+BACKENDS.forEach(backend => {
+    const skip = backend === 'sqlite' && !sqliteAvailable() ? 'better-sqlite3 is not installed' : false;
+
+    describe(`${backend} storage backend`, { skip }, () => {
+        let dataDir;
+        let storage;
+
+        async function open() {
+            storage = createStorage({ backend, dataDir });
+            await storage.init();
+            return storage;
+        }
+
+        beforeEach(async () => {
+            dataDir = fs.mkdtempSync(path.join(os.tmpdir(), `usage-${backend}-`));
+            await open();
+        });
+
+        afterEach(async () => {
+            await storage.close();
+            fs.rmSync(dataDir, { recursive: true, force: true });
+        });
+
+        it('starts empty', async () => {
+            assert.deepEqual(await storage.getPopular(null, 10), { total: 0, data: [] });
+
+            const stats = await storage.getStats();
+            assert.equal(stats.totalClicks, 0);
+            assert.equal(stats.uniqueLinks, 0);
+            assert.deepEqual(stats.topLinks, {});
+        });
+
+        it('ranks links by click count', async () => {
+            await storage.logUsage(click('mycourses'));
+            await storage.logUsage(click('bandwidth'));
+            await storage.logUsage(click('mycourses'));
+
+            const popular = await storage.getPopular(null, 10);
+            assert.equal(popular.total, 3);
+            assert.deepEqual(popular.data, [
+                { linkId: 'mycourses', name: 'mycourses name', count: 2 },
+                { linkId: 'bandwidth', name: 'bandwidth name', count: 1 }
+            ]);
+        });
+
+        it('limits the popular list', async () => {
+            await storage.logUsage(click('a'));
+            await storage.logUsage(click('a'));
+            await storage.logUsage(click('b'));
+
+            const popular = await storage.getPopular(null, 1);
+            assert.equal(popular.total, 3);
+            assert.deepEqual(popular.data.map(link => link.linkId), ['a']);
+        });
+
+        it('falls back to the link id when a click has no name', async () => {
+            await storage.logUsage(click('unnamed', 0, { name: undefined }));
+
+            const popular = await storage.getPopular(null, 10);
+            assert.equal(popular.data[0].name, 'unnamed');
+        });
+
+        it('only counts clicks inside the time window', async () => {
+            await storage.logUsage(click('recent'));
+            await storage.logUsage(click('old', 10));
+
+            const lastWeek = await storage.getPopular(7, 10);
+            assert.equal(lastWeek.total, 1);
+            assert.deepEqual(lastWeek.data.map(link => link.linkId), ['recent']);
+
+            const stats = await storage.getStats();
+            assert.equal(stats.totalClicks, 2);
+            assert.equal(stats.last24h, 1);
+            assert.equal(stats.last7d, 1);
+            assert.equal(stats.last30d, 2);
+        });
+
+        it('reports per-link totals in the stats', async () => {
+            const first = click('schedule', 2);
+            const last = click('schedule');
+            await storage.logUsage(first);
+            await storage.logUsage(last);
+
+            const stats = await storage.getStats();
+            assert.equal(stats.uniqueLinks, 1);
+            assert.deepEqual(stats.topLinks.schedule, {
+                linkId: 'schedule',
+                name: 'schedule name',
+                category: 'test',
+                count: 2,
+                firstSeen: first.timestamp,
+                lastSeen: last.timestamp
+            });
+        });
+
+        it('keeps a "__proto__" link id as a plain key', async () => {
+            await storage.logUsage(click('__proto__'));
+
+            const stats = await storage.getStats();
+            assert.equal(stats.uniqueLinks, 1);
+            assert.ok(Object.hasOwn(stats.topLinks, '__proto__'));
+            assert.equal(stats.topLinks.__proto__.count, 1);
+            assert.equal({}.count, undefined);
+        });
+
+        it('clears every click', async () => {
+            await storage.logUsage(click('a'));
+            await storage.clear();
+
+            assert.deepEqual(await storage.getPopular(null, 10), { total: 0, data: [] });
+            assert.equal((await storage.getStats()).totalClicks, 0);
+        });
+
+        if (backend !== 'memory') {
+            it('keeps clicks across a restart', async () => {
+                await storage.logUsage(click('a'));
+                await storage.logUsage(click('a'));
+                await storage.close();
+                await open();
+
+                const popular = await storage.getPopular(null, 10);
+                assert.equal(popular.total, 2);
+                assert.deepEqual(popular.data.map(link => [link.linkId, link.count]), [['a', 2]]);
+            });
+        }
+    });
+});
+
+describe('createStorage', () => {
+    it('rejects an unknown backend', () => {
+        assert.throws(() => createStorage({ backend: 'redis', dataDir: os.tmpdir() }), /Unknown storage backend "redis"/);
+    });
+});